@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+
+/**
+ * Timepon command line. Runs the same tracking code as the MCP server against a
+ * workspace's store, so it works in terminals and scripts whether or not a
+ * server is running.
+ *
+ *   timepon scan | ls | recent | search | report | doctor [--workspace DIR]
+ */
+
+import path from 'path';
+import { parseArgs } from 'util';
+import { Timepon } from './lib/timepon.js';
+import { renderReportMarkdown } from './lib/report.js';
+import { formatDate } from './lib/format.js';
+
+const USAGE = `Usage: timepon <command> [arguments] [options]
+
+Commands:
+  scan                 Track files added, changed or removed since the last scan
+                       (skipped while a server is watching the workspace)
+  ls [glob...]         List tracked files, newest first; filter with --tag and globs
+  recent [duration]    Files created in the last duration: 90m, 2h, 3d, 1w (default 24h)
+  search <query>       Full-text search (AND by default; OR, NOT, -word, "phrases")
+  report               Activity report: files created per hour, top directories, tags,
+                       largest new files and likely duplicates
+  doctor               Check the store, locks, rules and history for problems
+
+Options:
+  --workspace <dir>    Workspace folder (default: $TIMEPON_WORKSPACE or the current folder)
+  --json               Print JSON instead of text
+  --verbose            Show the tracker's log on stderr
+  -h, --help           Show this help
+
+  ls:      --tag <tag> (repeatable, all must match), --sort created|modified|path|size|modifications,
+           --order asc|desc, --limit <n>
+  search:  --limit <n> (default 20)
+  report:  --hours <n> (default 24) or --since <date>, --until <date> (ISO date or date-time)
+`;
+
+const DURATION_UNITS = { m: 1 / 60, h: 1, d: 24, w: 24 * 7 }; // In hours
+const STATUS_MARKS = { ok: 'ok  ', warn: 'WARN', error: 'FAIL' };
+
+const json = value => `${JSON.stringify(value, null, 2)}\n`;
+
+const optionalNumber = (value, name) => {
+  if (value === undefined) {
+    return undefined;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    throw new Error(`--${name} must be a number`);
+  }
+  return number;
+};
+
+/**
+ * Hours in a duration such as "90m", "2h", "3d", "1w" or "6" (hours)
+ */
+function parseDuration(value) {
+  const match = /^(\d+(?:\.\d+)?)([mhdw]?)$/i.exec(value.trim());
+  if (!match || !(Number(match[1]) > 0)) {
+    throw new Error(`Invalid duration "${value}" - use e.g. 90m, 2h, 3d or 1w`);
+  }
+  return Number(match[1]) * DURATION_UNITS[(match[2] || 'h').toLowerCase()];
+}
+
+/**
+ * One line per file: creation date, path and tags
+ */
+function fileLines(files) {
+  if (files.length === 0) {
+    return 'No files\n';
+  }
+  return files
+    .map(file => `${formatDate(file.created)}  ${file.path}${file.tags?.length > 0 ? `  [${file.tags.join(', ')}]` : ''}`)
+    .join('\n') + '\n';
+}
+
+async function scan(timepon, args, options) {
+  const events = await timepon.scanOnce();
+  if (!events) {
+    const holder = await timepon.lock.read();
+    throw new Error(`A Timepon server (pid ${holder?.owner?.pid ?? 'unknown'}) is watching this workspace and keeps its store current`);
+  }
+
+  const counts = {};
+  for (const event of events) {
+    counts[event.type] = (counts[event.type] || 0) + 1;
+  }
+  const tracked = timepon.getLiveEntries().length;
+  if (options.json) {
+    return json({ workspace: timepon.workspaceRoot, tracked, events: counts });
+  }
+
+  const changes = Object.entries(counts).map(([type, count]) => `${count} ${type}`);
+  return `Scanned ${timepon.workspaceRoot}: ${tracked} files tracked${changes.length > 0 ? ` (${changes.join(', ')})` : ', no changes'}\n`;
+}
+
+async function ls(timepon, globs, options) {
+  await timepon.open();
+  const result = await timepon.queryFiles({
+    ...(options.tag && { tags_all: options.tag }),
+    ...(globs.length > 0 && { path: globs }),
+    sort: options.sort || 'created',
+    order: options.order || 'desc',
+    ...(options.limit !== undefined && { limit: optionalNumber(options.limit, 'limit') }),
+  });
+
+  if (options.json) {
+    return json(result);
+  }
+  const more = result.nextOffset !== null ? `(${result.count} of ${result.total} - use --limit to see more)\n` : '';
+  return fileLines(result.files) + more;
+}
+
+async function recent(timepon, [duration = '24h'], options) {
+  const hours = parseDuration(duration);
+  await timepon.open();
+  const result = await timepon.getRecentFiles(hours);
+  return options.json ? json(result) : fileLines(result.files);
+}
+
+async function search(timepon, words, options) {
+  if (words.length === 0) {
+    throw new Error('search needs a query, e.g. timepon search "rate limit" -draft');
+  }
+  await timepon.open();
+  const limit = optionalNumber(options.limit, 'limit') ?? Timepon.SEARCH_DEFAULT_LIMIT;
+  const result = await timepon.searchContent(words.join(' '), limit, Timepon.SEARCH_SNIPPETS);
+
+  if (options.json) {
+    return json(result);
+  }
+  if (result.results.length === 0) {
+    return 'No matches\n';
+  }
+  const lines = [];
+  for (const file of result.results) {
+    lines.push(`${file.path}  ${file.summary ?? ''}`.trimEnd());
+    for (const match of file.matches) {
+      lines.push(`  ${String(match.line).padStart(5)}: ${match.text}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+async function report(timepon, args, options) {
+  await timepon.open();
+  const result = await timepon.generateReport({
+    hours: optionalNumber(options.hours, 'hours'),
+    since: options.since,
+    until: options.until,
+  });
+  return options.json ? json(result) : renderReportMarkdown(result);
+}
+
+async function doctor(timepon, args, options) {
+  const results = await timepon.diagnose();
+  if (results.some(result => result.status === 'error')) {
+    process.exitCode = 1;
+  }
+  if (options.json) {
+    return json(results);
+  }
+  return results.map(({ check, status, detail }) => `${STATUS_MARKS[status]}  ${check}: ${detail}`).join('\n') + '\n';
+}
+
+const COMMANDS = { scan, ls, recent, search, report, doctor };
+
+async function main(argv) {
+  const { values: options, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      workspace: { type: 'string' },
+      json: { type: 'boolean' },
+      verbose: { type: 'boolean' },
+      tag: { type: 'string', multiple: true },
+      sort: { type: 'string' },
+      order: { type: 'string' },
+      limit: { type: 'string' },
+      hours: { type: 'string' },
+      since: { type: 'string' },
+      until: { type: 'string' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+
+  const [command, ...args] = positionals;
+  if (options.help || !command) {
+    process.stdout.write(USAGE);
+    return options.help ? 0 : 1;
+  }
+  if (!Object.hasOwn(COMMANDS, command)) {
+    process.stderr.write(`Unknown command: ${command}\n\n${USAGE}`);
+    return 1;
+  }
+
+  // The tracker logs its progress to stderr; keep it out of the way unless asked for
+  if (!options.verbose) {
+    console.error = () => {};
+  }
+
+  const workspaceRoot = path.resolve(options.workspace || process.env.TIMEPON_WORKSPACE || process.cwd());
+  const timepon = new Timepon(workspaceRoot);
+  process.stdout.write(await COMMANDS[command](timepon, args, options));
+  return process.exitCode ?? 0;
+}
+
+main(process.argv.slice(2))
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    process.stderr.write(`timepon: ${error.message}\n`);
+    process.exitCode = 1;
+  });
@@ -6,27 +6,59 @@ import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
-import chokidar from 'chokidar';
-import fs from 'fs/promises';
-import path from 'path';
-import YAML from 'yaml';
 import { fileURLToPath } from 'url';
-import { existsSync } from 'fs';
+import { realpathSync } from 'fs';
+import { Timepon } from './lib/timepon.js';
+import { renderReportMarkdown } from './lib/report.js';
+import { SORT_FIELDS, GIT_STATUSES, DEFAULT_LIMIT, MAX_LIMIT } from './lib/query.js';
 
 const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
 
-class TimeponServer {
-  // Configuration constants
-  static MAX_FILE_SIZE = 1024 * 1024; // 1MB
-  static BINARY_DETECTION_SAMPLE = 512; // bytes
-  static BINARY_THRESHOLD = 0.3; // 30% non-printable
-  static SAVE_RETRY_MAX = 3;
-  static SAVE_RETRY_BASE_DELAY = 1000; // ms
-  static WATCH_STABILITY_THRESHOLD = 2000; // ms
-  static WATCH_POLL_INTERVAL = 100; // ms
+/**
+ * Tool result: text as-is, anything else as indented JSON
+ */
+const respond = value => ({
+  content: [
+    {
+      type: 'text',
+      text: typeof value === 'string' ? value : JSON.stringify(value, null, 2),
+    },
+  ],
+});
+
+/**
+ * refresh_metadata's summary line
+ */
+function describeRefresh({ updated, retagged, stale, errors, deleted, tagRuleErrors }) {
+  let message = stale > 0
+    ? `Metadata refresh complete. Updated ${updated} files, ${stale} marked stale (${errors} errors).`
+    : `Metadata refresh complete. Updated ${updated} files, ${errors} errors.`;
+  
+  if (deleted > 0) {
+    message += ` ${deleted} missing files marked deleted.`;
+  }
+  
+  if (retagged > 0) {
+    message += ` ${retagged} files retagged.`;
+  }
+  
+  if (tagRuleErrors.length > 0) {
+    message += ` Tagging rule problems: ${tagRuleErrors.join('; ')}.`;
+  }
+  
+  return message;
+}
 
-  constructor() {
+/**
+ * MCP adapter: exposes a Timepon workspace (lib/timepon.js) as tools over stdio
+ */
+class TimeponServer {
+  /**
+   * @param {string} workspaceRoot - Folder to track (the server passes TIMEPON_WORKSPACE)
+   */
+  constructor(workspaceRoot) {
+    this.timepon = new Timepon(workspaceRoot);
+    
     this.server = new Server(
       {
         name: 'timepon-mcp-server',
@@ -39,852 +71,485 @@ class TimeponServer {
       }
     );
 
-    // Get workspace from environment variable (required for multi-workspace support)
-    this.workspaceRoot = process.env.TIMEPON_WORKSPACE;
-    
-    if (!this.workspaceRoot) {
-      console.error('\n=== TIMEPON CONFIGURATION ERROR ===');
-      console.error('TIMEPON_WORKSPACE environment variable not set!');
-      console.error('\nTimepon requires per-workspace configuration.');
-      console.error('\nQuick fix - Create .cursor/mcp.json in your workspace with:');
-      console.error('{');
-      console.error('  "mcpServers": {');
-      console.error('    "timepon": {');
-      console.error('      "command": "node",');
-      console.error('      "args": ["C:\\\\Users\\\\Fab2\\\\Desktop\\\\AI\\\\_timecop\\\\mcp-server\\\\index.js"],');
-      console.error('      "env": { "TIMEPON_WORKSPACE": "${workspaceFolder}" }');
-      console.error('    }');
-      console.error('  }');
-      console.error('}');
-      console.error('\nOr run the installer script - see README.md for details.\n');
-      process.exit(1);
-    }
-    
-    this.yamlPath = path.join(this.workspaceRoot, '_timepon.yaml');
-    this.metadata = { files: {} };
-    this.watcher = null;
-    
-    // Initialization and retry tracking
-    // Note: isInitializing set to true here, will be managed by startWatching()
-    this.isInitializing = false; // Start as false, set by startWatching
-    this.saveRetryCount = 0;
-
     this.setupHandlers();
-    this.setupErrorHandling();
-  }
-
-  async initialize() {
-    // Create default .tponignore if it doesn't exist
-    await this.ensureIgnoreFile();
-    
-    // Load existing metadata if it exists
-    await this.loadMetadata();
-    
-    // Start watching for file changes
-    await this.startWatching();
-    
-    console.error(`Timepon MCP server started. Watching: ${this.workspaceRoot}`);
-  }
-
-  async ensureIgnoreFile() {
-    const tponignorePath = path.join(this.workspaceRoot, '.tponignore');
-    
-    // Skip if file already exists
-    if (existsSync(tponignorePath)) {
-      return;
-    }
-    
-    // Create default .tponignore file
-    const defaultContent = `# Timepon Ignore Patterns
-# Lines starting with # are comments
-# Patterns follow .gitignore syntax
-
-# Dependencies
-node_modules/
-bower_components/
-vendor/
-packages/
-
-# Build outputs
-dist/
-build/
-out/
-target/
-*.min.js
-*.min.css
-
-# IDE & Editor
-.vscode/
-.idea/
-.cursor/
-*.swp
-*.swo
-*~
-.project
-.classpath
-.settings/
-
-# OS files
-.DS_Store
-Thumbs.db
-Desktop.ini
-._*
-
-# Version control
-.git/
-.svn/
-.hg/
-
-# Logs
-*.log
-logs/
-npm-debug.log*
-yarn-debug.log*
-yarn-error.log*
-
-# Temp files
-tmp/
-temp/
-*.tmp
-*.temp
-
-# Test coverage
-coverage/
-.nyc_output/
-htmlcov/
-*.cover
-
-# Cache
-.cache/
-.parcel-cache/
-.next/
-.nuxt/
-.vuepress/dist
-
-# Environment & secrets
-.env
-.env.local
-.env.*.local
-*.key
-*.pem
-credentials.json
-
-# Timepon internal
-_timepon.yaml
-_timepon.yaml.backup.*
-
-# Large binary/media files (optional - uncomment if needed)
-# *.mp4
-# *.mov
-# *.avi
-# *.pdf
-# *.zip
-# *.tar.gz
-`;
-    
-    try {
-      await fs.writeFile(tponignorePath, defaultContent, 'utf-8');
-      console.error('Created default .tponignore file');
-    } catch (error) {
-      console.error('Warning: Failed to create .tponignore file:', error.message);
-    }
-  }
-
-  async loadMetadata() {
-    try {
-      if (existsSync(this.yamlPath)) {
-        const content = await fs.readFile(this.yamlPath, 'utf-8');
-        const parsed = YAML.parse(content);
-        
-        // Validate structure
-        if (!parsed || typeof parsed !== 'object') {
-          throw new Error('Invalid YAML structure: not an object');
-        }
-        
-        if (!parsed.files || typeof parsed.files !== 'object') {
-          console.error('Warning: YAML missing valid files object, starting fresh');
-          this.metadata = { files: {} };
-          return;
-        }
-        
-        this.metadata = parsed;
-        
-        // Clean up any files that match ignore patterns (e.g. .git files from old runs)
-        const cleanedCount = await this.cleanIgnoredFiles();
-        
-        console.error(`Loaded metadata for ${Object.keys(this.metadata.files).length} files${cleanedCount > 0 ? ` (removed ${cleanedCount} ignored files)` : ''}`);
-      } else {
-        this.metadata = { files: {} };
-        console.error('No existing metadata found, starting fresh');
-      }
-    } catch (error) {
-      console.error(`ERROR: Failed to load metadata from ${this.yamlPath}:`, error.message);
-      
-      // Create backup of corrupted file
-      if (existsSync(this.yamlPath)) {
-        const backupPath = `${this.yamlPath}.backup.${Date.now()}`;
-        try {
-          await fs.copyFile(this.yamlPath, backupPath);
-          console.error(`Corrupted metadata backed up to: ${backupPath}`);
-        } catch (backupError) {
-          console.error('Failed to create backup:', backupError.message);
-        }
-      }
-      
-      this.metadata = { files: {} };
-    }
-  }
-
-  /**
-   * Clean up files from metadata that match ignore patterns
-   */
-  async cleanIgnoredFiles() {
-    const ignorePatterns = await this.loadIgnorePatterns();
-    const filePaths = Object.keys(this.metadata.files);
-    let removedCount = 0;
-    
-    for (const relativePath of filePaths) {
-      let shouldRemove = false;
-      
-      // Remove parent directory references and invalid paths
-      if (relativePath.includes('..') || relativePath === '.' || relativePath === '') {
-        shouldRemove = true;
-      }
-      
-      // Check if it's a directory (shouldn't be tracked)
-      if (!shouldRemove) {
-        try {
-          const absolutePath = path.join(this.workspaceRoot, relativePath);
-          const stats = await fs.stat(absolutePath);
-          if (stats.isDirectory()) {
-            shouldRemove = true;
-          }
-        } catch (error) {
-          // File doesn't exist anymore - remove it
-          shouldRemove = true;
-        }
-      }
-      
-      // Check if this file should be ignored
-      if (!shouldRemove) {
-        shouldRemove = ignorePatterns.some(pattern => pattern.test(relativePath));
-      }
-      
-      if (shouldRemove) {
-        delete this.metadata.files[relativePath];
-        removedCount++;
-      }
-    }
-    
-    // Save cleaned metadata if we removed anything
-    if (removedCount > 0) {
-      await this.saveMetadata();
-    }
-    
-    return removedCount;
-  }
-
-  async saveMetadata() {
-    try {
-      // Convert flat structure to tree structure for YAML
-      const treeStructure = this.buildFileTree(this.metadata.files);
-      
-      // Create formatted YAML with header
-      const fileCount = Object.keys(this.metadata.files).length;
-      const now = new Date();
-      const formattedDate = now.toLocaleDateString('en-GB', { 
-        weekday: 'long', 
-        year: 'numeric', 
-        month: 'long', 
-        day: 'numeric' 
-      });
-      const formattedTime = now.toLocaleTimeString('en-GB', { 
-        hour: '2-digit', 
-        minute: '2-digit',
-        second: '2-digit'
-      });
-      
-      const header = `TIMEPON FILE TRACKING
-${this.workspaceRoot}
-==========================================================================
-Last Updated:     ${formattedDate} at ${formattedTime}
-Files Tracked:    ${fileCount}
-
-TIP: Use code folding to collapse folders (click arrows by line numbers)
-
-Ctrl+K Ctrl+0 = fold all | Ctrl+K Ctrl+J = unfold all
-==========================================================================
-
-`;
-      
-      // Generate YAML with custom spacing
-      const yamlContent = this.formatYamlWithSpacing(treeStructure);
-      
-      const footer = '\n==========================================================================\nEnd of Timepon tracking data\n==========================================================================\n';
-      
-      const fullContent = header + yamlContent + footer;
-      
-      await fs.writeFile(this.yamlPath, fullContent, 'utf-8');
-      console.error('Metadata saved to _timepon.yaml');
-      this.saveRetryCount = 0; // Reset on success
-    } catch (error) {
-      console.error(`Error saving metadata (attempt ${this.saveRetryCount + 1}/${TimeponServer.SAVE_RETRY_MAX}):`, error.message);
-      
-      if (this.saveRetryCount < TimeponServer.SAVE_RETRY_MAX) {
-        this.saveRetryCount++;
-        const delayMs = Math.pow(2, this.saveRetryCount) * TimeponServer.SAVE_RETRY_BASE_DELAY; // Exponential backoff
-        console.error(`Retrying in ${delayMs}ms...`);
-        
-        // Wrap retry in error handler
-        setTimeout(async () => {
-          try {
-            await this.saveMetadata();
-          } catch (retryError) {
-            console.error('ERROR: Save retry failed:', retryError.message);
-            // Error will be handled by the recursive call's catch block
-          }
-        }, delayMs);
-      } else {
-        console.error('ERROR: Failed to save metadata after maximum retries. Data may be lost!');
-        this.saveRetryCount = 0; // Reset for next attempt
-      }
-    }
-  }
-
-  /**
-   * Format YAML with custom spacing between sections for readability
-   */
-  formatYamlWithSpacing(tree) {
-    const lines = [];
-    
-    // Metadata section
-    lines.push(`workspace: ${tree.workspace}`);
-    lines.push(`lastUpdated: '${tree.lastUpdated}'`);
-    lines.push(`totalFiles: ${tree.totalFiles}`);
-    lines.push('');
-    lines.push('files:');
-    lines.push('');
-    
-    // Add Root folder with icon
-    lines.push('  # === 🏠 Root');
-    lines.push('  Root:');
-    
-    // Format files tree with spacing (level 2 for proper nesting under Root)
-    if (tree.files && Object.keys(tree.files).length > 0) {
-      this.formatTreeLevel(tree.files, 2, lines);
-    }
-    
-    return lines.join('\n');
-  }
-
-  /**
-   * Get file type icon based on extension
-   */
-  getFileIcon(filename) {
-    const ext = path.extname(filename).toLowerCase();
-    const iconMap = {
-      '.md': '📄',
-      '.txt': '📝',
-      '.js': '⚡',
-      '.ts': '🔷',
-      '.py': '🐍',
-      '.json': '📋',
-      '.yaml': '⚙️',
-      '.yml': '⚙️',
-      '.html': '🌐',
-      '.css': '🎨',
-      '.sh': '🔧',
-      '.ps1': '🔧',
-      '.bat': '🔧',
-    };
-    return iconMap[ext] || '📄';
-  }
-
-  /**
-   * Format date as human-readable with relative time
-   */
-  formatDateTime(isoDate) {
-    const date = new Date(isoDate);
-    const now = new Date();
-    const diffMs = now - date;
-    const diffMins = Math.floor(diffMs / 60000);
-    const diffHours = Math.floor(diffMs / 3600000);
-    const diffDays = Math.floor(diffMs / 86400000);
-
-    let relative = '';
-    if (diffMins < 1) {
-      relative = 'just now';
-    } else if (diffMins < 60) {
-      relative = `${diffMins}m ago`;
-    } else if (diffHours < 24) {
-      relative = `${diffHours}h ago`;
-    } else if (diffDays < 7) {
-      relative = `${diffDays}d ago`;
-    } else {
-      const weeks = Math.floor(diffDays / 7);
-      relative = `${weeks}w ago`;
-    }
-
-    const dateStr = date.toLocaleDateString('en-GB', {
-      day: '2-digit',
-      month: 'short',
-      year: 'numeric'
-    });
-    const timeStr = date.toLocaleTimeString('en-GB', {
-      hour: '2-digit',
-      minute: '2-digit'
-    });
-
-    return `${dateStr} ${timeStr} >>(${relative})<<`;
-  }
-
-  /**
-   * Get just the relative time portion
-   */
-  getRelativeTime(isoDate) {
-    const date = new Date(isoDate);
-    const now = new Date();
-    const diffMs = now - date;
-    const diffMins = Math.floor(diffMs / 60000);
-    const diffHours = Math.floor(diffMs / 3600000);
-    const diffDays = Math.floor(diffMs / 86400000);
-
-    if (diffMins < 1) {
-      return 'just now';
-    } else if (diffMins < 60) {
-      return `${diffMins}m ago`;
-    } else if (diffHours < 24) {
-      return `${diffHours}h ago`;
-    } else if (diffDays < 7) {
-      return `${diffDays}d ago`;
-    } else {
-      const weeks = Math.floor(diffDays / 7);
-      return `${weeks}w ago`;
-    }
-  }
-
-  /**
-   * Recursively format tree levels with proper indentation and spacing
-   */
-  formatTreeLevel(obj, level, lines) {
-    const indent = '  '.repeat(level);
-    const entries = Object.entries(obj);
-    
-    // Separate files from directories and sort each group
-    const files = [];
-    const dirs = [];
-    
-    entries.forEach(([key, value]) => {
-      const isFile = value && typeof value === 'object' && 'created' in value;
-      if (isFile) {
-        files.push([key, value]);
-      } else {
-        dirs.push([key, value]);
-      }
-    });
-    
-    // Sort files by creation time (newest first)
-    files.sort(([, a], [, b]) => new Date(b.created) - new Date(a.created));
-    
-    // Sort directories alphabetically
-    dirs.sort(([a], [b]) => a.localeCompare(b));
-    
-    // Process directories first, then files
-    const sortedEntries = [...dirs, ...files];
-    
-    sortedEntries.forEach(([key, value], index) => {
-      const isFile = value && typeof value === 'object' && 'created' in value;
-      
-      if (isFile) {
-        // File entry - add blank line before each file for readability
-        if (index > 0) {
-          lines.push('');
-        }
-        
-        // Add file with icon in comment, then clean YAML key
-        const icon = this.getFileIcon(key);
-        const timestamp = this.formatDateTime(value.created);
-        const relativeAge = this.getRelativeTime(value.created);
-        lines.push(`${indent}# ${icon} ${key}  >> ${relativeAge} <<`);
-        lines.push(`${indent}${key}:`);
-        lines.push(`${indent}  created: ${timestamp}`);
-        lines.push(`${indent}  summary: ${value.summary}`);
-        
-        if (value.tags && value.tags.length > 0) {
-          const tagStr = value.tags.join(', ');
-          lines.push(`${indent}  tags: [${tagStr}]`);
-        } else {
-          lines.push(`${indent}  tags: []`);
-        }
-      } else {
-        // Directory entry - add blank line and section header
-        if (index > 0) {
-          lines.push('');
-        }
-        
-        // Add collapsible section marker with minimal decoration as comment
-        lines.push(`${indent}# === 📁 ${key}`);
-        lines.push(`${indent}${key}:`);
-        
-        if (value && typeof value === 'object') {
-          this.formatTreeLevel(value, level + 1, lines);
-        }
-      }
-    });
-  }
-
-  buildFileTree(filesObj) {
-    const now = new Date();
-    const tree = {
-      workspace: this.workspaceRoot,
-      lastUpdated: now.toISOString(),
-      totalFiles: Object.keys(filesObj).length,
-      files: {},
-    };
-
-    // Sort files by creation time (newest first)
-    const sortedEntries = Object.entries(filesObj).sort(
-      ([, a], [, b]) => new Date(b.created) - new Date(a.created)
-    );
-
-    for (const [filePath, metadata] of sortedEntries) {
-      // filePath is already relative to workspace root
-      const parts = filePath.split(path.sep);
-      
-      // Skip invalid paths
-      if (parts.includes('..') || parts.includes('.') || parts.length === 0) {
-        continue;
-      }
-      
-      let current = tree.files;
-      
-      // Build nested structure
-      for (let i = 0; i < parts.length; i++) {
-        const part = parts[i];
-        
-        if (i === parts.length - 1) {
-          // Leaf node (file)
-          current[part] = {
-            created: metadata.created,
-            summary: metadata.summary,
-            tags: metadata.tags,
-          };
-        } else {
-          // Directory node
-          if (!current[part]) {
-            current[part] = {};
-          }
-          current = current[part];
-        }
-      }
-    }
-
-    return tree;
-  }
-
-  /**
-   * Parse ignore file (supports .gitignore syntax)
-   */
-  async parseIgnoreFile(filePath) {
-    try {
-      const content = await fs.readFile(filePath, 'utf-8');
-      return content
-        .split('\n')
-        .map(line => line.trim())
-        .filter(line => line && !line.startsWith('#')) // Remove comments and empty lines
-        .map(pattern => this.globToRegex(pattern));
-    } catch (error) {
-      // File doesn't exist or can't be read - that's okay
-      return [];
-    }
-  }
-
-  /**
-   * Convert gitignore-style glob pattern to regex
-   */
-  globToRegex(pattern) {
-    // Handle directory-only patterns (ending with /)
-    const isDirectoryOnly = pattern.endsWith('/');
-    if (isDirectoryOnly) {
-      pattern = pattern.slice(0, -1);
-    }
-
-    // Escape special regex characters except * and ?
-    let regexPattern = pattern
-      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
-      .replace(/\*/g, '.*')
-      .replace(/\?/g, '.');
-
-    // If pattern doesn't start with /, it can match anywhere
-    if (!pattern.startsWith('/')) {
-      regexPattern = `(^|[/\\\\])${regexPattern}`;
-    } else {
-      regexPattern = `^${regexPattern.slice(1)}`;
-    }
-
-    // If directory-only, match with trailing slash
-    if (isDirectoryOnly) {
-      regexPattern = `${regexPattern}([/\\\\]|$)`;
-    }
-
-    return new RegExp(regexPattern);
-  }
-
-  /**
-   * Load ignore patterns from .tponignore only
-   */
-  async loadIgnorePatterns() {
-    const patterns = [];
-
-    // Always ignore these FIRST (before loading user patterns)
-    patterns.push(
-      /(^|[\/\\])\.git([\/\\]|$)/,        // Git folder
-      /(^|[\/\\])_timepon\.yaml/,         // Timepon YAML
-      /(^|[\/\\])_timepon\.yaml\.backup\./, // Timepon backups
-    );
-
-    // Load .tponignore ONLY (don't read .gitignore)
-    const tponignorePath = path.join(this.workspaceRoot, '.tponignore');
-    const tponPatterns = await this.parseIgnoreFile(tponignorePath);
-    patterns.push(...tponPatterns);
-
-    return patterns;
-  }
-
-  async startWatching() {
-    // Load ignore patterns from files
-    const ignoredPatterns = await this.loadIgnorePatterns();
-    
-    console.error(`File watcher initialized with ${ignoredPatterns.length} ignore patterns`);
-
-    // Set initialization flag for batched save
-    this.isInitializing = true;
-
-    this.watcher = chokidar.watch(this.workspaceRoot, {
-      ignored: ignoredPatterns,
-      persistent: true,
-      ignoreInitial: false, // Process existing files on startup
-      awaitWriteFinish: {
-        stabilityThreshold: TimeponServer.WATCH_STABILITY_THRESHOLD,
-        pollInterval: TimeponServer.WATCH_POLL_INTERVAL,
-      },
-    });
-
-    this.watcher.on('add', async (filePath) => {
-      await this.handleFileCreation(filePath);
-    });
-
-    // After all initial files processed, save once
-    this.watcher.on('ready', async () => {
-      this.isInitializing = false;
-      await this.saveMetadata(); // Single save after startup
-      console.error('Initial file scan complete');
-    });
-
-    console.error('File watcher initialized');
-  }
-
-  async handleFileCreation(filePath) {
-    try {
-      // Normalize the path to absolute first
-      const absolutePath = path.resolve(filePath);
-      
-      // Convert to relative path from workspace root for storage
-      const relativePath = path.relative(this.workspaceRoot, absolutePath);
-      
-      // Skip parent directory references and invalid paths
-      if (relativePath.includes('..') || relativePath === '.' || relativePath === '') {
-        return;
-      }
-      
-      // Skip if already tracked
-      if (this.metadata.files[relativePath]) {
-        return;
-      }
-
-      const stats = await fs.stat(absolutePath);
-      
-      // CRITICAL: Skip directories - only track actual files
-      if (stats.isDirectory()) {
-        return;
-      }
-      
-      const content = await this.readFileContent(absolutePath, stats); // Pass stats
-      
-      // Generate metadata
-      const metadata = {
-        created: stats.birthtime.toISOString(),
-        summary: this.generateSummary(content, absolutePath),
-        tags: this.generateTags(content, absolutePath),
-      };
-
-      this.metadata.files[relativePath] = metadata;
-      
-      // Only save immediately during runtime
-      if (!this.isInitializing) {
-        await this.saveMetadata();
-      }
-
-      console.error(`Tracked new file: ${relativePath}`);
-    } catch (error) {
-      console.error(`Error handling file creation for ${filePath}:`, error.message);
-    }
-  }
-
-  async readFileContent(filePath, stats = null) {
-    try {
-      // Use provided stats or fetch if not provided
-      if (!stats) {
-        stats = await fs.stat(filePath);
-      }
-      
-      // Skip very large files
-      if (stats.size > TimeponServer.MAX_FILE_SIZE) {
-        return '';
-      }
-
-      // Read as buffer first for binary detection
-      const buffer = await fs.readFile(filePath);
-      
-      // Check if it's binary BEFORE converting to UTF-8
-      if (this.isBinary(buffer, filePath)) {
-        return '';
-      }
-
-      // Only convert to string if it's text
-      const content = buffer.toString('utf-8');
-      return content;
-    } catch (error) {
-      return '';
-    }
-  }
-
-  isBinary(bufferOrContent, filePath) {
-    // Check file extension first (fast path)
-    const ext = path.extname(filePath).toLowerCase();
-    const knownTextExts = ['.txt', '.md', '.json', '.js', '.ts', '.py', '.java', 
-                           '.cs', '.go', '.rb', '.php', '.html', '.css', '.xml', 
-                           '.yaml', '.yml', '.toml', '.ini', '.sh', '.bat', '.ps1'];
-    if (knownTextExts.includes(ext)) {
-      return false;
-    }
-    
-    const knownBinaryExts = ['.exe', '.dll', '.so', '.dylib', '.bin', '.dat',
-                             '.zip', '.tar', '.gz', '.7z', '.rar', '.jpg', '.jpeg',
-                             '.png', '.gif', '.bmp', '.pdf', '.doc', '.docx', '.xls'];
-    if (knownBinaryExts.includes(ext)) {
-      return true;
-    }
-    
-    // Convert to Buffer if it's a string (for backwards compatibility)
-    const buffer = Buffer.isBuffer(bufferOrContent) 
-      ? bufferOrContent 
-      : Buffer.from(bufferOrContent, 'utf-8');
-    
-    // Check magic bytes for common binary formats
-    if (buffer.length >= 4) {
-      // ZIP/JAR/DOCX (PK..)
-      if (buffer[0] === 0x50 && buffer[1] === 0x4B) return true;
-      // PNG
-      if (buffer[0] === 0x89 && buffer[1] === 0x50 && buffer[2] === 0x4E && buffer[3] === 0x47) return true;
-      // GIF
-      if (buffer[0] === 0x47 && buffer[1] === 0x49 && buffer[2] === 0x46) return true;
-      // JPEG
-      if (buffer[0] === 0xFF && buffer[1] === 0xD8) return true;
-      // PDF
-      if (buffer[0] === 0x25 && buffer[1] === 0x50 && buffer[2] === 0x44 && buffer[3] === 0x46) return true;
-    }
-    
-    // Fall back to non-printable character check
-    const sampleSize = Math.min(buffer.length, TimeponServer.BINARY_DETECTION_SAMPLE);
-    
-    // Guard against empty files
-    if (sampleSize === 0) {
-      return false; // Empty files are treated as text
-    }
-    
-    let nonPrintable = 0;
-    for (let i = 0; i < sampleSize; i++) {
-      const byte = buffer[i];
-      if (byte < 32 && byte !== 9 && byte !== 10 && byte !== 13) {
-        nonPrintable++;
-      }
-    }
-    
-    return nonPrintable / sampleSize > TimeponServer.BINARY_THRESHOLD;
-  }
-
-  generateSummary(content, filePath) {
-    const ext = path.extname(filePath);
-    
-    if (!content) {
-      return `${ext} file`;
-    }
-
-    // For markdown, get first heading or first line
-    if (ext === '.md') {
-      const lines = content.split('\n').filter(l => l.trim());
-      const heading = lines.find(l => l.startsWith('#'));
-      if (heading) {
-        return heading.replace(/^#+\s*/, '').slice(0, 80);
-      }
-      return lines[0]?.slice(0, 80) || 'Empty markdown file';
-    }
-
-    // For code files, look for class/function names or comments
-    if (['.js', '.ts', '.py', '.java', '.cs', '.go'].includes(ext)) {
-      const lines = content.split('\n').filter(l => l.trim());
-      const comment = lines.find(l => l.trim().startsWith('//') || l.trim().startsWith('#'));
-      if (comment) {
-        return comment.replace(/^[\/\/#]+\s*/, '').slice(0, 80);
-      }
-      return `${ext.slice(1)} source file`;
-    }
-
-    // Generic: first non-empty line
-    const firstLine = content.split('\n').find(l => l.trim());
-    return firstLine?.slice(0, 80) || path.basename(filePath);
-  }
-
-  generateTags(content, filePath) {
-    const tags = [];
-    const ext = path.extname(filePath).slice(1);
-    
-    if (ext) {
-      tags.push(ext);
-    }
-
-    // Detect file type categories
-    const codeExts = ['js', 'ts', 'py', 'java', 'cs', 'go', 'rb', 'php', 'cpp', 'c', 'rs'];
-    const docExts = ['md', 'txt', 'rst', 'adoc'];
-    const configExts = ['json', 'yaml', 'yml', 'toml', 'ini', 'env'];
-
-    if (codeExts.includes(ext)) {
-      tags.push('code');
-    } else if (docExts.includes(ext)) {
-      tags.push('docs');
-    } else if (configExts.includes(ext)) {
-      tags.push('config');
-    }
-
-    // Content-based tags for markdown
-    if (ext === 'md' && content) {
-      const lower = content.toLowerCase();
-      if (lower.includes('todo') || lower.includes('task')) tags.push('tasks');
-      if (lower.includes('api') || lower.includes('endpoint')) tags.push('api');
-      if (lower.includes('schema') || lower.includes('database')) tags.push('data');
-      if (lower.includes('architecture') || lower.includes('design')) tags.push('architecture');
-    }
-
-    return tags.slice(0, 3); // Max 3 tags
   }
 
   setupHandlers() {
     this.server.setRequestHandler(ListToolsRequestSchema, async () => ({
       tools: [
         {
-          name: 'get_all_files',
-          description: 'Get all tracked files with their metadata (creation time, summary, tags). Returns a list of all files being tracked in the workspace.',
+          name: 'get_all_files',
+          description: 'Get all tracked files with their metadata (creation time, summary, tags, modification history). Returns a list of all files being tracked in the workspace.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              include_deleted: {
+                type: 'boolean',
+                description: 'Also return deleted files (tombstones with a "deleted" timestamp)',
+                default: false,
+              },
+              include_archived: {
+                type: 'boolean',
+                description: 'Also return files moved away by archive_files (with "archived" and "archivePath")',
+                default: false,
+              },
+            },
+            additionalProperties: false,
+          },
+        },
+        {
+          name: 'get_files_by_tag',
+          description: 'Get files filtered by a specific tag (e.g., "md", "docs", "code", "config", "api", "data")',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              tag: {
+                type: 'string',
+                description: 'Tag to filter by. Common tags: md, js, ts, py, docs, code, config, api, tasks, data, architecture',
+              },
+            },
+            required: ['tag'],
+            additionalProperties: false,
+          },
+        },
+        {
+          name: 'get_recent_files',
+          description: 'Get files created within a specified time period (default: last 24 hours)',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              hours: {
+                type: 'number',
+                description: 'Number of hours to look back (e.g., 24 for last day, 1 for last hour)',
+                minimum: 0.1,
+                default: 24,
+              },
+            },
+            additionalProperties: false,
+          },
+        },
+        {
+          name: 'search_files',
+          description: 'Search files by filename, summary, markdown headings or front-matter title/description using text matching',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              query: {
+                type: 'string',
+                description: 'Search query to match against filename, summary or headings (case-insensitive)',
+                minLength: 1,
+              },
+            },
+            required: ['query'],
+            additionalProperties: false,
+          },
+        },
+        {
+          name: 'search_content',
+          description: 'Full-text search inside tracked text files, ranked by relevance (BM25). Words are ANDed; supports "exact phrases", OR, NOT or -word, and parentheses. Returns the best files with matching lines and their line numbers.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              query: {
+                type: 'string',
+                description: 'e.g. login "auth flow" -oauth, or (schema OR migration) NOT draft',
+                minLength: 1,
+              },
+              limit: {
+                type: 'number',
+                description: 'Maximum number of files to return',
+                minimum: 1,
+                maximum: 100,
+                default: Timepon.SEARCH_DEFAULT_LIMIT,
+              },
+              max_snippets: {
+                type: 'number',
+                description: 'Matching lines to return per file (0 for none)',
+                minimum: 0,
+                maximum: 20,
+                default: Timepon.SEARCH_SNIPPETS,
+              },
+            },
+            required: ['query'],
+            additionalProperties: false,
+          },
+        },
+        {
+          name: 'semantic_search',
+          description: 'Find files by meaning rather than exact words (e.g. "authentication flow" also finds a doc about the "login sequence"), using a local index built from the workspace itself - no network calls. Returns the closest files with their best-matching passages (line ranges and previews). Best for prose; use search_content for exact words.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              query: {
+                type: 'string',
+                description: 'What you are looking for, in a few words',
+                minLength: 1,
+              },
+              limit: {
+                type: 'number',
+                description: 'Maximum number of files to return',
+                minimum: 1,
+                maximum: 50,
+                default: 10,
+              },
+              rebuild: {
+                type: 'boolean',
+                description: 'Retrain the index on the current workspace before searching',
+                default: false,
+              },
+            },
+            required: ['query'],
+            additionalProperties: false,
+          },
+        },
+        {
+          name: 'get_files_by_structure',
+          description: 'Filter files by extracted structure: config kind (npm-manifest, mcp-config, ci-workflow, openapi-spec, tsconfig, docker-compose), markdown files with open checkbox tasks, front-matter keys, or link targets. Returns each file with its structure (outline, word count, tasks, links, top-level keys...). Filters combine with AND.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              kind: {
+                type: 'string',
+                description: 'Detected kind of a JSON/YAML file',
+                enum: ['npm-manifest', 'mcp-config', 'ci-workflow', 'openapi-spec', 'tsconfig', 'docker-compose'],
+              },
+              has_open_tasks: {
+                type: 'boolean',
+                description: 'Only markdown files with unchecked "- [ ]" tasks (true) or without them (false)',
+              },
+              front_matter_key: {
+                type: 'string',
+                description: 'Only markdown files whose front matter has this key (e.g. "status")',
+                minLength: 1,
+              },
+              links_to: {
+                type: 'string',
+                description: 'Only markdown files linking to a target containing this text (e.g. "SETUP.md" or "github.com")',
+                minLength: 1,
+              },
+            },
+            additionalProperties: false,
+          },
+        },
+        {
+          name: 'query_files',
+          description: 'Find files with combined filters (tags, path glob, created/modified date ranges, size, stale flag, git status), sorted and paged. All filters combine with AND. Use fields to return only what you need, and nextCursor to fetch the next page.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              tags_all: {
+                type: 'array',
+                items: { type: 'string', minLength: 1 },
+                description: 'Files must have every one of these tags',
+              },
+              tags_any: {
+                type: 'array',
+                items: { type: 'string', minLength: 1 },
+                description: 'Files must have at least one of these tags',
+              },
+              tags_none: {
+                type: 'array',
+                items: { type: 'string', minLength: 1 },
+                description: 'Files must have none of these tags',
+              },
+              path: {
+                type: 'array',
+                items: { type: 'string', minLength: 1 },
+                description: 'Glob patterns in .gitignore syntax (e.g. "docs/**/*.md", "*.test.js", "!drafts/"); a file matches if the patterns would ignore it',
+              },
+              created_after: {
+                type: 'string',
+                description: 'Created at or after this ISO date or date-time',
+              },
+              created_before: {
+                type: 'string',
+                description: 'Created before this ISO date or date-time',
+              },
+              modified_after: {
+                type: 'string',
+                description: 'Last changed at or after this ISO date or date-time (files never modified count from creation)',
+              },
+              modified_before: {
+                type: 'string',
+                description: 'Last changed before this ISO date or date-time',
+              },
+              min_size: {
+                type: 'number',
+                description: 'Minimum size in bytes',
+                minimum: 0,
+              },
+              max_size: {
+                type: 'number',
+                description: 'Maximum size in bytes',
+                minimum: 0,
+              },
+              stale: {
+                type: 'boolean',
+                description: 'Only files whose metadata could not be refreshed (true) or only the others (false)',
+              },
+              git_status: {
+                type: 'array',
+                items: { type: 'string', enum: GIT_STATUSES },
+                description: 'Only files with one of these git statuses',
+              },
+              sort: {
+                type: 'string',
+                enum: SORT_FIELDS,
+                description: 'Field to sort by',
+                default: 'created',
+              },
+              order: {
+                type: 'string',
+                enum: ['asc', 'desc'],
+                description: 'Sort direction (default: desc, or asc when sorting by path)',
+              },
+              limit: {
+                type: 'number',
+                description: 'Maximum number of files to return',
+                minimum: 1,
+                maximum: MAX_LIMIT,
+                default: DEFAULT_LIMIT,
+              },
+              offset: {
+                type: 'number',
+                description: 'Number of matching files to skip',
+                minimum: 0,
+                default: 0,
+              },
+              cursor: {
+                type: 'string',
+                description: 'nextCursor from a previous call with the same filters and sort; unlike offset, stays correct while files are being added',
+              },
+              fields: {
+                type: 'array',
+                items: { type: 'string', minLength: 1 },
+                description: 'Only return these fields for each file besides path (e.g. ["summary", "tags", "created"]); "size" adds the size in bytes',
+              },
+            },
+            additionalProperties: false,
+          },
+        },
+        {
+          name: 'get_file_history',
+          description: 'Get the timeline of a file (created, modified, renamed, deleted, re-summarized, retagged, annotated, attributed, archived, restored), newest first. Follows the file across renames.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              path: {
+                type: 'string',
+                description: 'File path relative to the workspace root (e.g., "docs/API.md")',
+                minLength: 1,
+              },
+              limit: {
+                type: 'number',
+                description: 'Maximum number of events to return',
+                minimum: 1,
+                default: 50,
+              },
+              offset: {
+                type: 'number',
+                description: 'Number of newest events to skip (use nextOffset from a previous call)',
+                minimum: 0,
+                default: 0,
+              },
+            },
+            required: ['path'],
+            additionalProperties: false,
+          },
+        },
+        {
+          name: 'get_uncommitted_files',
+          description: 'List tracked files that were never committed to git: untracked files git does not know about and files staged but not yet committed. Reads the local .git repository only.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              include_ignored: {
+                type: 'boolean',
+                description: 'Also list files ignored by .gitignore',
+                default: false,
+              },
+            },
+            additionalProperties: false,
+          },
+        },
+        {
+          name: 'reload_ignore_rules',
+          description: 'Reload .tponignore files now (this also happens automatically when they change). Removes entries that are now ignored and tracks files that are no longer ignored.',
+          inputSchema: {
+            type: 'object',
+            properties: {},
+            additionalProperties: false,
+          },
+        },
+        {
+          name: 'annotate_file',
+          description: 'Set a hand-written summary, notes or owner on a tracked file (e.g. "canonical setup doc"). Hand-set values are kept when the file changes or metadata is refreshed. Pass an empty string to clear a value and go back to the generated one.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              path: {
+                type: 'string',
+                description: 'File path relative to the workspace root',
+                minLength: 1,
+              },
+              summary: {
+                type: 'string',
+                description: 'Summary that replaces the generated one',
+              },
+              notes: {
+                type: 'string',
+                description: 'Free-form notes about the file',
+              },
+              owner: {
+                type: 'string',
+                description: 'Person or team responsible for the file',
+              },
+            },
+            required: ['path'],
+            additionalProperties: false,
+          },
+        },
+        {
+          name: 'tag_file',
+          description: 'Add tags to tracked files by hand. Hand-added tags are kept when tags are regenerated.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              paths: {
+                type: 'array',
+                items: { type: 'string', minLength: 1 },
+                description: 'File paths relative to the workspace root',
+                minItems: 1,
+              },
+              tags: {
+                type: 'array',
+                items: { type: 'string', minLength: 1 },
+                description: 'Tags to add (e.g. ["canonical"])',
+                minItems: 1,
+              },
+            },
+            required: ['paths', 'tags'],
+            additionalProperties: false,
+          },
+        },
+        {
+          name: 'untag_file',
+          description: 'Remove tags from tracked files. Removing a generated tag keeps it removed when tags are regenerated; tag_file adds it back.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              paths: {
+                type: 'array',
+                items: { type: 'string', minLength: 1 },
+                description: 'File paths relative to the workspace root',
+                minItems: 1,
+              },
+              tags: {
+                type: 'array',
+                items: { type: 'string', minLength: 1 },
+                description: 'Tags to remove',
+                minItems: 1,
+              },
+            },
+            required: ['paths', 'tags'],
+            additionalProperties: false,
+          },
+        },
+        {
+          name: 'register_session',
+          description: `Register the calling agent's session so files created from now on are attributed to it. Call at the start of a task (and again to keep it active); the session stays active for ttl_minutes after the last call. Returns the session id.`,
+          inputSchema: {
+            type: 'object',
+            properties: {
+              agent: {
+                type: 'string',
+                description: 'Name of the agent or tool (e.g. "cursor-agent", "claude-cli")',
+                minLength: 1,
+              },
+              session_id: {
+                type: 'string',
+                description: 'Id of an existing session to refresh or update; omit to start a new one',
+                minLength: 1,
+              },
+              prompt_summary: {
+                type: 'string',
+                description: 'One line describing what the session is working on',
+              },
+              ttl_minutes: {
+                type: 'number',
+                description: 'Minutes of inactivity after which the session stops claiming new files',
+                minimum: 1,
+                default: Timepon.SESSION_TTL_MINUTES,
+              },
+              end: {
+                type: 'boolean',
+                description: 'End the session: later files are no longer attributed to it',
+                default: false,
+              },
+            },
+            required: ['agent'],
+            additionalProperties: false,
+          },
+        },
+        {
+          name: 'record_creation',
+          description: 'Attribute specific files to a session: files already tracked are attributed now, files not created yet are attributed when they appear. Uses the most recently active session if session_id is omitted.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              paths: {
+                type: 'array',
+                items: { type: 'string', minLength: 1 },
+                description: 'File paths relative to the workspace root',
+                minItems: 1,
+              },
+              session_id: {
+                type: 'string',
+                description: 'Session returned by register_session',
+                minLength: 1,
+              },
+            },
+            required: ['paths'],
+            additionalProperties: false,
+          },
+        },
+        {
+          name: 'get_files_by_session',
+          description: 'List files created by a session or by an agent. Without arguments, lists all sessions with their file counts.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              session_id: {
+                type: 'string',
+                description: 'Session to list files for',
+                minLength: 1,
+              },
+              agent: {
+                type: 'string',
+                description: 'List files from all sessions of this agent',
+                minLength: 1,
+              },
+            },
+            additionalProperties: false,
+          },
+        },
+        {
+          name: 'create_snapshot',
+          description: 'Save a snapshot of the tracked files (paths, content hashes, summaries, tags) to compare against later, e.g. before starting an agent session. Snapshots are also taken automatically every hour.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              label: {
+                type: 'string',
+                description: 'Short description, e.g. "before auth refactor"',
+              },
+            },
+            additionalProperties: false,
+          },
+        },
+        {
+          name: 'list_snapshots',
+          description: 'List saved snapshots, newest first, with their ids, times, labels and file counts',
           inputSchema: {
             type: 'object',
             properties: {},
@@ -892,49 +557,139 @@ Ctrl+K Ctrl+0 = fold all | Ctrl+K Ctrl+J = unfold all
           },
         },
         {
-          name: 'get_files_by_tag',
-          description: 'Get files filtered by a specific tag (e.g., "md", "docs", "code", "config", "api", "data")',
+          name: 'diff_snapshots',
+          description: 'Compare the workspace at two points in time: files added, removed, renamed, modified, retagged and re-summarized. Each point is a snapshot id, an ISO timestamp (the latest snapshot at or before it is used) or "now" for the current state.',
           inputSchema: {
             type: 'object',
             properties: {
-              tag: {
+              from: {
                 type: 'string',
-                description: 'Tag to filter by. Common tags: md, js, ts, py, docs, code, config, api, tasks, data, architecture',
+                description: 'Earlier point: snapshot id or ISO timestamp (e.g. "2026-01-18T09:00:00")',
+                minLength: 1,
+              },
+              to: {
+                type: 'string',
+                description: 'Later point: snapshot id, ISO timestamp or "now"',
+                default: 'now',
               },
             },
-            required: ['tag'],
+            required: ['from'],
             additionalProperties: false,
           },
         },
         {
-          name: 'get_recent_files',
-          description: 'Get files created within a specified time period (default: last 24 hours)',
+          name: 'generate_report',
+          description: 'Activity report for a time range: files created per hour, top directories touched, tag distribution, largest new files and likely duplicates among new files. Markdown for reading, or JSON.',
           inputSchema: {
             type: 'object',
             properties: {
               hours: {
                 type: 'number',
-                description: 'Number of hours to look back (e.g., 24 for last day, 1 for last hour)',
+                description: 'Report on the last N hours (default 24)',
                 minimum: 0.1,
-                default: 24,
+              },
+              since: {
+                type: 'string',
+                description: 'Range start as an ISO date or date-time, instead of hours',
+              },
+              until: {
+                type: 'string',
+                description: 'Range end as an ISO date or date-time (default: now)',
+              },
+              format: {
+                type: 'string',
+                enum: ['markdown', 'json'],
+                description: 'Output format',
+                default: 'markdown',
               },
             },
             additionalProperties: false,
           },
         },
         {
-          name: 'search_files',
-          description: 'Search files by filename or summary content using text matching',
+          name: 'find_duplicates',
+          description: 'Find tracked files with identical content and clusters of near-duplicate text files (e.g. several setup guides saying the same thing), with similarity scores',
           inputSchema: {
             type: 'object',
             properties: {
-              query: {
+              min_similarity: {
+                type: 'number',
+                description: 'Minimum shingle similarity (0-1) for two text files to count as near-duplicates',
+                minimum: 0.1,
+                maximum: 1,
+                default: 0.5,
+              },
+            },
+            additionalProperties: false,
+          },
+        },
+        {
+          name: 'suggest_cleanup',
+          description: 'Rank tracked files that are likely clutter, with reasons: old and never modified, never committed, duplicated, not referenced from any other tracked file, or named like a throwaway copy (e.g. *_v2.md, NOTES_FINAL.md, test-*.js)',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              min_score: {
+                type: 'number',
+                description: 'Only return files scoring at least this much (higher means more likely clutter)',
+                minimum: 0,
+                default: 2,
+              },
+              limit: {
+                type: 'number',
+                description: 'Maximum number of files to return',
+                minimum: 1,
+                default: 20,
+              },
+            },
+            additionalProperties: false,
+          },
+        },
+        {
+          name: 'archive_files',
+          description: `Move tracked files into ${this.timepon.archiveDir}/<date>/ (keeping their folder structure) instead of deleting them. Their entries remember the archive location and reason, and restore_files moves them back. Use dry_run to preview.`,
+          inputSchema: {
+            type: 'object',
+            properties: {
+              paths: {
+                type: 'array',
+                items: { type: 'string', minLength: 1 },
+                description: 'Tracked file paths relative to the workspace root',
+                minItems: 1,
+              },
+              reason: {
                 type: 'string',
-                description: 'Search query to match against filename or summary (case-insensitive)',
-                minLength: 1,
+                description: 'Why the files are archived (e.g. "duplicate of SETUP.md")',
+              },
+              dry_run: {
+                type: 'boolean',
+                description: 'Only report where each file would go, without moving anything',
+                default: false,
               },
             },
-            required: ['query'],
+            required: ['paths'],
+            additionalProperties: false,
+          },
+        },
+        {
+          name: 'restore_files',
+          description: 'Move archived files back to their original paths (undo archive_files). Use dry_run to preview.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              paths: {
+                type: 'array',
+                items: { type: 'string', minLength: 1 },
+                description: 'Original paths of archived files, relative to the workspace root',
+                minItems: 1,
+              },
+              dry_run: {
+                type: 'boolean',
+                description: 'Only report what would be restored, without moving anything',
+                default: false,
+              },
+            },
+            required: ['paths'],
             additionalProperties: false,
           },
         },
@@ -954,21 +709,93 @@ Ctrl+K Ctrl+0 = fold all | Ctrl+K Ctrl+J = unfold all
       const { name, arguments: args } = request.params;
 
       try {
+        // Pick up changes written by another server on this workspace
+        await this.timepon.store.merge();
+        
         switch (name) {
           case 'get_all_files':
-            return await this.getAllFiles();
+            return respond(await this.timepon.getAllFiles(args?.include_deleted || false, args?.include_archived || false));
           
           case 'get_files_by_tag':
-            return await this.getFilesByTag(args.tag);
+            return respond(await this.timepon.getFilesByTag(args.tag));
           
           case 'get_recent_files':
-            return await this.getRecentFiles(args.hours || 24);
+            return respond(await this.timepon.getRecentFiles(args.hours || 24));
           
           case 'search_files':
-            return await this.searchFiles(args.query);
+            return respond(await this.timepon.searchFiles(args.query));
+          
+          case 'semantic_search':
+            return respond(await this.timepon.semanticSearch(args.query, args.limit ?? 10, args.rebuild === true));
+          
+          case 'search_content':
+            return respond(await this.timepon.searchContent(args.query, args.limit ?? Timepon.SEARCH_DEFAULT_LIMIT, args.max_snippets ?? Timepon.SEARCH_SNIPPETS));
+          
+          case 'get_files_by_structure':
+            return respond(await this.timepon.getFilesByStructure(args || {}));
+          
+          case 'query_files':
+            return respond(await this.timepon.queryFiles(args || {}));
+          
+          case 'get_file_history':
+            return respond(await this.timepon.getFileHistory(args.path, args.limit || 50, args.offset || 0));
+          
+          case 'get_uncommitted_files':
+            return respond(await this.timepon.getUncommittedFiles(args?.include_ignored || false));
+          
+          case 'reload_ignore_rules':
+            return respond(await this.timepon.reloadIgnoreRules());
+          
+          case 'annotate_file':
+            return respond(await this.timepon.annotateFile(args.path, args));
+          
+          case 'tag_file':
+            return respond(await this.timepon.changeManualTags(args.paths, args.tags, 'add'));
+          
+          case 'untag_file':
+            return respond(await this.timepon.changeManualTags(args.paths, args.tags, 'remove'));
+          
+          case 'register_session':
+            return respond(await this.timepon.registerSession(args));
+          
+          case 'record_creation':
+            return respond(await this.timepon.recordCreation(args.paths, args.session_id));
+          
+          case 'get_files_by_session':
+            return respond(await this.timepon.getFilesBySession(args?.session_id, args?.agent));
+          
+          case 'create_snapshot':
+            return respond(await this.timepon.takeSnapshot(args?.label));
+          
+          case 'list_snapshots':
+            return respond(await this.timepon.listSnapshots());
+          
+          case 'diff_snapshots':
+            return respond(await this.timepon.compareSnapshots(args.from, args.to ?? 'now'));
+          
+          case 'generate_report': {
+            const format = args?.format ?? 'markdown';
+            if (format !== 'markdown' && format !== 'json') {
+              throw new Error('format must be markdown or json');
+            }
+            const report = await this.timepon.generateReport(args || {});
+            return respond(format === 'json' ? report : renderReportMarkdown(report));
+          }
+          
+          case 'find_duplicates':
+            return respond(await this.timepon.findDuplicates(args?.min_similarity ?? 0.5));
+          
+          case 'suggest_cleanup':
+            return respond(await this.timepon.suggestCleanup(args?.min_score ?? 2, args?.limit || 20));
+          
+          case 'archive_files':
+            return respond(await this.timepon.archiveFiles(args.paths, args.reason, args.dry_run || false));
+          
+          case 'restore_files':
+            return respond(await this.timepon.restoreFiles(args.paths, args.dry_run || false));
           
           case 'refresh_metadata':
-            return await this.refreshMetadata();
+            return respond(describeRefresh(await this.timepon.refreshMetadata()));
           
           default:
             throw new Error(`Unknown tool: ${name}`);
@@ -987,193 +814,37 @@ Ctrl+K Ctrl+0 = fold all | Ctrl+K Ctrl+J = unfold all
     });
   }
 
-  async getAllFiles() {
-    const files = Object.entries(this.metadata.files)
-      .sort(([, a], [, b]) => new Date(b.created) - new Date(a.created))
-      .map(([filePath, metadata]) => ({
-        path: path.relative(this.workspaceRoot, filePath),
-        ...metadata,
-      }));
-
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify({ count: files.length, files }, null, 2),
-        },
-      ],
-    };
-  }
-
-  async getFilesByTag(tag) {
-    // Validate input
-    if (!tag || typeof tag !== 'string') {
-      throw new Error('Tag parameter must be a non-empty string');
-    }
-    
-    if (!this.metadata || !this.metadata.files) {
-      throw new Error('Metadata not initialized');
-    }
-    
-    const files = Object.entries(this.metadata.files)
-      .filter(([, metadata]) => metadata.tags.includes(tag))
-      .sort(([, a], [, b]) => new Date(b.created) - new Date(a.created))
-      .map(([filePath, metadata]) => ({
-        path: path.relative(this.workspaceRoot, filePath),
-        ...metadata,
-      }));
-
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify({ tag, count: files.length, files }, null, 2),
-        },
-      ],
+  setupErrorHandling() {
+    this.server.onerror = (error) => {
+      console.error('[MCP Error]', error);
     };
-  }
-
-  async getRecentFiles(hours) {
-    // Validate input
-    if (typeof hours !== 'number' || hours <= 0) {
-      throw new Error('Hours parameter must be a positive number');
-    }
-    
-    if (!this.metadata || !this.metadata.files) {
-      throw new Error('Metadata not initialized');
-    }
-    
-    const cutoff = new Date(Date.now() - hours * 60 * 60 * 1000);
-    
-    const files = Object.entries(this.metadata.files)
-      .filter(([, metadata]) => new Date(metadata.created) > cutoff)
-      .sort(([, a], [, b]) => new Date(b.created) - new Date(a.created))
-      .map(([filePath, metadata]) => ({
-        path: path.relative(this.workspaceRoot, filePath),
-        ...metadata,
-      }));
 
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify({ hours, count: files.length, files }, null, 2),
-        },
-      ],
-    };
+    process.on('SIGINT', () => this.shutdown('SIGINT'));
+    process.on('SIGTERM', () => this.shutdown('SIGTERM'));
   }
 
-  async searchFiles(query) {
-    // Validate input
-    if (!query || typeof query !== 'string') {
-      throw new Error('Query parameter must be a non-empty string');
-    }
-    
-    if (!this.metadata || !this.metadata.files) {
-      throw new Error('Metadata not initialized');
+  /**
+   * Stop watching and flush everything to disk before exiting
+   */
+  async shutdown(signal) {
+    if (this.timepon.isShuttingDown) {
+      return;
     }
+    console.error(`Received ${signal}, flushing metadata...`);
     
-    const lowerQuery = query.toLowerCase();
-    
-    const files = Object.entries(this.metadata.files)
-      .filter(([filePath, metadata]) => {
-        const fileName = path.basename(filePath).toLowerCase();
-        const summary = metadata.summary.toLowerCase();
-        return fileName.includes(lowerQuery) || summary.includes(lowerQuery);
-      })
-      .sort(([, a], [, b]) => new Date(b.created) - new Date(a.created))
-      .map(([filePath, metadata]) => ({
-        path: path.relative(this.workspaceRoot, filePath),
-        ...metadata,
-      }));
-
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify({ query, count: files.length, files }, null, 2),
-        },
-      ],
-    };
-  }
-
-  async refreshMetadata() {
-    console.error('Refreshing metadata...');
-    
-    const existingFiles = Object.keys(this.metadata.files);
-    let updatedCount = 0;
-    let errorCount = 0;
-    let staleCount = 0;
-    
-    // Performance: Process files in batches to avoid overwhelming the file system
-    // Batch size of 10 provides good balance between concurrency and resource usage
-    const BATCH_SIZE = 10;
-    
-    const refreshFile = async (filePath) => {
-      try {
-        // Check if file still exists
-        const stats = await fs.stat(filePath);
-        const content = await this.readFileContent(filePath, stats);
-        
-        // Update metadata (keep original creation time, remove stale flag)
-        this.metadata.files[filePath] = {
-          created: this.metadata.files[filePath].created, // Preserve original
-          summary: this.generateSummary(content, filePath),
-          tags: this.generateTags(content, filePath),
-        };
-        
-        updatedCount++;
-      } catch (error) {
-        // File no longer exists or is inaccessible
-        console.error(`Failed to refresh ${filePath}:`, error.message);
-        errorCount++;
-        
-        // Mark file as stale (metadata may be outdated)
-        this.metadata.files[filePath].stale = true;
-        this.metadata.files[filePath].staleReason = error.message;
-        staleCount++;
-      }
-    };
-    
-    // Process files in batches for better performance
-    for (let i = 0; i < existingFiles.length; i += BATCH_SIZE) {
-      const batch = existingFiles.slice(i, i + BATCH_SIZE);
-      await Promise.all(batch.map(refreshFile));
+    try {
+      await this.timepon.stop();
+      await this.server.close();
+    } catch (error) {
+      console.error('Error during shutdown:', error.message);
     }
     
-    // Save updated metadata
-    await this.saveMetadata();
-    
-    const message = staleCount > 0
-      ? `Metadata refresh complete. Updated ${updatedCount} files, ${staleCount} marked stale (${errorCount} errors).`
-      : `Metadata refresh complete. Updated ${updatedCount} files, ${errorCount} errors.`;
-    
-    return {
-      content: [
-        {
-          type: 'text',
-          text: message,
-        },
-      ],
-    };
-  }
-
-  setupErrorHandling() {
-    this.server.onerror = (error) => {
-      console.error('[MCP Error]', error);
-    };
-
-    process.on('SIGINT', async () => {
-      if (this.watcher) {
-        await this.watcher.close();
-      }
-      await this.server.close();
-      process.exit(0);
-    });
+    process.exit(0);
   }
 
   async run() {
-    await this.initialize();
+    this.setupErrorHandling();
+    await this.timepon.start();
     
     const transport = new StdioServerTransport();
     await this.server.connect(transport);
@@ -1181,6 +852,40 @@ Ctrl+K Ctrl+0 = fold all | Ctrl+K Ctrl+J = unfold all
     console.error('Timepon MCP server running');
   }
 }
+/**
+ * Explain the per-workspace setup when the server is started without one
+ */
+function printConfigurationHelp() {
+  console.error('\n=== TIMEPON CONFIGURATION ERROR ===');
+  console.error('TIMEPON_WORKSPACE environment variable not set!');
+  console.error('\nTimepon requires per-workspace configuration.');
+  console.error('\nQuick fix - Create .cursor/mcp.json in your workspace with:');
+  console.error('{');
+  console.error('  "mcpServers": {');
+  console.error('    "timepon": {');
+  console.error('      "command": "node",');
+  console.error('      "args": ["C:\\\\Users\\\\Fab2\\\\Desktop\\\\AI\\\\_timecop\\\\mcp-server\\\\index.js"],');
+  console.error('      "env": { "TIMEPON_WORKSPACE": "${workspaceFolder}" }');
+  console.error('    }');
+  console.error('  }');
+  console.error('}');
+  console.error('\nOr run the installer script - see README.md for details.\n');
+}
 
-const server = new TimeponServer();
-server.run().catch(console.error);
+export { TimeponServer };
+
+// Started as the MCP server (not imported)
+if (process.argv[1] && realpathSync(process.argv[1]) === __filename) {
+  if (!process.env.TIMEPON_WORKSPACE) {
+    printConfigurationHelp();
+    process.exit(1);
+  }
+  
+  try {
+    const server = new TimeponServer(process.env.TIMEPON_WORKSPACE);
+    server.run().catch(console.error);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,173 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createReadStream } from 'fs';
+import { createHash } from 'crypto';
+import { summarize } from './summary.js';
+import { extractStructure } from './structure.js';
+import { TagRules } from './tagging.js';
+
+/**
+ * Everything Timepon derives from a file's content: text reading with binary
+ * detection, the content hash, and the generated summary, tags and structure.
+ */
+
+export const MAX_FILE_SIZE = 1024 * 1024; // Larger files are tracked without reading their content
+export const BINARY_DETECTION_SAMPLE = 512; // bytes
+export const BINARY_THRESHOLD = 0.3; // 30% non-printable
+export const HASH_LENGTH = 16; // hex chars of sha256 kept per file
+
+const KNOWN_TEXT_EXTENSIONS = ['.txt', '.md', '.json', '.js', '.ts', '.py', '.java',
+  '.cs', '.go', '.rb', '.php', '.html', '.css', '.xml',
+  '.yaml', '.yml', '.toml', '.ini', '.sh', '.bat', '.ps1'];
+const KNOWN_BINARY_EXTENSIONS = ['.exe', '.dll', '.so', '.dylib', '.bin', '.dat',
+  '.zip', '.tar', '.gz', '.7z', '.rar', '.jpg', '.jpeg',
+  '.png', '.gif', '.bmp', '.pdf', '.doc', '.docx', '.xls'];
+
+/**
+ * Text content of a file; '' for binary, oversized or unreadable files
+ * @param {string} filePath - Absolute path
+ * @param {import('fs').Stats} [stats] - Already fetched stats, to save a call
+ */
+export async function readFileContent(filePath, stats = null) {
+  try {
+    if (!stats) {
+      stats = await fs.stat(filePath);
+    }
+
+    // Skip very large files
+    if (stats.size > MAX_FILE_SIZE) {
+      return '';
+    }
+
+    // Check for binary content before converting to UTF-8
+    const buffer = await fs.readFile(filePath);
+    if (isBinary(buffer, filePath)) {
+      return '';
+    }
+
+    return buffer.toString('utf-8');
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Whether content is binary: by extension first, then magic bytes, then the
+ * share of control characters at the start
+ * @param {Buffer|string} bufferOrContent
+ * @param {string} filePath - Used for its extension
+ */
+export function isBinary(bufferOrContent, filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (KNOWN_TEXT_EXTENSIONS.includes(ext)) {
+    return false;
+  }
+  if (KNOWN_BINARY_EXTENSIONS.includes(ext)) {
+    return true;
+  }
+
+  const buffer = Buffer.isBuffer(bufferOrContent)
+    ? bufferOrContent
+    : Buffer.from(bufferOrContent, 'utf-8');
+
+  // Check magic bytes for common binary formats
+  if (buffer.length >= 4) {
+    // ZIP/JAR/DOCX (PK..)
+    if (buffer[0] === 0x50 && buffer[1] === 0x4B) return true;
+    // PNG
+    if (buffer[0] === 0x89 && buffer[1] === 0x50 && buffer[2] === 0x4E && buffer[3] === 0x47) return true;
+    // GIF
+    if (buffer[0] === 0x47 && buffer[1] === 0x49 && buffer[2] === 0x46) return true;
+    // JPEG
+    if (buffer[0] === 0xFF && buffer[1] === 0xD8) return true;
+    // PDF
+    if (buffer[0] === 0x25 && buffer[1] === 0x50 && buffer[2] === 0x44 && buffer[3] === 0x46) return true;
+  }
+
+  // Fall back to non-printable character check
+  const sampleSize = Math.min(buffer.length, BINARY_DETECTION_SAMPLE);
+
+  // Empty files are treated as text
+  if (sampleSize === 0) {
+    return false;
+  }
+
+  let nonPrintable = 0;
+  for (let i = 0; i < sampleSize; i++) {
+    const byte = buffer[i];
+    if (byte < 32 && byte !== 9 && byte !== 10 && byte !== 13) {
+      nonPrintable++;
+    }
+  }
+
+  return nonPrintable / sampleSize > BINARY_THRESHOLD;
+}
+
+/**
+ * Shortened sha256 of a file's bytes, streamed so large files are fine
+ */
+export async function hashFile(filePath) {
+  const hash = createHash('sha256');
+  for await (const chunk of createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex').slice(0, HASH_LENGTH);
+}
+
+/**
+ * One-line summary of a file (per-language extractors live in lib/summary.js)
+ */
+export function generateSummary(content, filePath) {
+  return summarize(content, filePath);
+}
+
+const defaultTagRules = new TagRules();
+
+/**
+ * Tags for a file from tagging rules (lib/tagging.js), the built-in ones by default
+ * @param {string} content
+ * @param {string} relativePath - Forward-slash path relative to the workspace
+ * @param {TagRules} [tagRules] - e.g. a workspace's rules from loadTagRules()
+ */
+export function generateTags(content, relativePath, tagRules = defaultTagRules) {
+  return tagRules.tagsFor(content, relativePath);
+}
+
+/**
+ * Overlay hand-set values on generated ones. Generated values are recomputed on
+ * every change and refresh, so annotations are kept apart and reapplied.
+ */
+export function applyAnnotations(entry) {
+  const { summary, addedTags = [], removedTags = [] } = entry.annotations || {};
+
+  if (summary) {
+    entry.summary = summary;
+  }
+  entry.tags = [...new Set([...entry.tags.filter(tag => !removedTags.includes(tag)), ...addedTags])];
+
+  return entry;
+}
+
+/**
+ * Set the content-derived fields of an entry: summary, tags and, for documents
+ * and config files, structure. Annotations on the entry are reapplied.
+ * @param {object} entry - Store entry, updated in place
+ * @param {string} content
+ * @param {string} relativePath
+ * @param {TagRules} [tagRules]
+ * @returns {object} The entry
+ */
+export function applyContentMetadata(entry, content, relativePath, tagRules = defaultTagRules) {
+  entry.summary = generateSummary(content, relativePath);
+  entry.tags = generateTags(content, relativePath, tagRules);
+  applyAnnotations(entry);
+
+  const structure = extractStructure(content, relativePath);
+  if (structure) {
+    entry.structure = structure;
+  } else {
+    delete entry.structure;
+  }
+
+  return entry;
+}
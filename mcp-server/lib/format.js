@@ -0,0 +1,54 @@
+/**
+ * Human-readable dates, shared by the YAML comments, reports and the CLI
+ */
+
+/**
+ * Relative age, e.g. "just now", "5m ago", "3h ago", "2d ago", "6w ago"
+ */
+export function getRelativeTime(isoDate, now = new Date()) {
+  const diffMs = now - new Date(isoDate);
+  const diffMins = Math.floor(diffMs / 60000);
+  const diffHours = Math.floor(diffMs / 3600000);
+  const diffDays = Math.floor(diffMs / 86400000);
+
+  if (diffMins < 1) {
+    return 'just now';
+  } else if (diffMins < 60) {
+    return `${diffMins}m ago`;
+  } else if (diffHours < 24) {
+    return `${diffHours}h ago`;
+  } else if (diffDays < 7) {
+    return `${diffDays}d ago`;
+  }
+  return `${Math.floor(diffDays / 7)}w ago`;
+}
+
+/**
+ * Date and local time without the age, e.g. "18 Jan 2026 10:30" (or "18 Jan 2026")
+ */
+export function formatDate(isoDate, { time = true } = {}) {
+  const date = new Date(isoDate);
+  const dateStr = date.toLocaleDateString('en-GB', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+  });
+  const timeStr = time && date.toLocaleTimeString('en-GB', {
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+  return time ? `${dateStr} ${timeStr}` : dateStr;
+}
+
+/**
+ * Byte count in B, KB or MB
+ */
+export function formatSize(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
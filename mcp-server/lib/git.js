@@ -0,0 +1,145 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { toStoreKey } from './store.js';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Read-only view of the git repository around a workspace: when each file was
+ * first committed and where it stands now. Only the local repository is read.
+ */
+export class GitRepository {
+  static TIMEOUT = 15000; // ms
+  static PATHSPEC_LIMIT = 200; // Paths passed per git invocation
+
+  constructor(workspaceRoot) {
+    this.workspaceRoot = workspaceRoot;
+    this.available = false; // Workspace is inside a git work tree
+    this.firstCommits = new Map(); // relativePath -> { hash, date, author } of the commit that added it
+  }
+
+  async run(args) {
+    const { stdout } = await execFileAsync('git', ['-c', 'core.quotePath=false', ...args], {
+      cwd: this.workspaceRoot,
+      maxBuffer: 64 * 1024 * 1024,
+      timeout: GitRepository.TIMEOUT,
+    });
+    return stdout;
+  }
+
+  /**
+   * Read the commit that first added each file, relative to the workspace.
+   * Workspaces outside a git repository (or without git installed) skip all git metadata.
+   */
+  async load() {
+    this.firstCommits = new Map();
+
+    try {
+      this.available = (await this.run(['rev-parse', '--is-inside-work-tree'])).trim() === 'true';
+    } catch (error) {
+      this.available = false;
+    }
+
+    if (!this.available) {
+      console.error('Workspace is not a git repository, skipping git metadata');
+      return;
+    }
+
+    try {
+      const stdout = await this.run([
+        'log', '--reverse', '--relative', '-M', '--diff-filter=AR', '--name-status', '--format=%x01%H%x02%aI%x02%an',
+      ]);
+
+      // Oldest first: a file keeps the commit that first added it, and a rename
+      // carries that commit over to the new path
+      let commit = null;
+      for (const line of stdout.split('\n')) {
+        if (line.startsWith('\x01')) {
+          const [hash, date, author] = line.slice(1).split('\x02');
+          commit = { hash: hash.slice(0, 12), date: new Date(date).toISOString(), author: author.trim() };
+          continue;
+        }
+        if (!line.trim() || !commit) {
+          continue;
+        }
+
+        const [status, ...paths] = line.split('\t');
+        if (status === 'A') {
+          const relativePath = toStoreKey(paths[0]);
+          if (!this.firstCommits.has(relativePath)) {
+            this.firstCommits.set(relativePath, commit);
+          }
+        } else if (status.startsWith('R') && paths.length === 2) {
+          const [from, to] = paths.map(toStoreKey);
+          this.firstCommits.set(to, this.firstCommits.get(from) || commit);
+          this.firstCommits.delete(from);
+        }
+      }
+
+      console.error(`Loaded git history for ${this.firstCommits.size} files`);
+    } catch (error) {
+      // Unborn branch (no commits yet) or unreadable history
+      console.error('Git history unavailable:', error.message.split('\n')[0]);
+    }
+  }
+
+  /**
+   * Classify paths as untracked, staged (added but never committed),
+   * modified (committed with uncommitted changes), committed, or ignored by .gitignore.
+   * @param {string[]} relativePaths
+   * @returns {Promise<Map<string, string>>}
+   */
+  async status(relativePaths) {
+    const statuses = new Map();
+    if (!this.available || relativePaths.length === 0) {
+      return statuses;
+    }
+
+    // Small batches are passed as pathspecs; large ones query the whole workspace
+    const pathspecs = relativePaths.length <= GitRepository.PATHSPEC_LIMIT ? ['--', ...relativePaths] : [];
+    const list = async (args) => new Set(
+      (await this.run(['--literal-pathspecs', ...args, '-z', ...pathspecs])).split('\0').filter(Boolean).map(p => toStoreKey(p))
+    );
+
+    const [indexed, stagedNew, unstagedChanges, stagedChanges] = await Promise.all([
+      list(['ls-files']),
+      list(['diff', '--cached', '--name-only', '--relative', '--diff-filter=A']),
+      list(['diff', '--name-only', '--relative']),
+      list(['diff', '--cached', '--name-only', '--relative']),
+    ]);
+
+    // Only paths outside the index can be ignored
+    const candidates = relativePaths.filter(p => !indexed.has(p));
+    const ignored = new Set();
+    for (let i = 0; i < candidates.length; i += GitRepository.PATHSPEC_LIMIT) {
+      const chunk = candidates.slice(i, i + GitRepository.PATHSPEC_LIMIT);
+      let stdout;
+      try {
+        stdout = await this.run(['check-ignore', '--', ...chunk]);
+      } catch (error) {
+        // Exit code 1 means none of the paths are ignored
+        if (error.code !== 1) {
+          throw error;
+        }
+        stdout = error.stdout || '';
+      }
+      stdout.split('\n').filter(Boolean).forEach(p => ignored.add(toStoreKey(p)));
+    }
+
+    for (const relativePath of relativePaths) {
+      let status;
+      if (!indexed.has(relativePath)) {
+        status = ignored.has(relativePath) ? 'ignored' : 'untracked';
+      } else if (stagedNew.has(relativePath)) {
+        status = 'staged';
+      } else if (unstagedChanges.has(relativePath) || stagedChanges.has(relativePath)) {
+        status = 'modified';
+      } else {
+        status = 'committed';
+      }
+      statuses.set(relativePath, status);
+    }
+
+    return statuses;
+  }
+}
@@ -0,0 +1,70 @@
+import fs from 'fs/promises';
+
+/**
+ * The history journal (_timepon.history.jsonl): one JSON event per line,
+ * appended as files are created, modified, renamed, deleted and annotated.
+ */
+export class HistoryJournal {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.queue = Promise.resolve(); // Serializes appends
+  }
+
+  /**
+   * Append an event. Appends are queued so events land in order;
+   * failures are logged, never thrown.
+   * @param {string} type - e.g. created, modified, renamed, deleted
+   * @param {string} relativePath
+   * @param {object} [details] - Extra fields stored with the event
+   * @param {string} [at] - ISO timestamp (default: now)
+   */
+  record(type, relativePath, details = {}, at = new Date().toISOString()) {
+    const line = JSON.stringify({ at, type, path: relativePath, ...details }) + '\n';
+
+    this.queue = this.queue
+      .then(() => fs.appendFile(this.filePath, line, 'utf-8'))
+      .catch((error) => {
+        console.error(`Error writing history event for ${relativePath}:`, error.message);
+      });
+
+    return this.queue;
+  }
+
+  /**
+   * Wait for queued appends to land
+   */
+  flush() {
+    return this.queue;
+  }
+
+  /**
+   * All events, oldest first
+   */
+  async read() {
+    // Let queued appends land first
+    await this.queue;
+
+    let content;
+    try {
+      content = await fs.readFile(this.filePath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const events = [];
+    for (const line of content.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        events.push(JSON.parse(line));
+      } catch (error) {
+        // A torn final line from a crash - skip it
+      }
+    }
+    return events;
+  }
+}
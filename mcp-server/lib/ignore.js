@@ -0,0 +1,328 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// POSIX character classes supported inside [...] (as in git's wildmatch)
+const CHARACTER_CLASSES = {
+  alnum: 'a-zA-Z0-9',
+  alpha: 'a-zA-Z',
+  blank: ' \\t',
+  digit: '0-9',
+  lower: 'a-z',
+  punct: '!-\\/:-@\\[-`{-~',
+  space: ' \\t\\n\\r\\f\\v',
+  upper: 'A-Z',
+  xdigit: '0-9a-fA-F',
+};
+
+const escapeRegex = (char) => char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+/**
+ * Convert a bracket expression starting at glob[start] ('[') to a regex class.
+ * Returns null when the bracket is never closed (it is then a literal '[').
+ */
+function bracketToRegex(glob, start) {
+  let i = start + 1;
+  let negated = false;
+
+  if (glob[i] === '!' || glob[i] === '^') {
+    negated = true;
+    i++;
+  }
+
+  let body = '';
+  let first = true;
+
+  while (i < glob.length) {
+    const char = glob[i];
+
+    // A ']' straight after the opening bracket is a literal
+    if (char === ']' && !first) {
+      // '/' never matches inside a bracket expression
+      return { source: negated ? `[^/${body}]` : `[${body}]`, end: i };
+    }
+
+    const posix = glob.slice(i).match(/^\[:([a-z]+):\]/);
+    if (posix && CHARACTER_CLASSES[posix[1]]) {
+      body += CHARACTER_CLASSES[posix[1]];
+      i += posix[0].length;
+    } else if (char === '\\' && i + 1 < glob.length) {
+      body += escapeRegex(glob[i + 1]);
+      i += 2;
+    } else if (char === '-' && !first && glob[i + 1] !== ']') {
+      body += '-';
+      i++;
+    } else {
+      body += escapeRegex(char);
+      i++;
+    }
+
+    first = false;
+  }
+
+  return null;
+}
+
+/**
+ * Convert one path segment (no '/') to regex source
+ */
+function segmentToRegex(segment) {
+  let source = '';
+
+  for (let i = 0; i < segment.length; i++) {
+    const char = segment[i];
+
+    if (char === '\\' && i + 1 < segment.length) {
+      source += escapeRegex(segment[++i]);
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const bracket = bracketToRegex(segment, i);
+      if (bracket) {
+        source += bracket.source;
+        i = bracket.end;
+      } else {
+        source += '\\[';
+      }
+    } else {
+      source += escapeRegex(char);
+    }
+  }
+
+  return source;
+}
+
+/**
+ * Convert a gitignore glob (already stripped of '!', leading and trailing '/') to regex source.
+ * '**' is only special as a whole segment; elsewhere it behaves like '*'.
+ */
+function globToRegexSource(glob) {
+  const segments = glob.split('/');
+  let source = '';
+
+  segments.forEach((segment, i) => {
+    const isFirst = i === 0;
+    const isLast = i === segments.length - 1;
+
+    if (segment === '**') {
+      if (isFirst && isLast) {
+        source += '.*';
+      } else if (isFirst) {
+        source += '(?:.*/)?'; // "**/foo" - foo in any directory
+      } else if (isLast) {
+        source += '/.*'; // "foo/**" - everything inside foo
+      } else {
+        source += '/(?:.*/)?'; // "a/**/b" - zero or more directories between
+      }
+      return;
+    }
+
+    if (!isFirst && segments[i - 1] !== '**') {
+      source += '/';
+    }
+    source += segmentToRegex(segment);
+  });
+
+  return source;
+}
+
+/**
+ * Parse a single ignore-file line into a rule, or null for blanks and comments
+ */
+export function parseIgnoreLine(line, { base = '', source = null, ignoreCase = false } = {}) {
+  let text = line.replace(/\r$/, '');
+
+  // Trailing spaces are ignored unless escaped with a backslash
+  while (text.endsWith(' ') && !text.endsWith('\\ ')) {
+    text = text.slice(0, -1);
+  }
+
+  if (!text || text.startsWith('#')) {
+    return null;
+  }
+
+  let negated = false;
+  if (text.startsWith('!')) {
+    negated = true;
+    text = text.slice(1);
+  } else if (text.startsWith('\\!') || text.startsWith('\\#')) {
+    text = text.slice(1);
+  }
+
+  let directoryOnly = false;
+  if (text.endsWith('/')) {
+    directoryOnly = true;
+    text = text.replace(/\/+$/, '');
+  }
+
+  // A slash at the start or in the middle anchors the pattern to its file's directory
+  const anchored = text.includes('/');
+  text = text.replace(/^\/+/, '');
+
+  if (!text) {
+    return null;
+  }
+
+  const body = globToRegexSource(text);
+  const regex = new RegExp(anchored ? `^${body}$` : `^(?:.*/)?${body}$`, ignoreCase ? 'i' : '');
+
+  return { pattern: line.trim(), base, source, negated, directoryOnly, regex };
+}
+
+/**
+ * Matcher implementing .gitignore semantics for workspace-relative, forward-slash paths.
+ *
+ * Rules are evaluated in the order they were added and the last match wins,
+ * so files from deeper directories must be added after their parents. A path
+ * inside an ignored directory stays ignored whatever later rules say.
+ */
+export class IgnoreMatcher {
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.ignoreCase] - Match case-insensitively (Windows and macOS filesystems)
+   * @param {string[]} [options.always] - Patterns that are always ignored and cannot be negated
+   */
+  constructor({ ignoreCase = false, always = [] } = {}) {
+    this.ignoreCase = ignoreCase;
+    this.rules = [];
+    this.sources = []; // Ignore files that contributed rules
+    this.alwaysRules = always
+      .map(pattern => parseIgnoreLine(pattern, { source: '(built-in)', ignoreCase }))
+      .filter(Boolean);
+    this.directoryCache = new Map();
+  }
+
+  /**
+   * Add the rules from an ignore file's content.
+   * @param {string} content - File content
+   * @param {string} [base] - Directory of the ignore file, relative to the workspace ('' for root)
+   * @param {string} [source] - Name to report for these rules
+   */
+  add(content, base = '', source = null) {
+    const rules = content
+      .split('\n')
+      .map(line => parseIgnoreLine(line, { base, source, ignoreCase: this.ignoreCase }))
+      .filter(Boolean);
+
+    this.rules.push(...rules);
+    if (source) {
+      this.sources.push(source);
+    }
+    this.directoryCache.clear();
+    return rules.length;
+  }
+
+  /**
+   * Whether a workspace-relative path is ignored
+   * @param {string} relativePath - Forward-slash path relative to the workspace root
+   * @param {boolean} [isDirectory] - Whether the path is a directory (for patterns ending in '/')
+   */
+  ignores(relativePath, isDirectory = false) {
+    const parts = relativePath.split('/').filter(Boolean);
+    if (parts.length === 0) {
+      return false;
+    }
+
+    // An excluded parent directory cannot be re-included from inside
+    for (let i = 1; i < parts.length; i++) {
+      if (this.testDirectory(parts.slice(0, i).join('/'))) {
+        return true;
+      }
+    }
+
+    const target = parts.join('/');
+    return isDirectory ? this.testDirectory(target) : this.test(target, false);
+  }
+
+  testDirectory(relativePath) {
+    if (!this.directoryCache.has(relativePath)) {
+      this.directoryCache.set(relativePath, this.test(relativePath, true));
+    }
+    return this.directoryCache.get(relativePath);
+  }
+
+  /**
+   * Evaluate rules against a single path, ignoring its parents
+   */
+  test(relativePath, isDirectory) {
+    if (this.alwaysRules.some(rule => this.matchesRule(rule, relativePath, isDirectory))) {
+      return true;
+    }
+
+    let ignored = false;
+    for (const rule of this.rules) {
+      // Only rules that would flip the current outcome need checking
+      if (rule.negated !== ignored) {
+        continue;
+      }
+      if (this.matchesRule(rule, relativePath, isDirectory)) {
+        ignored = !rule.negated;
+      }
+    }
+    return ignored;
+  }
+
+  matchesRule(rule, relativePath, isDirectory) {
+    if (rule.directoryOnly && !isDirectory) {
+      return false;
+    }
+
+    let local = relativePath;
+    if (rule.base) {
+      if (!relativePath.startsWith(`${rule.base}/`)) {
+        return false;
+      }
+      local = relativePath.slice(rule.base.length + 1);
+    }
+
+    return rule.regex.test(local);
+  }
+}
+
+/**
+ * Build a matcher from every ignore file in a workspace, including nested ones.
+ * Directories that are already ignored are not searched.
+ *
+ * @param {string} root - Absolute workspace root
+ * @param {object} [options]
+ * @param {string[]} [options.fileNames] - Ignore file names read in each directory, lowest precedence first
+ * @param {string[]} [options.always] - Patterns that can never be re-included
+ * @param {boolean} [options.ignoreCase]
+ * @returns {Promise<IgnoreMatcher>}
+ */
+export async function loadWorkspaceIgnores(root, { fileNames = ['.tponignore'], always = [], ignoreCase = false } = {}) {
+  const matcher = new IgnoreMatcher({ ignoreCase, always });
+
+  const walk = async (dir) => {
+    for (const fileName of fileNames) {
+      const relativeFile = dir ? `${dir}/${fileName}` : fileName;
+      try {
+        const content = await fs.readFile(path.join(root, relativeFile), 'utf-8');
+        matcher.add(content, dir, relativeFile);
+      } catch (error) {
+        // No ignore file at this level
+      }
+    }
+
+    let entries;
+    try {
+      entries = await fs.readdir(path.join(root, dir), { withFileTypes: true });
+    } catch (error) {
+      return;
+    }
+
+    for (const entry of entries) {
+      if (!entry.isDirectory()) {
+        continue;
+      }
+      const child = dir ? `${dir}/${entry.name}` : entry.name;
+      if (!matcher.ignores(child, true)) {
+        await walk(child);
+      }
+    }
+  };
+
+  await walk('');
+  return matcher;
+}
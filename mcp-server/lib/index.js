@@ -0,0 +1,33 @@
+/**
+ * Timepon as a library. The MCP server (../index.js) and the CLI (../cli.js)
+ * are thin layers over these modules.
+ *
+ *   Timepon         A tracked workspace: start()/stop(), open(), scanOnce() and every query
+ *   MetadataStore   Reads and writes _timepon.yaml (atomic, merged across processes)
+ *   Scanner         Initial scan and file watching that keep the store current
+ *   extractor       Content reading, hashing, summaries, tags and structure of single files
+ *   IgnoreMatcher   .tponignore/.gitignore matching
+ *   renderMetadata  The _timepon.yaml writer
+ */
+
+export { Timepon } from './timepon.js';
+export { MetadataStore, parseMetadata, parseLegacyDate, toStoreKey, isLiveEntry, SCHEMA_VERSION } from './store.js';
+export { Scanner } from './scanner.js';
+export { WorkspaceLock, withDirectoryLock } from './lock.js';
+export { HistoryJournal } from './history.js';
+export { GitRepository } from './git.js';
+export {
+  readFileContent,
+  isBinary,
+  hashFile,
+  generateSummary,
+  generateTags,
+  applyAnnotations,
+  applyContentMetadata,
+} from './extractor.js';
+export { renderMetadata, getFileIcon } from './render.js';
+export { IgnoreMatcher, loadWorkspaceIgnores, parseIgnoreLine } from './ignore.js';
+export { TagRules, loadTagRules, DEFAULT_TAG_RULES, TAG_RULES_FILE } from './tagging.js';
+export { summarize, registerSummaryExtractor } from './summary.js';
+export { extractStructure } from './structure.js';
+export { buildReport, renderReportMarkdown } from './report.js';
@@ -0,0 +1,195 @@
+import fs from 'fs/promises';
+import os from 'os';
+import { randomUUID } from 'crypto';
+
+/**
+ * The workspace lock (_timepon.lock): one process at a time watches a
+ * workspace. The file holds the owner's identity; its mtime is the heartbeat.
+ */
+export class WorkspaceLock {
+  static HEARTBEAT_INTERVAL = 10000; // ms between heartbeats
+  static STALE_AFTER = 30000; // ms without a heartbeat before the lock is considered abandoned
+
+  /**
+   * @param {string} lockPath
+   * @param {object} [options]
+   * @param {string} [options.instanceId] - Identifies this holder across processes and restarts
+   */
+  constructor(lockPath, { instanceId = randomUUID() } = {}) {
+    this.lockPath = lockPath;
+    this.instanceId = instanceId;
+  }
+
+  /**
+   * Create the lock, taking over a stale one
+   * @returns {Promise<boolean>} Whether this instance now holds the lock
+   */
+  async acquire() {
+    const owner = {
+      pid: process.pid,
+      hostname: os.hostname(),
+      instanceId: this.instanceId,
+      startedAt: new Date().toISOString(),
+    };
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        await fs.writeFile(this.lockPath, JSON.stringify(owner, null, 2), { flag: 'wx' });
+        return true;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          console.error('Warning: Could not create workspace lock, running as follower:', error.message);
+          return false;
+        }
+      }
+
+      const holder = await this.read();
+      const staleReason = this.staleReason(holder);
+
+      if (!staleReason) {
+        console.error(`Another Timepon server (pid ${holder.owner?.pid ?? 'unknown'}) owns this workspace; running as follower`);
+        return false;
+      }
+
+      // Move the stale lock aside atomically so only one process clears it
+      console.error(`Recovering stale workspace lock: ${staleReason}`);
+      const asidePath = `${this.lockPath}.stale-${this.instanceId}`;
+      try {
+        await fs.rename(this.lockPath, asidePath);
+      } catch (error) {
+        continue;
+      }
+
+      // Another process may have replaced the stale lock with its own since it was read
+      const moved = await this.read(asidePath);
+      if (moved && (!holder || moved.owner?.instanceId !== holder.owner?.instanceId || moved.heartbeat !== holder.heartbeat)) {
+        // link never overwrites, so a lock created meanwhile is left alone
+        await fs.link(asidePath, this.lockPath).catch(() => {});
+        await fs.rm(asidePath, { force: true });
+        console.error(`Another Timepon server (pid ${moved.owner?.pid ?? 'unknown'}) took over this workspace first; running as follower`);
+        return false;
+      }
+      await fs.rm(asidePath, { force: true });
+    }
+
+    return false;
+  }
+
+  /**
+   * Current holder, or null without a lock file
+   * @param {string} [filePath] - A lock file moved elsewhere
+   * @returns {Promise<{ owner: object|null, heartbeat: number }|null>}
+   */
+  async read(filePath = this.lockPath) {
+    try {
+      const [content, stats] = await Promise.all([
+        fs.readFile(filePath, 'utf-8'),
+        fs.stat(filePath),
+      ]);
+      let owner = null;
+      try {
+        owner = JSON.parse(content);
+      } catch (error) {
+        // Partially written lock - judge it by its heartbeat alone
+      }
+      return { owner, heartbeat: stats.mtimeMs };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Why a lock can be taken over, or null if its holder looks alive
+   */
+  staleReason(holder) {
+    if (!holder) {
+      return 'lock file disappeared';
+    }
+
+    const silentFor = Date.now() - holder.heartbeat;
+    if (silentFor > WorkspaceLock.STALE_AFTER) {
+      return `no heartbeat for ${Math.round(silentFor / 1000)}s`;
+    }
+
+    // On the same machine a dead PID means a crash, no need to wait out the heartbeat
+    const { owner } = holder;
+    if (owner && owner.hostname === os.hostname() && owner.pid !== process.pid) {
+      try {
+        process.kill(owner.pid, 0);
+      } catch (error) {
+        if (error.code === 'ESRCH') {
+          return `process ${owner.pid} is no longer running`;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether the lock file still names this instance
+   */
+  async isHeld() {
+    const holder = await this.read();
+    return holder?.owner?.instanceId === this.instanceId;
+  }
+
+  /**
+   * Refresh the heartbeat
+   */
+  async touch() {
+    const now = new Date();
+    await fs.utimes(this.lockPath, now, now);
+  }
+
+  /**
+   * Remove the lock if this instance holds it
+   */
+  async release() {
+    if (await this.isHeld()) {
+      await fs.rm(this.lockPath, { force: true });
+    }
+  }
+}
+
+/**
+ * Run fn while holding a short-lived cross-process lock, for read-modify-write
+ * of shared files. mkdir is atomic, so the directory itself is the lock.
+ * @param {string} lockDir - Created while fn runs, removed afterwards
+ * @param {Function} fn
+ * @param {object} [options]
+ * @param {number} [options.timeout] - ms to wait for another holder
+ * @param {number} [options.stale] - ms after which a lock left by a crash is broken
+ */
+export async function withDirectoryLock(lockDir, fn, { timeout = 10000, stale = 15000 } = {}) {
+  const deadline = Date.now() + timeout;
+
+  while (true) {
+    try {
+      await fs.mkdir(lockDir);
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+
+      // Break locks left behind by a process that crashed mid-write
+      const stats = await fs.stat(lockDir).catch(() => null);
+      if (stats && Date.now() - stats.mtimeMs > stale) {
+        await fs.rm(lockDir, { recursive: true, force: true });
+        continue;
+      }
+
+      if (Date.now() > deadline) {
+        throw new Error('Timed out waiting for another Timepon server to finish writing');
+      }
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await fs.rm(lockDir, { recursive: true, force: true });
+  }
+}
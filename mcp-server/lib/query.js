@@ -0,0 +1,284 @@
+import { IgnoreMatcher } from './ignore.js';
+
+/**
+ * Combined filtering, sorting, pagination and projection over tracked entries,
+ * for the query_files tool. Records are `{ path, ...entry }`, plus `size` in
+ * bytes when the query needs it (see `needsSize`).
+ */
+
+export const DEFAULT_LIMIT = 50;
+export const MAX_LIMIT = 500;
+
+export const SORT_FIELDS = ['created', 'modified', 'path', 'size', 'modifications'];
+export const GIT_STATUSES = ['untracked', 'staged', 'modified', 'committed', 'ignored'];
+
+const DATE_PARAMS = ['created_after', 'created_before', 'modified_after', 'modified_before'];
+
+const asList = (value) => (value === undefined ? [] : [].concat(value));
+
+function parseDate(value, name) {
+  const time = new Date(value).getTime();
+  if (typeof value !== 'string' || Number.isNaN(time)) {
+    throw new Error(`${name} must be an ISO date or date-time (e.g. 2026-01-18 or 2026-01-18T10:30:00Z)`);
+  }
+  return time;
+}
+
+function parseSize(value, name) {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (typeof value !== 'number' || value < 0) {
+    throw new Error(`${name} must be a non-negative number of bytes`);
+  }
+  return value;
+}
+
+/**
+ * Validate tool arguments and compile them into a query
+ * @param {object} args - query_files arguments (snake_case)
+ * @param {object} [options]
+ * @param {boolean} [options.ignoreCase] - Match path patterns case-insensitively
+ */
+export function parseQuery(args = {}, { ignoreCase = false } = {}) {
+  const tags = {};
+  for (const mode of ['all', 'any', 'none']) {
+    const list = asList(args[`tags_${mode}`]);
+    if (list.some(tag => typeof tag !== 'string' || !tag)) {
+      throw new Error(`tags_${mode} must be a list of tags`);
+    }
+    if (list.length > 0) {
+      tags[mode] = list;
+    }
+  }
+
+  let paths = null;
+  const patterns = asList(args.path);
+  if (patterns.length > 0) {
+    if (patterns.some(pattern => typeof pattern !== 'string' || !pattern.trim())) {
+      throw new Error('path must be a glob pattern or a list of them');
+    }
+    paths = new IgnoreMatcher({ ignoreCase });
+    paths.add(patterns.join('\n'));
+  }
+
+  const dates = {};
+  for (const name of DATE_PARAMS) {
+    if (args[name] !== undefined) {
+      dates[name] = parseDate(args[name], name);
+    }
+  }
+
+  const gitStatus = asList(args.git_status);
+  const unknownStatus = gitStatus.filter(status => !GIT_STATUSES.includes(status));
+  if (unknownStatus.length > 0) {
+    throw new Error(`Unknown git_status ${unknownStatus.join(', ')} (expected ${GIT_STATUSES.join(', ')})`);
+  }
+
+  if (args.stale !== undefined && typeof args.stale !== 'boolean') {
+    throw new Error('stale must be true or false');
+  }
+
+  const sort = args.sort ?? 'created';
+  if (!SORT_FIELDS.includes(sort)) {
+    throw new Error(`sort must be one of ${SORT_FIELDS.join(', ')}`);
+  }
+  const order = args.order ?? (sort === 'path' ? 'asc' : 'desc');
+  if (order !== 'asc' && order !== 'desc') {
+    throw new Error('order must be asc or desc');
+  }
+
+  const limit = args.limit ?? DEFAULT_LIMIT;
+  if (typeof limit !== 'number' || limit < 1 || limit > MAX_LIMIT) {
+    throw new Error(`limit must be between 1 and ${MAX_LIMIT}`);
+  }
+  const offset = args.offset ?? 0;
+  if (typeof offset !== 'number' || offset < 0) {
+    throw new Error('offset must be a non-negative number');
+  }
+  if (args.cursor !== undefined && args.offset !== undefined) {
+    throw new Error('Use either cursor or offset, not both');
+  }
+
+  let after = null;
+  if (args.cursor !== undefined) {
+    after = decodeCursor(args.cursor, sort, order);
+  }
+
+  const fields = args.fields === undefined ? null : asList(args.fields);
+  if (fields && fields.some(field => typeof field !== 'string' || !field)) {
+    throw new Error('fields must be a list of field names');
+  }
+
+  return {
+    tags,
+    paths,
+    dates,
+    minSize: parseSize(args.min_size, 'min_size'),
+    maxSize: parseSize(args.max_size, 'max_size'),
+    stale: args.stale,
+    gitStatus: gitStatus.length > 0 ? gitStatus : null,
+    sort,
+    order,
+    limit: Math.floor(limit),
+    offset: Math.floor(offset),
+    after,
+    fields,
+  };
+}
+
+/**
+ * Whether records need a `size`, which is not stored and must be read from disk
+ */
+export function needsSize(query) {
+  return query.minSize !== undefined || query.maxSize !== undefined || query.sort === 'size' || Boolean(query.fields?.includes('size'));
+}
+
+const modifiedTime = (record) => new Date(record.lastModified || record.created).getTime();
+
+function matches(record, query) {
+  const { tags, dates } = query;
+  const recordTags = record.tags || [];
+
+  if (tags.all && !tags.all.every(tag => recordTags.includes(tag))) {
+    return false;
+  }
+  if (tags.any && !tags.any.some(tag => recordTags.includes(tag))) {
+    return false;
+  }
+  if (tags.none && tags.none.some(tag => recordTags.includes(tag))) {
+    return false;
+  }
+  if (query.paths && !query.paths.ignores(record.path)) {
+    return false;
+  }
+
+  const created = new Date(record.created).getTime();
+  if (dates.created_after !== undefined && !(created >= dates.created_after)) {
+    return false;
+  }
+  if (dates.created_before !== undefined && !(created < dates.created_before)) {
+    return false;
+  }
+  const modified = modifiedTime(record);
+  if (dates.modified_after !== undefined && !(modified >= dates.modified_after)) {
+    return false;
+  }
+  if (dates.modified_before !== undefined && !(modified < dates.modified_before)) {
+    return false;
+  }
+
+  // Files whose size couldn't be read never match a size filter
+  if (query.minSize !== undefined && !(record.size >= query.minSize)) {
+    return false;
+  }
+  if (query.maxSize !== undefined && !(record.size <= query.maxSize)) {
+    return false;
+  }
+  if (query.stale !== undefined && Boolean(record.stale) !== query.stale) {
+    return false;
+  }
+  if (query.gitStatus && !query.gitStatus.includes(record.gitStatus)) {
+    return false;
+  }
+  return true;
+}
+
+function sortValue(record, sort) {
+  switch (sort) {
+    case 'created':
+      return new Date(record.created).getTime();
+    case 'modified':
+      return modifiedTime(record);
+    case 'size':
+      return record.size ?? -1;
+    case 'modifications':
+      return record.modifications || 0;
+    default:
+      return record.path;
+  }
+}
+
+/**
+ * Compare by the sort field, then by ascending path so the order is total and
+ * stable across calls (which cursors rely on)
+ */
+function compareKeys([valueA, pathA], [valueB, pathB], order) {
+  if (valueA !== valueB) {
+    return (valueA < valueB ? -1 : 1) * (order === 'desc' ? -1 : 1);
+  }
+  if (pathA !== pathB) {
+    return pathA < pathB ? -1 : 1;
+  }
+  return 0;
+}
+
+/**
+ * Opaque cursor holding the sort key of the last record returned. Unlike an
+ * offset, it doesn't skip or repeat files when files are added between pages.
+ */
+export function encodeCursor(key, sort, order) {
+  return Buffer.from(JSON.stringify({ k: key, s: sort, o: order })).toString('base64url');
+}
+
+export function decodeCursor(cursor, sort, order) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf-8'));
+  } catch {
+    decoded = null;
+  }
+  if (!decoded || !Array.isArray(decoded.k) || decoded.k.length !== 2) {
+    throw new Error('Invalid cursor');
+  }
+  if (decoded.s !== sort || decoded.o !== order) {
+    throw new Error(`Cursor was created for sort ${decoded.s} ${decoded.o}; repeat the same sort and order`);
+  }
+  return decoded.k;
+}
+
+function project(record, fields) {
+  if (!fields) {
+    return record;
+  }
+  const projected = { path: record.path };
+  for (const field of fields) {
+    if (record[field] !== undefined) {
+      projected[field] = record[field];
+    }
+  }
+  return projected;
+}
+
+/**
+ * Filter, sort and page records
+ * @param {object[]} records - `{ path, ...entry }` objects
+ * @param {object} query - From parseQuery
+ * @returns {{ total: number, offset: number, count: number, nextOffset: number|null, nextCursor: string|null, files: object[] }}
+ */
+export function runQuery(records, query) {
+  const keyed = records
+    .filter(record => matches(record, query))
+    .map(record => ({ record, key: [sortValue(record, query.sort), record.path] }))
+    .sort((a, b) => compareKeys(a.key, b.key, query.order));
+
+  let start = query.offset;
+  if (query.after) {
+    start = keyed.findIndex(({ key }) => compareKeys(key, query.after, query.order) > 0);
+    if (start < 0) {
+      start = keyed.length;
+    }
+  }
+
+  const page = keyed.slice(start, start + query.limit);
+  const more = start + page.length < keyed.length;
+
+  return {
+    total: keyed.length,
+    offset: start,
+    count: page.length,
+    nextOffset: more ? start + page.length : null,
+    nextCursor: more ? encodeCursor(page[page.length - 1].key, query.sort, query.order) : null,
+    files: page.map(({ record }) => project(record, query.fields)),
+  };
+}
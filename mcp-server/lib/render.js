@@ -0,0 +1,139 @@
+import path from 'path';
+import YAML from 'yaml';
+import { getRelativeTime, formatDate } from './format.js';
+
+/**
+ * Writes the store as _timepon.yaml. The data is a flat map of ISO-timestamped
+ * entries so it round-trips exactly; the banner, folder markers and relative
+ * ages are comments for human readers.
+ */
+
+export const SCHEMA_VERSION = 2; // _timepon.yaml on-disk format
+
+const FILE_ICONS = {
+  '.md': '📄',
+  '.txt': '📝',
+  '.js': '⚡',
+  '.ts': '🔷',
+  '.py': '🐍',
+  '.json': '📋',
+  '.yaml': '⚙️',
+  '.yml': '⚙️',
+  '.html': '🌐',
+  '.css': '🎨',
+  '.sh': '🔧',
+  '.ps1': '🔧',
+  '.bat': '🔧',
+};
+
+/**
+ * File type icon based on extension
+ */
+export function getFileIcon(filename) {
+  return FILE_ICONS[path.extname(filename).toLowerCase()] || '📄';
+}
+
+/**
+ * Render metadata as versioned YAML
+ * @param {{ files: object }} metadata - Files map plus any other stored state (e.g. sessions)
+ * @param {object} [options]
+ * @param {string} [options.workspaceRoot] - Shown in the header
+ * @param {Date} [options.now] - Time of writing, for lastUpdated and the relative ages
+ * @returns {string}
+ */
+export function renderMetadata(metadata, { workspaceRoot = '', now = new Date() } = {}) {
+  const { files, ...rest } = metadata;
+  const fileCount = Object.keys(files).length;
+
+  // Group by folder (alphabetical, root first), newest files first within a folder
+  const folderOf = (key) => key.includes('/') ? key.slice(0, key.lastIndexOf('/')) : '';
+  const sortedEntries = Object.entries(files).sort(([a, metaA], [b, metaB]) => {
+    const folderCompare = folderOf(a).localeCompare(folderOf(b));
+    return folderCompare !== 0 ? folderCompare : new Date(metaB.created) - new Date(metaA.created);
+  });
+
+  const doc = new YAML.Document({
+    schemaVersion: SCHEMA_VERSION,
+    workspace: workspaceRoot,
+    lastUpdated: now.toISOString(),
+    totalFiles: fileCount,
+    ...rest,
+    files: Object.fromEntries(sortedEntries),
+  });
+
+  doc.commentBefore = [
+    ' TIMEPON FILE TRACKING',
+    ` ${workspaceRoot}`,
+    ' ==========================================================================',
+    ` Last Updated:     ${formatDate(now)}`,
+    ` Files Tracked:    ${fileCount}`,
+    '',
+    ' TIP: Use code folding to collapse folders (click arrows by line numbers)',
+    '',
+    ' Ctrl+K Ctrl+0 = fold all | Ctrl+K Ctrl+J = unfold all',
+    ' ==========================================================================',
+  ].join('\n');
+
+  // Annotate each entry with folder markers, icons and relative age
+  let currentFolder = null;
+  for (const [index, pair] of (doc.get('files', true)?.items || []).entries()) {
+    const key = String(pair.key.value);
+    const folder = folderOf(key);
+    const comments = [];
+
+    if (folder !== currentFolder) {
+      comments.push(folder ? ` === 📁 ${folder}` : ' === 🏠 Root');
+      currentFolder = folder;
+    }
+
+    const created = files[key].created;
+    comments.push(` ${getFileIcon(key)} ${path.posix.basename(key)}  >> ${created ? getRelativeTime(created, now) : 'unknown'} <<`);
+
+    pair.key.commentBefore = comments.join('\n');
+    pair.key.spaceBefore = index > 0;
+
+    const tags = pair.value?.get?.('tags', true);
+    if (tags) {
+      tags.flow = true;
+    }
+
+    // Mark values set by hand so they aren't mistaken for generated ones
+    const { annotations } = files[key];
+    if (annotations?.summary) {
+      const summaryNode = pair.value.get('summary', true);
+      if (summaryNode) {
+        summaryNode.comment = ' ✍ hand-set';
+      }
+    }
+    if (tags && (annotations?.addedTags?.length || annotations?.removedTags?.length)) {
+      const changes = [
+        ...(annotations.addedTags || []).map(tag => `+${tag}`),
+        ...(annotations.removedTags || []).map(tag => `-${tag}`),
+      ];
+      tags.comment = ` ✍ ${changes.join(' ')}`;
+    }
+    for (const key of ['addedTags', 'removedTags']) {
+      const node = pair.value?.get?.('annotations', true)?.get?.(key, true);
+      if (node) {
+        node.flow = true;
+      }
+    }
+
+    // Short structure lists read better on one line
+    const structure = pair.value?.get?.('structure', true);
+    for (const key of ['tasks', 'keys', 'jobs', 'servers', 'services']) {
+      const node = structure?.get?.(key, true);
+      if (node) {
+        node.flow = true;
+      }
+    }
+  }
+
+  doc.comment = [
+    ' ==========================================================================',
+    ' End of Timepon tracking data',
+    ' ==========================================================================',
+  ].join('\n');
+
+  return doc.toString({ lineWidth: 0, flowCollectionPadding: false });
+}
@@ -0,0 +1,222 @@
+import path from 'path';
+import { formatDate, formatSize } from './format.js';
+
+/**
+ * Activity reports: what happened in the workspace during a time range,
+ * as data (JSON) or markdown.
+ */
+
+export const REPORT_TOP = 10; // Rows in the directory, tag and largest-file tables
+const HOURLY_MAX_SPAN = 72 * 60 * 60 * 1000; // Longer ranges are counted per day
+
+const inRange = (isoDate, since, until) => {
+  const time = new Date(isoDate).getTime();
+  return time > since && time <= until;
+};
+
+/**
+ * Entries created after `since` and up to `until` (milliseconds)
+ * @param {[string, object][]} entries - [path, entry] pairs
+ */
+export function createdBetween(entries, since, until = Infinity) {
+  return entries.filter(([, metadata]) => inRange(metadata.created, since, until));
+}
+
+/**
+ * Time range from `hours` back from now, or explicit `since`/`until` ISO dates
+ * @returns {{ since: number, until: number }} Milliseconds
+ */
+export function resolveRange({ hours, since, until } = {}, now = Date.now()) {
+  if (hours !== undefined && since !== undefined) {
+    throw new Error('Use either hours or since, not both');
+  }
+  if (hours !== undefined && (typeof hours !== 'number' || !(hours > 0))) {
+    throw new Error('hours must be a positive number');
+  }
+
+  const parse = (value, name) => {
+    const time = new Date(value).getTime();
+    if (typeof value !== 'string' || Number.isNaN(time)) {
+      throw new Error(`${name} must be an ISO date or date-time (e.g. 2026-01-18 or 2026-01-18T09:00)`);
+    }
+    return time;
+  };
+
+  const end = until === undefined ? now : parse(until, 'until');
+  const start = since === undefined ? end - (hours ?? 24) * 60 * 60 * 1000 : parse(since, 'since');
+  if (start >= end) {
+    throw new Error('since must be before until');
+  }
+  return { since: start, until: end };
+}
+
+const count = (values) => {
+  const counts = new Map();
+  for (const value of values) {
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return counts;
+};
+
+/**
+ * Creations per hour (per day for ranges over 72 hours), including empty
+ * buckets between the first and the last creation
+ */
+function timeline(createdTimes, since, until) {
+  const unit = until - since > HOURLY_MAX_SPAN ? 'day' : 'hour';
+  if (createdTimes.length === 0) {
+    return { unit, buckets: [] };
+  }
+
+  const bucketStart = (time) => {
+    const date = new Date(time);
+    date.setMinutes(0, 0, 0);
+    if (unit === 'day') {
+      date.setHours(0);
+    }
+    return date;
+  };
+
+  const counts = count(createdTimes.map(time => bucketStart(time).getTime()));
+  const first = bucketStart(Math.min(...createdTimes));
+  const last = bucketStart(Math.max(...createdTimes)).getTime();
+
+  const buckets = [];
+  for (const date = first; date.getTime() <= last; unit === 'day' ? date.setDate(date.getDate() + 1) : date.setHours(date.getHours() + 1)) {
+    buckets.push({ start: date.toISOString(), count: counts.get(date.getTime()) || 0 });
+  }
+  return { unit, buckets };
+}
+
+/**
+ * Build a report over a time range
+ * @param {object[]} records - `{ path, ...entry }` for all entries, including deleted and
+ *   archived ones; `size` in bytes where known
+ * @param {object} options
+ * @param {number} options.since - Range start (exclusive), milliseconds
+ * @param {number} options.until - Range end (inclusive), milliseconds
+ * @param {{ exact: { files: string[] }[], nearDuplicates: { similarity: number, files: string[] }[] }} [options.duplicates]
+ *   Duplicate groups across the workspace; those involving a file created in the range are reported
+ */
+export function buildReport(records, { since, until, duplicates = { exact: [], nearDuplicates: [] } }) {
+  const live = records.filter(record => !record.deleted && !record.archived);
+  const created = live.filter(record => inRange(record.created, since, until));
+  const modified = live.filter(record => record.lastModified && inRange(record.lastModified, since, until) && !inRange(record.created, since, until));
+  const deleted = records.filter(record => record.deleted && inRange(record.deleted, since, until));
+  const archived = records.filter(record => record.archived && inRange(record.archived, since, until));
+
+  const directoryOf = (record) => path.posix.dirname(record.path);
+  const createdByDirectory = count(created.map(directoryOf));
+  const modifiedByDirectory = count(modified.map(directoryOf));
+  const topDirectories = [...new Set([...createdByDirectory.keys(), ...modifiedByDirectory.keys()])]
+    .map(directory => ({
+      directory,
+      created: createdByDirectory.get(directory) || 0,
+      modified: modifiedByDirectory.get(directory) || 0,
+    }))
+    .sort((a, b) => (b.created + b.modified) - (a.created + a.modified) || (a.directory < b.directory ? -1 : 1))
+    .slice(0, REPORT_TOP);
+
+  const tags = [...count(created.flatMap(record => record.tags || []))]
+    .map(([tag, files]) => ({ tag, files }))
+    .sort((a, b) => b.files - a.files || (a.tag < b.tag ? -1 : 1))
+    .slice(0, REPORT_TOP);
+
+  const largestNewFiles = created
+    .filter(record => typeof record.size === 'number')
+    .sort((a, b) => b.size - a.size)
+    .slice(0, REPORT_TOP)
+    .map(record => ({ path: record.path, size: record.size, summary: record.summary }));
+
+  const isNew = new Set(created.map(record => record.path));
+  const involvesNew = (group) => group.files.some(filePath => isNew.has(filePath));
+
+  return {
+    range: { since: new Date(since).toISOString(), until: new Date(until).toISOString() },
+    totals: {
+      created: created.length,
+      modified: modified.length,
+      deleted: deleted.length,
+      archived: archived.length,
+      tracked: live.length,
+    },
+    created: timeline(created.map(record => new Date(record.created).getTime()), since, until),
+    topDirectories,
+    tags,
+    largestNewFiles,
+    duplicates: {
+      exact: duplicates.exact.filter(involvesNew).map(group => group.files),
+      near: duplicates.nearDuplicates.filter(involvesNew).map(group => ({ similarity: group.similarity, files: group.files })),
+    },
+  };
+}
+
+const code = (value) => `\`${String(value).replace(/`/g, "'")}\``;
+const cell = (value) => String(value ?? '').replace(/\|/g, '\\|');
+
+/**
+ * Render a report as markdown
+ */
+export function renderReportMarkdown(report, { title = 'Timepon activity report' } = {}) {
+  const { range, totals } = report;
+  const lines = [
+    `# ${title}`,
+    '',
+    `**${formatDate(range.since)} – ${formatDate(range.until)}**`,
+    '',
+    '| Activity | Files |',
+    '|---|---:|',
+    `| Created | ${totals.created} |`,
+    `| Modified | ${totals.modified} |`,
+    `| Deleted | ${totals.deleted} |`,
+    `| Archived | ${totals.archived} |`,
+    `| Tracked now | ${totals.tracked} |`,
+  ];
+
+  if (report.created.buckets.length > 0) {
+    const most = Math.max(...report.created.buckets.map(bucket => bucket.count));
+    lines.push('', `## Files created per ${report.created.unit}`, '', `| ${report.created.unit === 'day' ? 'Day' : 'Hour'} | Files | |`, '|---|---:|---|');
+    for (const bucket of report.created.buckets) {
+      const label = formatDate(bucket.start, { time: report.created.unit === 'hour' });
+      lines.push(`| ${label} | ${bucket.count} | ${'█'.repeat(Math.round((bucket.count / most) * 20))} |`);
+    }
+  }
+
+  if (report.topDirectories.length > 0) {
+    lines.push('', '## Top directories', '', '| Directory | Created | Modified |', '|---|---:|---:|');
+    for (const { directory, created, modified } of report.topDirectories) {
+      lines.push(`| ${code(directory === '.' ? '(root)' : `${directory}/`)} | ${created} | ${modified} |`);
+    }
+  }
+
+  if (report.tags.length > 0) {
+    lines.push('', '## Tags of new files', '', '| Tag | Files |', '|---|---:|');
+    for (const { tag, files } of report.tags) {
+      lines.push(`| ${cell(tag)} | ${files} |`);
+    }
+  }
+
+  if (report.largestNewFiles.length > 0) {
+    lines.push('', '## Largest new files', '', '| File | Size | Summary |', '|---|---:|---|');
+    for (const file of report.largestNewFiles) {
+      lines.push(`| ${code(file.path)} | ${formatSize(file.size)} | ${cell(file.summary)} |`);
+    }
+  }
+
+  const { exact, near } = report.duplicates;
+  if (exact.length + near.length > 0) {
+    lines.push('', '## Possible duplicates', '');
+    for (const files of exact) {
+      lines.push(`- ${files.map(code).join(' = ')} (identical)`);
+    }
+    for (const { similarity, files } of near) {
+      lines.push(`- ${files.map(code).join(' ~ ')} (${Math.round(similarity * 100)}% similar)`);
+    }
+  }
+
+  if (totals.created + totals.modified + totals.deleted + totals.archived === 0) {
+    lines.push('', '_No activity in this period._');
+  }
+
+  return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,523 @@
+import chokidar from 'chokidar';
+import fs from 'fs/promises';
+import path from 'path';
+import { statSync } from 'fs';
+import { toStoreKey, isLiveEntry } from './store.js';
+import { readFileContent, hashFile, applyContentMetadata } from './extractor.js';
+import { TAG_RULES_FILE } from './tagging.js';
+
+/**
+ * Keeps a workspace's store in step with its files: an initial scan, then
+ * watching for creations, edits, moves and deletions, and for changes to the
+ * ignore and tagging rules.
+ */
+export class Scanner {
+  static WATCH_STABILITY_THRESHOLD = 2000; // ms
+  static WATCH_POLL_INTERVAL = 100; // ms
+  static RENAME_WINDOW = 5000; // ms - must exceed WATCH_STABILITY_THRESHOLD
+  static MIN_PLAUSIBLE_DATE = Date.UTC(1980, 0, 1); // Earlier timestamps are filesystem placeholders
+  static IGNORE_RELOAD_DELAY = 500; // ms
+
+  /**
+   * @param {import('./timepon.js').Timepon} timepon - Workspace whose store, rules and journal are updated
+   */
+  constructor(timepon) {
+    this.timepon = timepon;
+    this.workspaceRoot = timepon.workspaceRoot;
+    this.watcher = null;
+    this.isInitializing = false; // True during the initial scan, whose changes are saved in one go
+    this.initialScans = new Set(); // In-flight 'add' handlers from the initial scan
+    this.initialScanDone = null; // Settles when the initial scan is saved, see start()
+    this.pendingUnlinks = new Map(); // relativePath -> { contentHash, timer, deletedAt }
+    this.ignoreReloadTimer = null;
+    this.ignoreReloadQueue = Promise.resolve();
+  }
+
+  get files() {
+    return this.timepon.store.files;
+  }
+
+  toRelative(filePath) {
+    return toStoreKey(path.relative(this.workspaceRoot, path.resolve(filePath)));
+  }
+
+  /**
+   * Scan the workspace and watch it
+   * @param {object} [options]
+   * @param {boolean} [options.persistent] - Keep watching after the initial scan
+   *   (false for one-off scans); `initialScanDone` settles once that scan is saved
+   */
+  async start({ persistent = true } = {}) {
+    // Set initialization flag for batched save
+    this.isInitializing = true;
+    let scanDone;
+    this.initialScanDone = new Promise((resolve) => {
+      scanDone = resolve;
+    });
+
+    this.watcher = chokidar.watch(this.workspaceRoot, {
+      ignored: (filePath, stats) => this.isIgnoredPath(filePath, stats),
+      persistent,
+      ignoreInitial: false, // Process existing files on startup
+      awaitWriteFinish: {
+        stabilityThreshold: Scanner.WATCH_STABILITY_THRESHOLD,
+        pollInterval: Scanner.WATCH_POLL_INTERVAL,
+      },
+    });
+
+    this.watcher.on('add', async (filePath) => {
+      const handled = this.handleFileCreation(filePath);
+
+      // 'ready' can fire before these finish; it waits for them
+      if (this.isInitializing) {
+        this.initialScans.add(handled);
+        handled.finally(() => this.initialScans.delete(handled));
+      }
+
+      await handled;
+      this.handleConfigFileEvent(filePath);
+    });
+
+    this.watcher.on('change', async (filePath) => {
+      await this.handleFileChange(filePath);
+      this.handleConfigFileEvent(filePath);
+    });
+
+    this.watcher.on('unlink', (filePath) => {
+      this.handleFileDeletion(filePath);
+      this.handleConfigFileEvent(filePath);
+    });
+
+    this.watcher.on('addDir', (dirPath) => {
+      // Files inside a new or moved-in directory arrive as their own 'add' events
+      if (!this.isInitializing) {
+        console.error(`Directory added: ${this.toRelative(dirPath)}`);
+      }
+    });
+
+    this.watcher.on('unlinkDir', (dirPath) => {
+      this.handleDirectoryDeletion(dirPath);
+    });
+
+    // After all initial files processed, save once
+    this.watcher.on('ready', async () => {
+      await Promise.all(this.initialScans);
+      this.isInitializing = false;
+      await this.timepon.applyGitMetadata(this.timepon.getLiveEntries().map(([filePath]) => filePath));
+      await this.timepon.store.save(); // Single save after startup
+      console.error('Initial file scan complete');
+      await this.timepon.takeAutomaticSnapshot();
+      scanDone();
+    });
+
+    console.error('File watcher initialized');
+  }
+
+  /**
+   * Stop watching. Pending deletions keep their timers; see flush().
+   */
+  async stop() {
+    if (this.watcher) {
+      await this.watcher.close();
+      this.watcher = null;
+    }
+  }
+
+  /**
+   * Stop watching and settle everything in flight: initial scan handlers, and
+   * deletions still waiting for a matching move (they can't be claimed any more)
+   */
+  async flush() {
+    await this.stop();
+    await Promise.all(this.initialScans);
+
+    for (const [relativePath, pending] of this.pendingUnlinks) {
+      clearTimeout(pending.timer);
+      await this.finalizeDeletion(relativePath, pending.deletedAt);
+    }
+
+    clearTimeout(this.ignoreReloadTimer);
+  }
+
+  /**
+   * Track a file that appeared. With batch (initial scan, ignore reloads) the file
+   * is dated from disk, not claimed by a session, and saved by the caller.
+   */
+  async handleFileCreation(filePath, { batch = this.isInitializing } = {}) {
+    try {
+      // Normalize the path to absolute first
+      const absolutePath = path.resolve(filePath);
+
+      // Convert to relative path from workspace root for storage
+      const relativePath = toStoreKey(path.relative(this.workspaceRoot, absolutePath));
+
+      // Skip parent directory references and invalid paths
+      if (relativePath.includes('..') || relativePath === '.' || relativePath === '') {
+        return;
+      }
+
+      // Events can still arrive from directories ignored since they were first watched
+      if (this.timepon.ignoreMatcher.ignores(relativePath)) {
+        return;
+      }
+
+      // Already tracked: pick up edits made while the server was not running
+      const existing = this.files[relativePath];
+      if (existing && isLiveEntry(existing)) {
+        await this.handleFileChange(filePath, { isRescan: true, batch });
+        return;
+      }
+
+      const stats = await fs.stat(absolutePath);
+
+      // CRITICAL: Skip directories - only track actual files
+      if (stats.isDirectory()) {
+        return;
+      }
+
+      const content = await readFileContent(absolutePath, stats);
+      const contentHash = await hashFile(absolutePath);
+      this.timepon.searchIndex.add(relativePath, content, contentHash);
+
+      // A recent unlink with identical content means the file was moved
+      const movedFrom = this.takePendingUnlink(contentHash);
+
+      if (movedFrom) {
+        const previous = this.files[movedFrom];
+        delete this.files[movedFrom];
+        this.timepon.searchIndex.remove(movedFrom);
+
+        // Keep the original creation date and counters, refresh path-dependent fields
+        const entry = {
+          ...previous,
+          previousPaths: [...(previous.previousPaths || []), movedFrom],
+          lastRenamed: new Date().toISOString(),
+        };
+        applyContentMetadata(entry, content, relativePath, this.timepon.tagRules);
+        this.files[relativePath] = entry;
+
+        this.timepon.history.record('renamed', relativePath, { from: movedFrom });
+        console.error(`Tracked rename: ${movedFrom} -> ${relativePath}`);
+      } else {
+        // Generate metadata (replaces any tombstone left at this path)
+        const { created, createdSource } = this.resolveCreationTime(relativePath, stats, { batch });
+        const entry = { created, createdSource };
+        applyContentMetadata(entry, content, relativePath, this.timepon.tagRules);
+        entry.contentHash = contentHash;
+
+        // Files appearing at startup predate any session
+        const session = batch ? null : this.timepon.claimSessionFor(relativePath);
+        if (session) {
+          entry.session = session;
+        }
+        this.files[relativePath] = entry;
+
+        this.timepon.history.record('created', relativePath, { summary: entry.summary, ...(session && { session }) });
+        console.error(`Tracked new file: ${relativePath}`);
+      }
+
+      // Only save during runtime (batches apply git metadata in bulk)
+      if (!batch) {
+        await this.timepon.applyGitMetadata([relativePath]);
+        this.timepon.store.scheduleSave();
+      }
+    } catch (error) {
+      console.error(`Error handling file creation for ${filePath}:`, error.message);
+    }
+  }
+
+  /**
+   * Record a content modification of a tracked file.
+   * With isRescan, a file without a stored hash only gets one backfilled.
+   * With batch, the caller saves.
+   */
+  async handleFileChange(filePath, { isRescan = false, batch = this.isInitializing } = {}) {
+    try {
+      const absolutePath = path.resolve(filePath);
+      const relativePath = toStoreKey(path.relative(this.workspaceRoot, absolutePath));
+      const entry = this.files[relativePath];
+
+      // Changes to untracked files (or at a tombstoned or archived path) are creations
+      if (!entry || !isLiveEntry(entry)) {
+        await this.handleFileCreation(filePath, { batch });
+        return;
+      }
+
+      const stats = await fs.stat(absolutePath);
+      if (stats.isDirectory()) {
+        return;
+      }
+
+      const contentHash = await hashFile(absolutePath);
+
+      // Touched but not edited
+      if (entry.contentHash === contentHash) {
+        return;
+      }
+
+      if (!entry.contentHash && isRescan) {
+        entry.contentHash = contentHash;
+        return;
+      }
+
+      const content = await readFileContent(absolutePath, stats);
+      const previousSummary = entry.summary;
+      this.timepon.searchIndex.add(relativePath, content, contentHash);
+
+      applyContentMetadata(entry, content, relativePath, this.timepon.tagRules);
+      Object.assign(entry, {
+        contentHash,
+        lastModified: stats.mtime.toISOString(),
+        modifications: (entry.modifications || 0) + 1,
+      });
+
+      this.timepon.history.record('modified', relativePath, { modifications: entry.modifications });
+      if (entry.summary !== previousSummary) {
+        this.timepon.history.record('resummarized', relativePath, { from: previousSummary, to: entry.summary });
+      }
+
+      if (!batch) {
+        this.timepon.store.scheduleSave();
+      }
+
+      console.error(`Tracked modification: ${relativePath}`);
+    } catch (error) {
+      console.error(`Error handling file change for ${filePath}:`, error.message);
+    }
+  }
+
+  /**
+   * Hold a deletion for RENAME_WINDOW so a matching 'add' can claim it as a move.
+   * Unclaimed deletions become tombstones rather than being removed.
+   */
+  handleFileDeletion(filePath) {
+    const relativePath = this.toRelative(filePath);
+    const entry = this.files[relativePath];
+
+    if (!entry || !isLiveEntry(entry) || this.pendingUnlinks.has(relativePath)) {
+      return;
+    }
+
+    const deletedAt = new Date().toISOString();
+    const timer = setTimeout(() => {
+      this.finalizeDeletion(relativePath, deletedAt).catch((error) => {
+        console.error(`Error recording deletion of ${relativePath}:`, error.message);
+      });
+    }, Scanner.RENAME_WINDOW);
+
+    this.pendingUnlinks.set(relativePath, { contentHash: entry.contentHash, timer, deletedAt });
+  }
+
+  handleDirectoryDeletion(dirPath) {
+    const prefix = `${this.toRelative(dirPath)}/`;
+
+    // Contained files normally get their own 'unlink'; this covers any that don't
+    for (const relativePath of Object.keys(this.files)) {
+      if (relativePath.startsWith(prefix)) {
+        this.handleFileDeletion(path.join(this.workspaceRoot, relativePath));
+      }
+    }
+  }
+
+  /**
+   * Claim a pending deletion whose content matches, returning its path
+   */
+  takePendingUnlink(contentHash) {
+    for (const [relativePath, pending] of this.pendingUnlinks) {
+      if (pending.contentHash && pending.contentHash === contentHash) {
+        clearTimeout(pending.timer);
+        this.pendingUnlinks.delete(relativePath);
+        return relativePath;
+      }
+    }
+    return null;
+  }
+
+  async finalizeDeletion(relativePath, deletedAt) {
+    this.pendingUnlinks.delete(relativePath);
+
+    const entry = this.files[relativePath];
+    if (!entry || !isLiveEntry(entry)) {
+      return;
+    }
+
+    entry.deleted = deletedAt;
+    this.timepon.history.record('deleted', relativePath, {}, deletedAt);
+    this.timepon.store.scheduleSave();
+
+    console.error(`Tracked deletion: ${relativePath}`);
+  }
+
+  /**
+   * Pick the most trustworthy creation time available, in order:
+   * birthtime, first git commit, first seen by the watcher (runtime only), mtime.
+   */
+  resolveCreationTime(relativePath, stats, { batch = this.isInitializing } = {}) {
+    const isPlausible = (ms) => ms >= Scanner.MIN_PLAUSIBLE_DATE && ms <= Date.now() + 60000;
+
+    // Filesystems without birthtime report zero or copy ctime into it
+    if (isPlausible(stats.birthtimeMs) && stats.birthtimeMs !== stats.ctimeMs) {
+      return { created: stats.birthtime.toISOString(), createdSource: 'birthtime' };
+    }
+
+    const firstCommit = this.timepon.git.firstCommits.get(relativePath);
+    if (firstCommit && isPlausible(Date.parse(firstCommit.date))) {
+      return { created: new Date(firstCommit.date).toISOString(), createdSource: 'git' };
+    }
+
+    // Outside batches, the watcher sees files as they appear
+    if (!batch) {
+      return { created: new Date().toISOString(), createdSource: 'watcher' };
+    }
+
+    if (isPlausible(stats.mtimeMs)) {
+      return { created: stats.mtime.toISOString(), createdSource: 'mtime' };
+    }
+
+    return { created: new Date().toISOString(), createdSource: 'watcher' };
+  }
+
+  /**
+   * Ignore and tagging rule files take effect as soon as they change.
+   * New tagging rules apply to files as they are added or edited; refresh_metadata retags the rest.
+   */
+  handleConfigFileEvent(filePath) {
+    if (this.isIgnoreFile(filePath)) {
+      this.scheduleIgnoreReload();
+    }
+
+    if (this.toRelative(filePath) === TAG_RULES_FILE) {
+      this.timepon.loadTagRules()
+        .then((rules) => {
+          this.timepon.tagRules = rules;
+        })
+        .catch((error) => {
+          console.error('Error reloading tagging rules:', error.message);
+        });
+    }
+  }
+
+  /**
+   * Whether an absolute path is ignored (used as chokidar's ignore function)
+   */
+  isIgnoredPath(absolutePath, stats) {
+    const relativePath = toStoreKey(path.relative(this.workspaceRoot, absolutePath));
+
+    // The workspace root itself and anything outside it are never ignored
+    if (!relativePath || relativePath.startsWith('..')) {
+      return false;
+    }
+
+    // chokidar doesn't always pass stats; directory-only patterns need to know
+    const isDirectory = stats
+      ? stats.isDirectory()
+      : statSync(absolutePath, { throwIfNoEntry: false })?.isDirectory() || false;
+
+    return this.timepon.ignoreMatcher.ignores(relativePath, isDirectory);
+  }
+
+  isIgnoreFile(filePath) {
+    const name = path.basename(filePath);
+    return name === '.tponignore' || (this.timepon.respectGitignore && name === '.gitignore');
+  }
+
+  /**
+   * Debounce ignore reloads so saving several ignore files triggers one rebuild
+   */
+  scheduleIgnoreReload() {
+    // The initial scan already loaded every ignore file
+    if (this.isInitializing) {
+      return;
+    }
+
+    clearTimeout(this.ignoreReloadTimer);
+    this.ignoreReloadTimer = setTimeout(() => {
+      this.reloadIgnoreRules().catch((error) => {
+        console.error('Error reloading ignore rules:', error.message);
+      });
+    }, Scanner.IGNORE_RELOAD_DELAY);
+  }
+
+  /**
+   * Rebuild the ignore matcher and reconcile tracked files with it.
+   * Overlapping reloads run one after another.
+   * @returns {Promise<{ rules: number, sources: string[], removed: string[], added: string[] }>}
+   */
+  reloadIgnoreRules() {
+    const run = this.ignoreReloadQueue.then(() => this.applyIgnoreReload());
+    this.ignoreReloadQueue = run.catch(() => {});
+    return run;
+  }
+
+  async applyIgnoreReload() {
+    const previous = this.timepon.ignoreMatcher;
+    const next = await this.timepon.loadIgnoreMatcher();
+    this.timepon.ignoreMatcher = next;
+
+    // Prune entries (including tombstones) the new rules ignore, as cleanIgnoredFiles() does at load
+    const removed = [];
+    for (const relativePath of Object.keys(this.files)) {
+      if (next.ignores(relativePath)) {
+        delete this.files[relativePath];
+        this.timepon.searchIndex.remove(relativePath);
+        removed.push(relativePath);
+      }
+    }
+
+    // Find files the old rules hid; chokidar never looked inside ignored directories
+    const added = [];
+    const revealedDirs = [];
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.readdir(path.join(this.workspaceRoot, dir), { withFileTypes: true });
+      } catch (error) {
+        return;
+      }
+
+      for (const entry of entries) {
+        const relativePath = dir ? `${dir}/${entry.name}` : entry.name;
+
+        if (entry.isDirectory()) {
+          if (next.ignores(relativePath, true)) {
+            continue;
+          }
+          if (previous.ignores(relativePath, true) && !revealedDirs.some(d => relativePath.startsWith(`${d}/`))) {
+            revealedDirs.push(relativePath);
+          }
+          await walk(relativePath);
+        } else if (entry.isFile() && previous.ignores(relativePath) && !next.ignores(relativePath)) {
+          added.push(relativePath);
+        }
+      }
+    };
+    await walk('');
+
+    // Track revealed files like the initial scan does: batched, dated from disk.
+    // Live events arriving meanwhile are handled as usual.
+    for (const relativePath of added) {
+      await this.handleFileCreation(path.join(this.workspaceRoot, relativePath), { batch: true });
+    }
+    await this.timepon.applyGitMetadata(added.filter(relativePath => this.files[relativePath]));
+
+    // Start receiving events for revealed paths
+    const looseFiles = added.filter(relativePath => !revealedDirs.some(d => relativePath.startsWith(`${d}/`)));
+    const toWatch = [...revealedDirs, ...looseFiles].map(relativePath => path.join(this.workspaceRoot, relativePath));
+    if (this.watcher && toWatch.length > 0) {
+      this.watcher.add(toWatch);
+    }
+
+    if (removed.length > 0 || added.length > 0) {
+      await this.timepon.store.save();
+    }
+
+    console.error(`Ignore rules reloaded: ${next.rules.length} rules, ${removed.length} entries removed, ${added.length} files added`);
+
+    return {
+      rules: next.rules.length,
+      sources: next.sources,
+      removed,
+      added,
+    };
+  }
+}
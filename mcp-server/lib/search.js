@@ -0,0 +1,311 @@
+import { tokenize } from './similarity.js';
+
+/**
+ * Full-text search over file contents: an in-memory inverted index with word
+ * positions, a small query language and BM25 ranking.
+ *
+ * Queries:
+ *   word word      both words (AND is implied)
+ *   "two words"    the words next to each other, in order
+ *   a OR b         either
+ *   NOT a, -a      without
+ *   ( ... )        grouping
+ * Matching is case-insensitive on whole words, as split by `tokenize`.
+ */
+
+export const BM25_K1 = 1.2;
+export const BM25_B = 0.75;
+export const SNIPPET_MAX_LENGTH = 160;
+
+/**
+ * Parse a query into a tree of { type: 'term'|'phrase'|'and'|'or'|'not' } nodes
+ * @throws {Error} When the query has no words or unbalanced parentheses
+ */
+export function parseSearchQuery(query) {
+  const tokens = [];
+  const pattern = /\s*(?:(\()|(\))|"([^"]*)"?|(-)(?=[^\s-])|([^\s()"]+))/gy;
+  let match;
+  while ((match = pattern.exec(query)) !== null && match[0] !== '') {
+    const [, open, close, phrase, minus, word] = match;
+    if (open) {
+      tokens.push({ type: '(' });
+    } else if (close) {
+      tokens.push({ type: ')' });
+    } else if (phrase !== undefined) {
+      tokens.push({ type: 'words', words: tokenize(phrase) });
+    } else if (minus) {
+      tokens.push({ type: 'NOT' });
+    } else if (word === 'AND' || word === 'OR' || word === 'NOT') {
+      tokens.push({ type: word });
+    } else {
+      tokens.push({ type: 'words', words: tokenize(word) });
+    }
+  }
+
+  let position = 0;
+  const peek = () => tokens[position];
+
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (peek()?.type === 'OR') {
+      position++;
+      children.push(parseAnd());
+    }
+    return simplify('or', children);
+  };
+
+  const parseAnd = () => {
+    const children = [];
+    while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+      if (peek().type === 'AND') {
+        position++;
+        continue;
+      }
+      children.push(parseUnary());
+    }
+    return simplify('and', children);
+  };
+
+  const parseUnary = () => {
+    const token = tokens[position++];
+    if (token.type === 'NOT') {
+      const operand = peek() && !['OR', 'AND', ')'].includes(peek().type) ? parseUnary() : null;
+      return operand && { type: 'not', child: operand };
+    }
+    if (token.type === '(') {
+      const inner = parseOr();
+      if (peek()?.type !== ')') {
+        throw new Error('Unbalanced parentheses in query');
+      }
+      position++;
+      return inner;
+    }
+    if (token.type === ')') {
+      throw new Error('Unbalanced parentheses in query');
+    }
+    // Words that tokenize into several (e.g. "sign-in") must appear together
+    if (token.words.length === 0) {
+      return null;
+    }
+    return token.words.length === 1 ? { type: 'term', term: token.words[0] } : { type: 'phrase', terms: token.words };
+  };
+
+  const tree = parseOr();
+  if (position < tokens.length) {
+    throw new Error('Unbalanced parentheses in query');
+  }
+  if (!tree || positiveLeaves(tree).length === 0) {
+    throw new Error('Query needs at least one word to search for');
+  }
+  return tree;
+}
+
+function simplify(type, children) {
+  const kept = children.filter(Boolean);
+  if (kept.length <= 1) {
+    return kept[0] || null;
+  }
+  return { type, children: kept };
+}
+
+/**
+ * Term and phrase nodes that count towards a match (not under a NOT)
+ */
+export function positiveLeaves(node) {
+  switch (node.type) {
+    case 'term':
+    case 'phrase':
+      return [node];
+    case 'not':
+      return [];
+    default:
+      return node.children.flatMap(positiveLeaves);
+  }
+}
+
+export class SearchIndex {
+  constructor() {
+    this.docs = new Map(); // path -> { hash, length, terms: Map<term, positions[]> }
+    this.postings = new Map(); // term -> Set<path>
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.docs.size;
+  }
+
+  /**
+   * Whether a path is indexed with this content hash
+   */
+  has(filePath, hash) {
+    return this.docs.get(filePath)?.hash === hash;
+  }
+
+  paths() {
+    return [...this.docs.keys()];
+  }
+
+  /**
+   * Index (or re-index) a file's content
+   */
+  add(filePath, content, hash = null) {
+    this.remove(filePath);
+
+    const terms = new Map();
+    const words = tokenize(content || '');
+    words.forEach((word, index) => {
+      if (!terms.has(word)) {
+        terms.set(word, []);
+      }
+      terms.get(word).push(index);
+    });
+
+    for (const term of terms.keys()) {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Set());
+      }
+      this.postings.get(term).add(filePath);
+    }
+
+    this.docs.set(filePath, { hash, length: words.length, terms });
+    this.totalLength += words.length;
+  }
+
+  remove(filePath) {
+    const doc = this.docs.get(filePath);
+    if (!doc) {
+      return;
+    }
+    for (const term of doc.terms.keys()) {
+      const paths = this.postings.get(term);
+      paths.delete(filePath);
+      if (paths.size === 0) {
+        this.postings.delete(term);
+      }
+    }
+    this.totalLength -= doc.length;
+    this.docs.delete(filePath);
+  }
+
+  /**
+   * Occurrences of a term or phrase in one file
+   */
+  frequency(filePath, leaf) {
+    const doc = this.docs.get(filePath);
+    if (leaf.type === 'term') {
+      return doc.terms.get(leaf.term)?.length || 0;
+    }
+
+    const [first, ...rest] = leaf.terms.map(term => doc.terms.get(term));
+    if (!first || rest.some(positions => !positions)) {
+      return 0;
+    }
+    const following = rest.map(positions => new Set(positions));
+    return first.filter(start => following.every((positions, i) => positions.has(start + i + 1))).length;
+  }
+
+  /**
+   * Paths matching a query node
+   * @returns {Set<string>}
+   */
+  evaluate(node) {
+    switch (node.type) {
+      case 'term':
+        return new Set(this.postings.get(node.term) || []);
+      case 'phrase': {
+        const candidates = this.evaluate({ type: 'and', children: node.terms.map(term => ({ type: 'term', term })) });
+        return new Set([...candidates].filter(filePath => this.frequency(filePath, node) > 0));
+      }
+      case 'not': {
+        const excluded = this.evaluate(node.child);
+        return new Set([...this.docs.keys()].filter(filePath => !excluded.has(filePath)));
+      }
+      case 'or':
+        return new Set(node.children.flatMap(child => [...this.evaluate(child)]));
+      default: {
+        // Narrow with the positive children first, so NOT only filters
+        const [positive, negative] = [node.children.filter(c => c.type !== 'not'), node.children.filter(c => c.type === 'not')];
+        let result = positive.length > 0 ? this.evaluate(positive[0]) : new Set(this.docs.keys());
+        for (const child of positive.slice(1)) {
+          const next = this.evaluate(child);
+          result = new Set([...result].filter(filePath => next.has(filePath)));
+        }
+        for (const child of negative) {
+          const excluded = this.evaluate(child.child);
+          result = new Set([...result].filter(filePath => !excluded.has(filePath)));
+        }
+        return result;
+      }
+    }
+  }
+
+  /**
+   * Matching files ranked by BM25 over the query's terms and phrases
+   * @param {string|object} query - Query string or parsed tree
+   * @returns {{ path: string, score: number }[]} Best first
+   */
+  search(query) {
+    const tree = typeof query === 'string' ? parseSearchQuery(query) : query;
+    const matched = this.evaluate(tree);
+    const leaves = positiveLeaves(tree);
+
+    const count = this.docs.size;
+    const averageLength = count > 0 ? this.totalLength / count : 0;
+    const idf = leaves.map((leaf) => {
+      const containing = leaf.type === 'term'
+        ? this.postings.get(leaf.term)?.size || 0
+        : this.evaluate(leaf).size;
+      return Math.log(1 + (count - containing + 0.5) / (containing + 0.5));
+    });
+
+    return [...matched]
+      .map((filePath) => {
+        const { length } = this.docs.get(filePath);
+        const norm = BM25_K1 * (1 - BM25_B + BM25_B * (averageLength > 0 ? length / averageLength : 0));
+        const score = leaves.reduce((sum, leaf, i) => {
+          const tf = this.frequency(filePath, leaf);
+          return sum + (tf > 0 ? idf[i] * (tf * (BM25_K1 + 1)) / (tf + norm) : 0);
+        }, 0);
+        return { path: filePath, score };
+      })
+      .sort((a, b) => b.score - a.score || (a.path < b.path ? -1 : 1));
+  }
+}
+
+/**
+ * Lines containing the query's terms or phrases, best first (most distinct
+ * terms), then in file order
+ * @param {string} content
+ * @param {string|object} query - Query string or parsed tree
+ * @param {number} [max] - Maximum number of snippets
+ * @returns {{ line: number, text: string }[]} 1-based line numbers
+ */
+export function findSnippets(content, query, max = 3) {
+  const tree = typeof query === 'string' ? parseSearchQuery(query) : query;
+  const leaves = positiveLeaves(tree);
+
+  const hits = [];
+  content.split(/\r?\n/).forEach((text, index) => {
+    const words = tokenize(text);
+    if (words.length === 0) {
+      return;
+    }
+    const found = leaves.filter(leaf => (leaf.type === 'term'
+      ? words.includes(leaf.term)
+      : words.some((_, start) => leaf.terms.every((term, i) => words[start + i] === term)))).length;
+    if (found > 0) {
+      const trimmed = text.trim();
+      hits.push({
+        line: index + 1,
+        text: trimmed.length > SNIPPET_MAX_LENGTH ? `${trimmed.slice(0, SNIPPET_MAX_LENGTH - 1)}…` : trimmed,
+        found,
+      });
+    }
+  });
+
+  return hits
+    .sort((a, b) => b.found - a.found || a.line - b.line)
+    .slice(0, max)
+    .sort((a, b) => a.line - b.line)
+    .map(({ line, text }) => ({ line, text }));
+}
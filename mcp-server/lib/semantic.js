@@ -0,0 +1,466 @@
+import { tokenize } from './similarity.js';
+
+/**
+ * Offline semantic search with latent semantic analysis (LSA).
+ *
+ * Files are split into chunks of a few paragraphs. A TF-IDF matrix of all
+ * chunks is reduced with a truncated SVD to a few dozen "concept" dimensions,
+ * so words that are used in the same contexts across the workspace (say
+ * "login" and "authentication") end up close together. Queries and chunks are
+ * embedded into that space and compared by cosine similarity. Everything runs
+ * locally on the CPU; no model files or network access are needed.
+ */
+
+export const FORMAT_VERSION = 1;
+export const DEFAULT_DIMENSIONS = 64;
+export const CHUNK_WORDS = 150;
+export const MAX_VOCABULARY = 8000;
+export const PREVIEW_LENGTH = 200;
+
+const POWER_ITERATIONS = 2;
+const OVERSAMPLING = 10;
+
+const STOP_WORDS = new Set(`
+a about above after again against all also am an and any are as at be because been before being below between both
+but by can could did do does doing down during each else every few for from further had has have having he her here
+hers him his how i if in into is it its itself just me more most my no nor not now of off on once only or other our
+ours out over own same she should so some such than that the their theirs them then there these they this those
+through to too under until up very was we were what when where which while who whom why will with would you your
+yours
+`.trim().split(/\s+/));
+
+/**
+ * Crude suffix stripping so "tokens"/"token" and "configured"/"configure"
+ * share a term. Precision matters less here than in keyword search.
+ */
+export function stem(word) {
+  for (const [suffix, replacement] of [['ations', 'ate'], ['ation', 'ate'], ['ments', ''], ['ment', ''], ['ing', ''], ['ies', 'y'], ['ed', ''], ['es', ''], ['s', '']]) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= 4 && !word.endsWith('ss')) {
+      return word.slice(0, word.length - suffix.length) + replacement;
+    }
+  }
+  return word;
+}
+
+/**
+ * Index terms of a text: lowercase words without stop words or numbers, stemmed
+ */
+export function termsOf(text) {
+  return tokenize(text)
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word) && !/^\d+$/.test(word))
+    .map(stem);
+}
+
+/**
+ * Split content into chunks of about maxWords words along line boundaries,
+ * starting a new chunk at a markdown heading once the current one has some body
+ * @returns {{ startLine: number, endLine: number, text: string }[]} 1-based, inclusive
+ */
+export function chunkText(content, maxWords = CHUNK_WORDS) {
+  const chunks = [];
+  let current = null;
+
+  const flush = () => {
+    if (current && current.words > 0) {
+      chunks.push({ startLine: current.startLine, endLine: current.endLine, text: current.lines.join('\n') });
+    }
+    current = null;
+  };
+
+  content.split(/\r?\n/).forEach((line, index) => {
+    const words = tokenize(line).length;
+    const isHeading = /^\s{0,3}#{1,6}\s/.test(line);
+
+    if (current && current.words > 0 && (current.words + words > maxWords || (isHeading && current.words >= maxWords / 3))) {
+      flush();
+    }
+    if (!current) {
+      // Leading blank lines belong to no chunk
+      if (words === 0) {
+        return;
+      }
+      current = { startLine: index + 1, endLine: index + 1, words: 0, lines: [] };
+    }
+    current.lines.push(line);
+    current.words += words;
+    if (words > 0) {
+      current.endLine = index + 1;
+    }
+  });
+  flush();
+
+  return chunks;
+}
+
+// Deterministic pseudo-random numbers (mulberry32), so the same workspace gives the same model
+function random(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Orthonormalize columns in place (modified Gram-Schmidt); dependent columns become zero
+ */
+function orthonormalize(columns) {
+  for (let j = 0; j < columns.length; j++) {
+    const column = columns[j];
+    for (let i = 0; i < j; i++) {
+      const dot = dotProduct(columns[i], column);
+      for (let r = 0; r < column.length; r++) {
+        column[r] -= dot * columns[i][r];
+      }
+    }
+    const norm = Math.sqrt(dotProduct(column, column));
+    for (let r = 0; r < column.length; r++) {
+      column[r] = norm > 1e-10 ? column[r] / norm : 0;
+    }
+  }
+  return columns;
+}
+
+function dotProduct(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+/**
+ * Eigen-decomposition of a small symmetric matrix (cyclic Jacobi)
+ * @param {number[][]} matrix - Overwritten
+ * @returns {{ values: number[], vectors: number[][] }} vectors[k] is the k-th eigenvector
+ */
+function symmetricEigen(matrix) {
+  const n = matrix.length;
+  const v = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+
+  for (let sweep = 0; sweep < 50; sweep++) {
+    let off = 0;
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        off += matrix[p][q] * matrix[p][q];
+      }
+    }
+    if (off < 1e-18) {
+      break;
+    }
+
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (Math.abs(matrix[p][q]) < 1e-15) {
+          continue;
+        }
+        const theta = (matrix[q][q] - matrix[p][p]) / (2 * matrix[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+
+        for (let k = 0; k < n; k++) {
+          const mkp = matrix[k][p];
+          const mkq = matrix[k][q];
+          matrix[k][p] = c * mkp - s * mkq;
+          matrix[k][q] = s * mkp + c * mkq;
+        }
+        for (let k = 0; k < n; k++) {
+          const mpk = matrix[p][k];
+          const mqk = matrix[q][k];
+          matrix[p][k] = c * mpk - s * mqk;
+          matrix[q][k] = s * mpk + c * mqk;
+        }
+        for (let k = 0; k < n; k++) {
+          const vkp = v[k][p];
+          const vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  return {
+    values: matrix.map((row, i) => row[i]),
+    vectors: Array.from({ length: n }, (_, k) => v.map(row => row[k])),
+  };
+}
+
+/**
+ * Vocabulary, IDF weights and the term-to-concept projection of a trained model
+ */
+export class SemanticModel {
+  /**
+   * @param {object} options
+   * @param {string[]} options.vocabulary
+   * @param {number[]} options.idf - Per vocabulary term
+   * @param {Float32Array} options.projection - vocabulary.length x dimensions, row-major
+   * @param {number} options.dimensions
+   */
+  constructor({ vocabulary, idf, projection, dimensions }) {
+    this.vocabulary = vocabulary;
+    this.termIndex = new Map(vocabulary.map((term, index) => [term, index]));
+    this.idf = idf;
+    this.projection = projection;
+    this.dimensions = dimensions;
+  }
+
+  /**
+   * Sparse, L2-normalized TF-IDF weights of a text over the vocabulary
+   * @returns {[number, number][]} [termIndex, weight] pairs
+   */
+  weigh(text) {
+    const counts = new Map();
+    for (const term of termsOf(text)) {
+      const index = this.termIndex.get(term);
+      if (index !== undefined) {
+        counts.set(index, (counts.get(index) || 0) + 1);
+      }
+    }
+    const weights = [...counts].map(([index, count]) => [index, (1 + Math.log(count)) * this.idf[index]]);
+    const norm = Math.sqrt(weights.reduce((sum, [, weight]) => sum + weight * weight, 0));
+    return norm > 0 ? weights.map(([index, weight]) => [index, weight / norm]) : [];
+  }
+
+  /**
+   * Unit vector of a text in concept space, or null when it has no known terms
+   * @returns {Float32Array|null}
+   */
+  embed(text) {
+    const vector = new Float32Array(this.dimensions);
+    for (const [index, weight] of this.weigh(text)) {
+      const row = index * this.dimensions;
+      for (let d = 0; d < this.dimensions; d++) {
+        vector[d] += weight * this.projection[row + d];
+      }
+    }
+    const norm = Math.sqrt(dotProduct(vector, vector));
+    if (norm === 0) {
+      return null;
+    }
+    for (let d = 0; d < this.dimensions; d++) {
+      vector[d] /= norm;
+    }
+    return vector;
+  }
+
+  toJSON() {
+    return {
+      dimensions: this.dimensions,
+      vocabulary: this.vocabulary,
+      idf: this.idf.map(value => Math.round(value * 1e4) / 1e4),
+      projection: encodeVector(this.projection),
+    };
+  }
+
+  static fromJSON(data) {
+    return new SemanticModel({ ...data, projection: decodeVector(data.projection) });
+  }
+}
+
+/**
+ * Train a model on a set of texts (normally all chunks of the workspace)
+ * @param {string[]} texts
+ * @param {object} [options]
+ * @param {number} [options.dimensions] - Concept dimensions to keep
+ * @param {number} [options.maxVocabulary] - Most frequent terms to keep
+ * @param {number} [options.seed]
+ * @returns {SemanticModel}
+ */
+export function trainModel(texts, { dimensions = DEFAULT_DIMENSIONS, maxVocabulary = MAX_VOCABULARY, seed = 1 } = {}) {
+  const documents = texts.map(text => termsOf(text));
+
+  // Terms seen in a single chunk say nothing about co-occurrence, unless the corpus is tiny
+  const frequency = new Map();
+  for (const terms of documents) {
+    for (const term of new Set(terms)) {
+      frequency.set(term, (frequency.get(term) || 0) + 1);
+    }
+  }
+  const minFrequency = documents.length >= 20 ? 2 : 1;
+  const vocabulary = [...frequency]
+    .filter(([, count]) => count >= minFrequency)
+    .sort(([termA, a], [termB, b]) => b - a || (termA < termB ? -1 : 1))
+    .slice(0, maxVocabulary)
+    .map(([term]) => term)
+    .sort();
+  const idf = vocabulary.map(term => Math.log((1 + documents.length) / (1 + frequency.get(term))) + 1);
+
+  const m = vocabulary.length;
+  const scratch = new SemanticModel({ vocabulary, idf, projection: new Float32Array(0), dimensions: 0 });
+  const rows = texts.map(text => scratch.weigh(text)).filter(row => row.length > 0);
+  const n = rows.length;
+
+  const width = Math.min(dimensions + OVERSAMPLING, n, m);
+  if (width === 0) {
+    return new SemanticModel({ vocabulary, idf, projection: new Float32Array(0), dimensions: 0 });
+  }
+
+  // A (n x m, sparse rows) times dense m-vectors, and A transposed times dense n-vectors
+  const times = (columns) => columns.map(column => Float64Array.from(rows, row => row.reduce((sum, [t, w]) => sum + w * column[t], 0)));
+  const transposeTimes = (columns) => columns.map((column) => {
+    const result = new Float64Array(m);
+    rows.forEach((row, i) => {
+      for (const [t, w] of row) {
+        result[t] += w * column[i];
+      }
+    });
+    return result;
+  });
+
+  // Randomized range finder with power iterations (Halko, Martinsson & Tropp)
+  const next = random(seed);
+  let q = orthonormalize(times(Array.from({ length: width }, () => Float64Array.from({ length: m }, () => next() * 2 - 1))));
+  for (let i = 0; i < POWER_ITERATIONS; i++) {
+    q = orthonormalize(times(orthonormalize(transposeTimes(q))));
+  }
+
+  // B = Qt A is small (width x m); the SVD of A follows from the eigenvectors of B Bt
+  const b = transposeTimes(q);
+  const gram = b.map(rowA => b.map(rowB => dotProduct(rowA, rowB)));
+  const { values, vectors } = symmetricEigen(gram);
+  const order = values
+    .map((value, index) => ({ sigma: Math.sqrt(Math.max(value, 0)), index }))
+    .filter(({ sigma }) => sigma > 1e-8)
+    .sort((x, y) => y.sigma - x.sigma)
+    .slice(0, dimensions);
+
+  // V = Bt W / sigma: the right singular vectors, one column per concept
+  const k = order.length;
+  const projection = new Float32Array(m * k);
+  order.forEach(({ sigma, index }, d) => {
+    const w = vectors[index];
+    for (let t = 0; t < m; t++) {
+      let sum = 0;
+      for (let j = 0; j < width; j++) {
+        sum += b[j][t] * w[j];
+      }
+      projection[t * k + d] = sum / sigma;
+    }
+  });
+
+  return new SemanticModel({ vocabulary, idf, projection, dimensions: k });
+}
+
+export function encodeVector(vector) {
+  const floats = vector instanceof Float32Array ? vector : Float32Array.from(vector);
+  return Buffer.from(floats.buffer, floats.byteOffset, floats.byteLength).toString('base64');
+}
+
+export function decodeVector(encoded) {
+  const buffer = Buffer.from(encoded, 'base64');
+  return new Float32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+}
+
+/**
+ * A model plus the embedded chunks of each file, as stored on disk
+ */
+export class SemanticIndex {
+  constructor({ model = null, files = {}, trainedFiles = 0, changedSinceTraining = 0 } = {}) {
+    this.model = model;
+    this.files = files; // path -> { hash, chunks: [{ startLine, endLine, preview, vector }] }
+    this.trainedFiles = trainedFiles; // Files the model was trained on
+    this.changedSinceTraining = changedSinceTraining; // Files embedded with the model since
+  }
+
+  get chunkCount() {
+    return Object.values(this.files).reduce((sum, file) => sum + file.chunks.length, 0);
+  }
+
+  /**
+   * Embed a file's chunks with the current model (folding it into the space)
+   */
+  setFile(filePath, content, hash) {
+    const chunks = chunkText(content)
+      .map(chunk => ({
+        startLine: chunk.startLine,
+        endLine: chunk.endLine,
+        preview: chunk.text.replace(/\s+/g, ' ').trim().slice(0, PREVIEW_LENGTH),
+        vector: this.model.embed(chunk.text),
+      }))
+      .filter(chunk => chunk.vector);
+    this.files[filePath] = { hash, chunks };
+  }
+
+  removeFile(filePath) {
+    delete this.files[filePath];
+  }
+
+  /**
+   * Replace the model, trained on the given files, and embed them all
+   * @param {Map<string, { content: string, hash: string }>} contents
+   */
+  retrain(contents, options = {}) {
+    const texts = [...contents.values()].flatMap(({ content }) => chunkText(content).map(chunk => chunk.text));
+    this.model = trainModel(texts, options);
+    this.files = {};
+    for (const [filePath, { content, hash }] of contents) {
+      this.setFile(filePath, content, hash);
+    }
+    this.trainedFiles = contents.size;
+    this.changedSinceTraining = 0;
+  }
+
+  /**
+   * Chunks nearest to a query, best chunk per file first
+   * @returns {{ path: string, score: number, matches: { startLine: number, endLine: number, score: number, preview: string }[] }[]}
+   */
+  search(query, { limit = 10, chunksPerFile = 2 } = {}) {
+    const target = this.model?.embed(query);
+    if (!target) {
+      return [];
+    }
+
+    const results = [];
+    for (const [filePath, file] of Object.entries(this.files)) {
+      const matches = file.chunks
+        .map(chunk => ({ startLine: chunk.startLine, endLine: chunk.endLine, score: dotProduct(target, chunk.vector), preview: chunk.preview }))
+        .filter(match => match.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, chunksPerFile);
+      if (matches.length > 0) {
+        results.push({ path: filePath, score: matches[0].score, matches });
+      }
+    }
+
+    return results
+      .sort((a, b) => b.score - a.score || (a.path < b.path ? -1 : 1))
+      .slice(0, limit);
+  }
+
+  toJSON() {
+    return {
+      version: FORMAT_VERSION,
+      trainedFiles: this.trainedFiles,
+      changedSinceTraining: this.changedSinceTraining,
+      model: this.model?.toJSON() ?? null,
+      files: Object.fromEntries(Object.entries(this.files).map(([filePath, file]) => [filePath, {
+        hash: file.hash,
+        chunks: file.chunks.map(chunk => ({ ...chunk, vector: encodeVector(chunk.vector) })),
+      }])),
+    };
+  }
+
+  /**
+   * @returns {SemanticIndex|null} null for data from another format version
+   */
+  static fromJSON(data) {
+    if (!data || data.version !== FORMAT_VERSION || !data.model) {
+      return null;
+    }
+    const files = Object.fromEntries(Object.entries(data.files || {}).map(([filePath, file]) => [filePath, {
+      hash: file.hash,
+      chunks: file.chunks.map(chunk => ({ ...chunk, vector: decodeVector(chunk.vector) })),
+    }]));
+    return new SemanticIndex({
+      model: SemanticModel.fromJSON(data.model),
+      files,
+      trainedFiles: data.trainedFiles,
+      changedSinceTraining: data.changedSinceTraining,
+    });
+  }
+}
@@ -0,0 +1,192 @@
+/**
+ * Near-duplicate detection with word shingles.
+ *
+ * Each text is reduced to the set of its overlapping word n-grams ("shingles"),
+ * hashed to 32-bit integers. Two texts are similar when their sets overlap.
+ */
+
+/**
+ * Lowercase words of a text; punctuation and markup are dropped
+ */
+export function tokenize(text) {
+  return text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// 32-bit FNV-1a, enough to keep shingle sets small without meaningful collisions
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Set of hashed word n-grams. Texts shorter than one shingle yield a single
+ * shingle of all their words, so tiny files can still match each other.
+ * @param {string} text
+ * @param {number} [size] - Words per shingle
+ * @returns {Set<number>}
+ */
+export function shingleSet(text, size = 3) {
+  const words = tokenize(text);
+  const shingles = new Set();
+
+  if (words.length > 0 && words.length < size) {
+    shingles.add(hashString(words.join(' ')));
+  }
+
+  for (let i = 0; i + size <= words.length; i++) {
+    shingles.add(hashString(words.slice(i, i + size).join(' ')));
+  }
+
+  return shingles;
+}
+
+function intersectionSize(a, b) {
+  const [smaller, larger] = a.size <= b.size ? [a, b] : [b, a];
+  let count = 0;
+  for (const value of smaller) {
+    if (larger.has(value)) {
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Jaccard similarity |A ∩ B| / |A ∪ B|, from 0 (nothing shared) to 1 (same shingles)
+ */
+export function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) {
+    return 0;
+  }
+  const shared = intersectionSize(a, b);
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Share of the smaller set found in the larger one; 1 means one text is
+ * contained in the other
+ */
+export function containment(a, b) {
+  if (a.size === 0 || b.size === 0) {
+    return 0;
+  }
+  return intersectionSize(a, b) / Math.min(a.size, b.size);
+}
+
+/**
+ * Group items whose shingle sets are at least minSimilarity alike.
+ * Clusters are connected components, so A~B and B~C put A, B and C together
+ * even when A and C differ more.
+ *
+ * @param {{id: string, shingles: Set<number>}[]} items
+ * @param {number} minSimilarity - Jaccard threshold between 0 and 1
+ * @returns {{ids: string[], similarity: number, pairs: {a: string, b: string, similarity: number, containment: number}[]}[]}
+ *   Clusters, most similar first; `similarity` is the closest pair in the cluster
+ */
+export function clusterBySimilarity(items, minSimilarity) {
+  const parent = items.map((_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+
+  const pairs = [];
+  for (let i = 0; i < items.length; i++) {
+    for (let j = i + 1; j < items.length; j++) {
+      const a = items[i].shingles;
+      const b = items[j].shingles;
+
+      // Jaccard can never exceed the ratio of the set sizes
+      if (Math.min(a.size, b.size) < minSimilarity * Math.max(a.size, b.size)) {
+        continue;
+      }
+
+      const similarity = jaccard(a, b);
+      if (similarity >= minSimilarity && similarity > 0) {
+        pairs.push({ i, j, similarity, containment: containment(a, b) });
+        parent[find(i)] = find(j);
+      }
+    }
+  }
+
+  const clusters = new Map();
+  for (const pair of pairs) {
+    const root = find(pair.i);
+    if (!clusters.has(root)) {
+      clusters.set(root, { members: new Set(), similarity: 0, pairs: [] });
+    }
+    const cluster = clusters.get(root);
+    cluster.members.add(pair.i).add(pair.j);
+    cluster.similarity = Math.max(cluster.similarity, pair.similarity);
+    cluster.pairs.push({
+      a: items[pair.i].id,
+      b: items[pair.j].id,
+      similarity: pair.similarity,
+      containment: pair.containment,
+    });
+  }
+
+  return [...clusters.values()]
+    .map(cluster => ({
+      ids: [...cluster.members].sort((a, b) => a - b).map(i => items[i].id),
+      similarity: cluster.similarity,
+      pairs: cluster.pairs.sort((a, b) => b.similarity - a.similarity),
+    }))
+    .sort((a, b) => b.similarity - a.similarity);
+}
+
+/**
+ * Exact duplicates (same content hash) and near-duplicate clusters among files.
+ * Only one file per distinct content is read.
+ *
+ * @param {{path: string, hash: string, size: number}[]} files - Non-empty files
+ * @param {object} options
+ * @param {number} options.minSimilarity - Jaccard threshold for near-duplicates
+ * @param {(path: string) => Promise<string>} options.readContent - Text content, '' for binary files
+ * @returns {Promise<{
+ *   exact: {contentHash: string, size: number, files: string[]}[],
+ *   nearDuplicates: {similarity: number, files: string[], pairs: {a: string, b: string, similarity: number, containment: number}[]}[]
+ * }>} Paths sorted within each group; biggest groups and closest clusters first
+ */
+export async function groupDuplicates(files, { minSimilarity, readContent }) {
+  const byHash = new Map();
+  const texts = [];
+
+  for (const file of files) {
+    if (!byHash.has(file.hash)) {
+      byHash.set(file.hash, { size: file.size, files: [] });
+
+      const content = await readContent(file.path);
+      if (content) {
+        texts.push({ id: file.hash, shingles: shingleSet(content) });
+      }
+    }
+    byHash.get(file.hash).files.push(file.path);
+  }
+
+  const exact = [...byHash.entries()]
+    .filter(([, group]) => group.files.length > 1)
+    .map(([contentHash, group]) => ({ contentHash, size: group.size, files: group.files.sort() }))
+    .sort((a, b) => b.files.length - a.files.length || b.size - a.size);
+
+  // Clusters are found between distinct contents, then expanded back to paths
+  const nearDuplicates = clusterBySimilarity(texts, minSimilarity).map(cluster => ({
+    similarity: cluster.similarity,
+    files: cluster.ids.flatMap(contentHash => byHash.get(contentHash).files).sort(),
+    pairs: cluster.pairs.map(pair => ({
+      a: byHash.get(pair.a).files[0],
+      b: byHash.get(pair.b).files[0],
+      similarity: pair.similarity,
+      containment: pair.containment,
+    })),
+  }));
+
+  return { exact, nearDuplicates };
+}
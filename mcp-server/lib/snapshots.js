@@ -0,0 +1,212 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash } from 'crypto';
+import { withDirectoryLock } from './lock.js';
+
+/**
+ * Point-in-time copies of the tracked file list, and diffs between them.
+ *
+ * A snapshot keeps what is needed to tell how the workspace changed: per live
+ * file its content hash, summary, tags and earlier paths. Snapshots are stored
+ * one JSON file each in a directory, with `index.json` listing them oldest first.
+ */
+
+const INDEX_FILE = 'index.json';
+
+/**
+ * Snapshot the live entries of a files map
+ * @param {object} files - path -> entry, as in metadata.files
+ * @param {object} [options]
+ * @param {Date} [options.at]
+ * @param {string} [options.label]
+ * @param {boolean} [options.automatic] - Taken on a schedule rather than asked for
+ */
+export function createSnapshot(files, { at = new Date(), label = null, automatic = false } = {}) {
+  const snapshotFiles = {};
+  for (const [filePath, entry] of Object.entries(files).sort(([a], [b]) => (a < b ? -1 : 1))) {
+    if (entry.deleted || entry.archived) {
+      continue;
+    }
+    snapshotFiles[filePath] = {
+      hash: entry.contentHash ?? null,
+      summary: entry.summary,
+      tags: entry.tags || [],
+      ...(entry.previousPaths?.length > 0 && { previousPaths: entry.previousPaths }),
+    };
+  }
+
+  return {
+    id: snapshotId(at),
+    at: at.toISOString(),
+    ...(label && { label }),
+    ...(automatic && { automatic }),
+    fingerprint: createHash('sha256').update(JSON.stringify(snapshotFiles)).digest('hex').slice(0, 16),
+    files: snapshotFiles,
+  };
+}
+
+// e.g. 20260118-103000, sortable and safe as a file name
+function snapshotId(at) {
+  return at.toISOString().replace(/\.\d+Z$/, '').replace(/[-:]/g, '').replace('T', '-');
+}
+
+/**
+ * What changed from one snapshot to another. Both are `{ files }` objects, so
+ * the current state can be compared as a snapshot taken now.
+ */
+export function diffSnapshots(from, to) {
+  const before = from.files;
+  const after = to.files;
+
+  const removedPaths = Object.keys(before).filter(filePath => !after[filePath]);
+  const addedPaths = Object.keys(after).filter(filePath => !before[filePath]);
+
+  // A file that moved shows up as removed and added: pair them up by recorded
+  // earlier paths first, then by identical content
+  const renamed = [];
+  const claimed = new Set();
+  for (const filePath of addedPaths) {
+    const candidates = after[filePath].previousPaths || [];
+    const movedFrom = [...candidates].reverse().find(previous => removedPaths.includes(previous) && !claimed.has(previous)) ??
+      removedPaths.find(previous => !claimed.has(previous) && before[previous].hash && before[previous].hash === after[filePath].hash);
+    if (movedFrom) {
+      claimed.add(movedFrom);
+      renamed.push({ from: movedFrom, to: filePath });
+    }
+  }
+  const renamedTo = new Map(renamed.map(({ from: previous, to: current }) => [current, previous]));
+
+  const added = addedPaths
+    .filter(filePath => !renamedTo.has(filePath))
+    .map(filePath => ({ path: filePath, summary: after[filePath].summary, tags: after[filePath].tags }));
+  const removed = removedPaths
+    .filter(filePath => !claimed.has(filePath))
+    .map(filePath => ({ path: filePath, summary: before[filePath].summary }));
+
+  // Compare files present on both sides, following renames
+  const modified = [];
+  const retagged = [];
+  const resummarized = [];
+  for (const filePath of Object.keys(after)) {
+    const previousPath = before[filePath] ? filePath : renamedTo.get(filePath);
+    if (!previousPath) {
+      continue;
+    }
+    const old = before[previousPath];
+    const current = after[filePath];
+
+    if (old.hash !== current.hash) {
+      modified.push(filePath);
+    }
+    const addedTags = current.tags.filter(tag => !old.tags.includes(tag));
+    const removedTags = old.tags.filter(tag => !current.tags.includes(tag));
+    if (addedTags.length > 0 || removedTags.length > 0) {
+      retagged.push({ path: filePath, added: addedTags, removed: removedTags });
+    }
+    if (old.summary !== current.summary) {
+      resummarized.push({ path: filePath, from: old.summary, to: current.summary });
+    }
+  }
+
+  return {
+    counts: {
+      added: added.length,
+      removed: removed.length,
+      renamed: renamed.length,
+      modified: modified.length,
+      retagged: retagged.length,
+      resummarized: resummarized.length,
+    },
+    added,
+    removed,
+    renamed,
+    modified,
+    retagged,
+    resummarized,
+  };
+}
+
+/**
+ * Snapshot files in a directory
+ */
+export class SnapshotStore {
+  /**
+   * @param {string} directory - Absolute path of the snapshot directory
+   */
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  /**
+   * Snapshots without their files, oldest first
+   * @returns {Promise<{ id: string, at: string, label?: string, automatic?: boolean, fingerprint: string, files: number }[]>}
+   */
+  async list() {
+    try {
+      const list = JSON.parse(await fs.readFile(path.join(this.directory, INDEX_FILE), 'utf-8'));
+      return Array.isArray(list) ? list : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  async load(id) {
+    if (!/^[\w-]+$/.test(id)) {
+      return null;
+    }
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.directory, `${id}.json`), 'utf-8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Latest snapshot taken at or before a time
+   */
+  async findAt(time) {
+    const list = await this.list();
+    const before = list.filter(snapshot => new Date(snapshot.at).getTime() <= time);
+    return before.length > 0 ? this.load(before[before.length - 1].id) : null;
+  }
+
+  /**
+   * Store a snapshot (renaming it if its id is taken). Automatic snapshots
+   * beyond the newest `keep` are deleted; others are kept until deleted by hand.
+   * @returns {Promise<object>} The stored snapshot
+   */
+  async save(snapshot, { keep = Infinity } = {}) {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    // The server and the CLI may save at the same time; each reads the index and writes it back
+    return withDirectoryLock(path.join(this.directory, `${INDEX_FILE}.writing`), async () => {
+      const list = await this.list();
+
+      let id = snapshot.id;
+      for (let n = 2; list.some(existing => existing.id === id); n++) {
+        id = `${snapshot.id}-${n}`;
+      }
+      const stored = { ...snapshot, id };
+
+      await this.writeJson(`${id}.json`, stored);
+      const { files, ...header } = stored;
+      list.push({ ...header, files: Object.keys(files).length });
+
+      const automatic = list.filter(existing => existing.automatic);
+      const dropped = new Set(automatic.slice(0, Math.max(0, automatic.length - keep)));
+      await this.writeJson(INDEX_FILE, list.filter(existing => !dropped.has(existing)));
+      for (const old of dropped) {
+        await fs.rm(path.join(this.directory, `${old.id}.json`), { force: true });
+      }
+
+      return stored;
+    });
+  }
+
+  async writeJson(fileName, data) {
+    const target = path.join(this.directory, fileName);
+    const tempPath = `${target}.tmp-${process.pid}`;
+    await fs.writeFile(tempPath, JSON.stringify(data), 'utf-8');
+    await fs.rename(tempPath, target);
+  }
+}
@@ -0,0 +1,437 @@
+import fs from 'fs/promises';
+import path from 'path';
+import YAML from 'yaml';
+import { existsSync } from 'fs';
+import { createHash } from 'crypto';
+import { SCHEMA_VERSION, renderMetadata } from './render.js';
+import { withDirectoryLock } from './lock.js';
+
+/**
+ * The _timepon.yaml store: reading any known format, debounced atomic writes,
+ * and merging with other processes writing the same file.
+ */
+
+export { SCHEMA_VERSION };
+
+/**
+ * Normalize a workspace-relative path to the forward-slash form used as a store key
+ */
+export function toStoreKey(relativePath) {
+  return relativePath.split(/[\\/]/).filter(Boolean).join('/');
+}
+
+/**
+ * Whether an entry describes a file currently in the workspace (not deleted or archived)
+ */
+export function isLiveEntry(entry) {
+  return !entry.deleted && !entry.archived;
+}
+
+/**
+ * Parse _timepon.yaml content in any known format.
+ * Returns the metadata plus the name of the legacy format it was migrated from (or null).
+ * @returns {{ metadata: { files: object }, migratedFrom: 'tree'|'flat'|null }}
+ */
+export function parseMetadata(content) {
+  let parsed = null;
+  try {
+    parsed = YAML.parse(content);
+  } catch (error) {
+    // Legacy pretty-tree files have a plain-text banner and are not valid YAML
+  }
+
+  if (parsed && typeof parsed === 'object' && 'schemaVersion' in parsed) {
+    if (parsed.schemaVersion > SCHEMA_VERSION) {
+      throw new Error(`Unsupported schema version ${parsed.schemaVersion} (this server reads up to ${SCHEMA_VERSION})`);
+    }
+
+    if (!parsed.files || typeof parsed.files !== 'object') {
+      throw new Error('Invalid YAML structure: missing files map');
+    }
+
+    // Header fields are derived on every save; everything else is stored state
+    const { schemaVersion, workspace, lastUpdated, totalFiles, ...metadata } = parsed;
+    return { metadata, migratedFrom: null };
+  }
+
+  // Pretty tree produced by the old formatYamlWithSpacing() writer
+  if (/^ {2}Root:\s*$/m.test(content)) {
+    return { metadata: { files: migrateLegacyTree(content) }, migratedFrom: 'tree' };
+  }
+
+  // Original flat format: files keyed by relative path with ISO timestamps
+  if (parsed && typeof parsed === 'object' && parsed.files && typeof parsed.files === 'object') {
+    const files = {};
+    for (const [relativePath, entry] of Object.entries(parsed.files)) {
+      if (entry && typeof entry === 'object' && entry.created) {
+        files[toStoreKey(relativePath)] = entry;
+      }
+    }
+    return { metadata: { files }, migratedFrom: 'flat' };
+  }
+
+  throw new Error('Invalid YAML structure: unrecognised _timepon.yaml format');
+}
+
+/**
+ * Import a legacy pretty-tree _timepon.yaml into the flat files map.
+ * The tree is parsed line by line because summaries were written unquoted.
+ */
+function migrateLegacyTree(content) {
+  const files = {};
+  const stack = []; // Open tree keys: { indent, name }
+  let pending = null; // File entry whose fields are being read
+  let inFiles = false;
+
+  const commit = () => {
+    if (pending && pending.entry.created) {
+      // Drop the synthetic Root folder from the path
+      const parts = pending.parts[0] === 'Root' ? pending.parts.slice(1) : pending.parts;
+      if (parts.length > 0) {
+        files[parts.join('/')] = pending.entry;
+      }
+    }
+    pending = null;
+  };
+
+  for (const line of content.split(/\r?\n/)) {
+    const trimmed = line.trim();
+
+    if (!inFiles) {
+      inFiles = /^files:\s*$/.test(line);
+      continue;
+    }
+
+    // Footer banner ends the data section
+    if (/^={3,}$/.test(trimmed)) {
+      break;
+    }
+
+    if (!trimmed || trimmed.startsWith('#')) {
+      continue;
+    }
+
+    const indent = line.length - line.trimStart().length;
+    const field = trimmed.match(/^(created|summary|tags):(?: (.*))?$/);
+
+    if (pending && field && indent === pending.indent + 2) {
+      const [, name, value = ''] = field;
+      if (name === 'created') {
+        pending.entry.created = parseLegacyDate(value);
+      } else if (name === 'summary') {
+        pending.entry.summary = value;
+      } else {
+        pending.entry.tags = value.replace(/^\[|\]$/g, '').split(',').map(t => t.trim()).filter(Boolean);
+      }
+      continue;
+    }
+
+    const key = trimmed.match(/^(.+):$/);
+    if (!key) {
+      continue;
+    }
+
+    commit();
+
+    while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+      stack.pop();
+    }
+    stack.push({ indent, name: key[1] });
+
+    // Every key may be a file; it only becomes one if fields follow
+    pending = { indent, parts: stack.map(s => s.name), entry: {} };
+  }
+
+  commit();
+  return files;
+}
+
+/**
+ * Convert a legacy "19 Jan 2026 10:30 >>(2h ago)<<" timestamp back to ISO.
+ * Legacy values were written in local time with minute precision.
+ */
+export function parseLegacyDate(value) {
+  const text = value.replace(/\s*>>.*$/, '').trim();
+
+  if (/^\d{4}-\d{2}-\d{2}T/.test(text) && !isNaN(Date.parse(text))) {
+    return new Date(text).toISOString();
+  }
+
+  const match = text.match(/^(\d{1,2}) ([A-Za-z]+),? (\d{4}),? (\d{1,2}):(\d{2})/);
+  const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+  const monthIndex = match ? months.indexOf(match[2].slice(0, 3).toLowerCase()) : -1;
+
+  if (!match || monthIndex === -1) {
+    console.error(`Warning: Could not parse legacy timestamp "${value}", using current time`);
+    return new Date().toISOString();
+  }
+
+  const [, day, , year, hours, minutes] = match;
+  return new Date(Number(year), monthIndex, Number(day), Number(hours), Number(minutes)).toISOString();
+}
+
+const contentHash = content => createHash('sha1').update(content).digest('hex');
+
+/**
+ * Serialize metadata per entry so local changes can be told apart from disk
+ */
+function snapshotOf({ files, ...extras }) {
+  return {
+    entries: new Map(Object.entries(files).map(([relativePath, entry]) => [relativePath, JSON.stringify(entry)])),
+    extras: JSON.stringify(extras),
+  };
+}
+
+export class MetadataStore {
+  static SAVE_RETRY_MAX = 3;
+  static SAVE_RETRY_BASE_DELAY = 1000; // ms
+  static SAVE_DEBOUNCE = 1000; // ms of quiet before a scheduled save
+  static SAVE_MAX_WAIT = 5000; // ms a scheduled save can be postponed by continuous changes
+  static LOCK_TIMEOUT = 10000; // ms to wait for another process to finish writing
+  static LOCK_STALE = 15000; // ms after which a write lock left by a crash is broken
+
+  /**
+   * @param {string} filePath - The _timepon.yaml to read and write
+   * @param {object} [options]
+   * @param {string} [options.workspaceRoot] - Shown in the file's header (default: its folder)
+   */
+  constructor(filePath, { workspaceRoot = path.dirname(filePath) } = {}) {
+    this.filePath = filePath;
+    this.workspaceRoot = workspaceRoot;
+    // Replaced wholesale by load() and merge(); hold on to the store, not this object
+    this.metadata = { files: {} };
+
+    this.saveTimer = null;
+    this.firstPendingSaveAt = null;
+    this.saveInFlight = null;
+    this.saveFollowUp = null;
+
+    this.syncedEntries = new Map(); // relativePath -> JSON of the entry as last read from or written to disk
+    this.syncedExtras = '{}'; // JSON of non-file metadata as last synced
+    this.syncedHash = null; // Hash of _timepon.yaml as last read or written
+  }
+
+  get files() {
+    return this.metadata.files;
+  }
+
+  /**
+   * Load the file into memory. Older formats are backed up and rewritten in the
+   * current schema; an unreadable file is backed up and replaced by an empty store.
+   * @returns {Promise<{ exists: boolean, migratedFrom: string|null }>}
+   */
+  async load() {
+    try {
+      if (!existsSync(this.filePath)) {
+        this.metadata = { files: {} };
+        return { exists: false, migratedFrom: null };
+      }
+
+      const content = await fs.readFile(this.filePath, 'utf-8');
+      const { metadata, migratedFrom } = parseMetadata(content);
+
+      this.metadata = metadata;
+      this.markSynced(snapshotOf(this.metadata), content);
+
+      // Older formats are imported once, then rewritten in the current schema
+      if (migratedFrom) {
+        const backupPath = `${this.filePath}.backup.${Date.now()}`;
+        await fs.copyFile(this.filePath, backupPath);
+        console.error(`Migrated _timepon.yaml from ${migratedFrom} format (original backed up to: ${backupPath})`);
+        await this.save();
+      }
+
+      return { exists: true, migratedFrom };
+    } catch (error) {
+      console.error(`ERROR: Failed to load metadata from ${this.filePath}:`, error.message);
+
+      // Create backup of corrupted file
+      if (existsSync(this.filePath)) {
+        const backupPath = `${this.filePath}.backup.${Date.now()}`;
+        try {
+          await fs.copyFile(this.filePath, backupPath);
+          console.error(`Corrupted metadata backed up to: ${backupPath}`);
+        } catch (backupError) {
+          console.error('Failed to create backup:', backupError.message);
+        }
+      }
+
+      this.metadata = { files: {} };
+      return { exists: false, migratedFrom: null };
+    }
+  }
+
+  /**
+   * Read the file without migrating, backing up or tracking it for merges
+   * (one-off readers). Errors, including a missing file, are thrown.
+   */
+  async read() {
+    this.metadata = parseMetadata(await fs.readFile(this.filePath, 'utf-8')).metadata;
+    return this.metadata;
+  }
+
+  /**
+   * Request a save. Bursts of changes (e.g. an AI generating dozens of files)
+   * are coalesced into one write after SAVE_DEBOUNCE of quiet, or SAVE_MAX_WAIT at most.
+   */
+  scheduleSave() {
+    const now = Date.now();
+    this.firstPendingSaveAt = this.firstPendingSaveAt || now;
+
+    const delayMs = Math.max(0, Math.min(
+      MetadataStore.SAVE_DEBOUNCE,
+      this.firstPendingSaveAt + MetadataStore.SAVE_MAX_WAIT - now
+    ));
+
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => {
+      this.save().catch((error) => {
+        console.error('ERROR: Scheduled save failed:', error.message);
+      });
+    }, delayMs);
+  }
+
+  /**
+   * Write metadata now, replacing any scheduled save.
+   * Single-flight: calls made while a write is running share one follow-up
+   * write, so every change is captured and writes never overlap.
+   * @returns {Promise<boolean>} Whether the write succeeded
+   */
+  async save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.firstPendingSaveAt = null;
+
+    if (this.saveInFlight) {
+      if (!this.saveFollowUp) {
+        this.saveFollowUp = this.saveInFlight.then(() => {
+          this.saveFollowUp = null;
+          return this.save();
+        });
+      }
+      return this.saveFollowUp;
+    }
+
+    this.saveInFlight = this.write().finally(() => {
+      this.saveInFlight = null;
+    });
+    return this.saveInFlight;
+  }
+
+  /**
+   * Write _timepon.yaml atomically: write and fsync a temp file, then rename it
+   * over the original so readers never see a partially-written file.
+   * Retries with exponential backoff; returns false if every attempt failed.
+   */
+  async write() {
+    const tempPath = `${this.filePath}.tmp-${process.pid}`;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await this.withLock(async () => {
+          // Another server may have written since we last synced
+          await this.merge();
+
+          const snapshot = snapshotOf(this.metadata);
+          const fullContent = renderMetadata(this.metadata, { workspaceRoot: this.workspaceRoot });
+
+          const handle = await fs.open(tempPath, 'w');
+          try {
+            await handle.writeFile(fullContent, 'utf-8');
+            await handle.sync();
+          } finally {
+            await handle.close();
+          }
+
+          await fs.rename(tempPath, this.filePath);
+          this.markSynced(snapshot, fullContent);
+        });
+
+        console.error('Metadata saved to _timepon.yaml');
+        return true;
+      } catch (error) {
+        console.error(`Error saving metadata (attempt ${attempt}/${MetadataStore.SAVE_RETRY_MAX + 1}):`, error.message);
+
+        if (attempt > MetadataStore.SAVE_RETRY_MAX) {
+          await fs.rm(tempPath, { force: true }).catch(() => {});
+          console.error('ERROR: Failed to save metadata after maximum retries. Changes are kept in memory for the next save.');
+          return false;
+        }
+
+        const delayMs = Math.pow(2, attempt) * MetadataStore.SAVE_RETRY_BASE_DELAY; // Exponential backoff
+        console.error(`Retrying in ${delayMs}ms...`);
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+    }
+  }
+
+  markSynced(snapshot, content) {
+    this.syncedEntries = snapshot.entries;
+    this.syncedExtras = snapshot.extras;
+    this.syncedHash = contentHash(content);
+  }
+
+  /**
+   * Three-way merge of _timepon.yaml written by another process into memory.
+   * Entries changed here since the last sync win; everything else is taken from disk.
+   */
+  async merge() {
+    let content;
+    try {
+      content = await fs.readFile(this.filePath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+
+    if (contentHash(content) === this.syncedHash) {
+      return;
+    }
+
+    let disk;
+    try {
+      disk = parseMetadata(content).metadata;
+    } catch (error) {
+      console.error('Warning: Could not merge _timepon.yaml written elsewhere:', error.message);
+      return;
+    }
+
+    const local = snapshotOf(this.metadata);
+    const files = { ...disk.files };
+
+    for (const [relativePath, json] of local.entries) {
+      if (this.syncedEntries.get(relativePath) !== json) {
+        files[relativePath] = this.metadata.files[relativePath];
+      }
+    }
+
+    for (const relativePath of this.syncedEntries.keys()) {
+      if (!local.entries.has(relativePath)) {
+        delete files[relativePath];
+      }
+    }
+
+    const { files: diskFiles, ...diskExtras } = disk;
+    const { files: localFiles, ...localExtras } = this.metadata;
+    const extras = local.extras !== this.syncedExtras ? { ...diskExtras, ...localExtras } : diskExtras;
+
+    this.metadata = { ...extras, files };
+
+    // What was on disk is now the common base; local edits stay unsynced
+    this.markSynced(snapshotOf(disk), content);
+
+    console.error('Merged _timepon.yaml changes from another Timepon server');
+  }
+
+  /**
+   * Run fn while holding a short-lived cross-process lock on the file
+   */
+  withLock(fn) {
+    return withDirectoryLock(`${this.filePath}.writing`, fn, {
+      timeout: MetadataStore.LOCK_TIMEOUT,
+      stale: MetadataStore.LOCK_STALE,
+    });
+  }
+}
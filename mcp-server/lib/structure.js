@@ -0,0 +1,283 @@
+import path from 'path';
+import YAML from 'yaml';
+
+/**
+ * Structured metadata for documents and config files, stored as the
+ * `structure` field of a tracked entry.
+ */
+
+export const OUTLINE_MAX_HEADINGS = 30;
+export const OUTLINE_MAX_LEVEL = 3;
+export const MAX_LINKS = 30;
+export const MAX_KEYS = 30;
+
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown', '.mdx'];
+const DATA_EXTENSIONS = ['.json', '.jsonc', '.yaml', '.yml'];
+
+/**
+ * Extract structure from a file's content, or null for file types without any
+ * @param {string} content
+ * @param {string} filePath - Used for the extension and for kind detection (e.g. .github/workflows/)
+ */
+export function extractStructure(content, filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+
+  if (!content) {
+    return null;
+  }
+  if (MARKDOWN_EXTENSIONS.includes(ext)) {
+    return extractMarkdown(content);
+  }
+  if (DATA_EXTENSIONS.includes(ext)) {
+    return extractData(content, filePath);
+  }
+  return null;
+}
+
+/**
+ * Front matter, heading outline, word count, task checkboxes and link targets
+ */
+export function extractMarkdown(content) {
+  const structure = {};
+  let body = content.replace(/\r\n/g, '\n');
+
+  const frontMatter = body.match(/^---\n([\s\S]*?)\n(?:---|\.\.\.)[ \t]*(?:\n|$)/);
+  if (frontMatter) {
+    body = body.slice(frontMatter[0].length);
+    try {
+      const data = YAML.parse(frontMatter[1]);
+      if (data && typeof data === 'object' && !Array.isArray(data)) {
+        structure.frontMatter = data;
+      }
+    } catch (error) {
+      structure.frontMatterError = error.message.split('\n')[0];
+    }
+  }
+
+  // Headings, tasks and words inside fenced code blocks don't count
+  const prose = [];
+  let fence = null;
+  for (const line of body.split('\n')) {
+    const fenceMatch = line.match(/^\s{0,3}(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      if (!fence) {
+        fence = fenceMatch[1];
+      } else if (fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+        fence = null;
+      }
+      continue;
+    }
+    if (!fence) {
+      prose.push(line);
+    }
+  }
+
+  const outline = [];
+  let open = 0;
+  let done = 0;
+  for (const line of prose) {
+    const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading && heading[1].length <= OUTLINE_MAX_LEVEL && outline.length < OUTLINE_MAX_HEADINGS) {
+      outline.push(`${heading[1]} ${heading[2]}`);
+    }
+
+    const task = line.match(/^\s*(?:[-*+]|\d+[.)])\s+\[([ xX])\]\s/);
+    if (task) {
+      if (task[1] === ' ') {
+        open++;
+      } else {
+        done++;
+      }
+    }
+  }
+
+  const text = prose.join('\n');
+  const links = new Set();
+  // [text](target "title") but not images; <https://...>; bare URLs
+  for (const [, target] of text.matchAll(/(?<!!)\[[^\]]*\]\(\s*<?([^)\s>]+)>?(?:\s+["'(][^)]*)?\)/g)) {
+    links.add(target);
+  }
+  for (const [, target] of text.matchAll(/<(https?:\/\/[^>\s]+)>/g)) {
+    links.add(target);
+  }
+  for (const [target] of text.matchAll(/(?<![(<\w])https?:\/\/[^\s)<>\]"'`]+/g)) {
+    links.add(target.replace(/[.,;:!?]+$/, ''));
+  }
+
+  if (outline.length > 0) {
+    structure.outline = outline;
+  }
+  structure.words = (text.replace(/[#>*_`~|[\]()-]/g, ' ').match(/[\p{L}\p{N}][\p{L}\p{N}'’.]*/gu) || []).length;
+  if (open + done > 0) {
+    structure.tasks = { open, done };
+  }
+  if (links.size > 0) {
+    structure.links = [...links].slice(0, MAX_LINKS);
+  }
+
+  return structure;
+}
+
+/**
+ * Top-level keys and detected kind of a JSON or YAML file
+ */
+export function extractData(content, filePath) {
+  let data;
+  try {
+    data = ['.json', '.jsonc'].includes(path.extname(filePath).toLowerCase()) ? parseJson(content) : parseYaml(content);
+  } catch (error) {
+    return { parseError: error.message.split('\n')[0] };
+  }
+
+  if (!data || typeof data !== 'object') {
+    return null;
+  }
+
+  const structure = {};
+  const kind = detectKind(data, filePath);
+  if (kind) {
+    structure.kind = kind.name;
+    Object.assign(structure, kind.details);
+  }
+  if (Array.isArray(data)) {
+    structure.items = data.length;
+  } else {
+    structure.keys = Object.keys(data).slice(0, MAX_KEYS);
+  }
+  return structure;
+}
+
+/**
+ * JSON, also accepting the comments and trailing commas of tsconfig/VS Code style JSONC
+ */
+function parseJson(content) {
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    const relaxed = stripJsonComments(content).replace(/,(\s*[}\]])/g, '$1');
+    try {
+      return JSON.parse(relaxed);
+    } catch {
+      throw error;
+    }
+  }
+}
+
+function stripJsonComments(content) {
+  let result = '';
+  let inString = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inString) {
+      result += char;
+      if (char === '\\') {
+        result += content[++i] ?? '';
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+      result += char;
+    } else if (char === '/' && content[i + 1] === '/') {
+      while (i < content.length && content[i] !== '\n') {
+        i++;
+      }
+      result += '\n';
+    } else if (char === '/' && content[i + 1] === '*') {
+      const end = content.indexOf('*/', i + 2);
+      i = end < 0 ? content.length : end + 1;
+    } else {
+      result += char;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * First document of a YAML file (Kubernetes-style files can hold several)
+ */
+function parseYaml(content) {
+  const documents = YAML.parseAllDocuments(content);
+  const first = Array.isArray(documents) ? documents[0] : documents;
+  if (!first) {
+    return null;
+  }
+  if (first.errors.length > 0) {
+    throw first.errors[0];
+  }
+  return first.toJS();
+}
+
+const names = (value) => (value && typeof value === 'object' && !Array.isArray(value) ? Object.keys(value) : []);
+
+/**
+ * Well-known file kinds, checked in order. Each returns details to store, or null if it doesn't match.
+ */
+const KINDS = [
+  {
+    name: 'npm-manifest',
+    match: (data, fileName) => (fileName === 'package.json' || (data.name && data.version && (data.dependencies || data.scripts)))
+      ? { package: [data.name, data.version].filter(Boolean).join('@') || undefined }
+      : null,
+  },
+  {
+    name: 'mcp-config',
+    match: (data) => (data.mcpServers || (data.servers && Object.values(data.servers).some(s => s && (s.command || s.url))))
+      ? { servers: names(data.mcpServers || data.servers) }
+      : null,
+  },
+  {
+    name: 'ci-workflow',
+    match: (data, fileName, relativePath) => {
+      const github = /(^|\/)\.github\/workflows\/[^/]+\.ya?ml$/.test(relativePath) || (data.on && data.jobs);
+      const other = /^(\.gitlab-ci\.ya?ml|azure-pipelines\.ya?ml|bitbucket-pipelines\.ya?ml)$/.test(fileName) ||
+        /(^|\/)\.circleci\/config\.ya?ml$/.test(relativePath);
+      if (!github && !other) {
+        return null;
+      }
+      return { jobs: names(data.jobs).length > 0 ? names(data.jobs) : undefined };
+    },
+  },
+  {
+    name: 'openapi-spec',
+    match: (data) => (data.openapi || data.swagger)
+      ? { specVersion: String(data.openapi || data.swagger), title: data.info?.title }
+      : null,
+  },
+  {
+    name: 'tsconfig',
+    match: (data, fileName) => (/^[tj]sconfig(\..+)?\.json$/.test(fileName) || (data.compilerOptions && typeof data.compilerOptions === 'object'))
+      ? {}
+      : null,
+  },
+  {
+    name: 'docker-compose',
+    match: (data, fileName) => (/^(docker-)?compose(\..+)?\.ya?ml$/.test(fileName) && data.services)
+      ? { services: names(data.services) }
+      : null,
+  },
+];
+
+export function detectKind(data, filePath) {
+  if (Array.isArray(data)) {
+    return null;
+  }
+
+  const relativePath = filePath.split(path.sep).join('/');
+  const fileName = path.posix.basename(relativePath).toLowerCase();
+
+  for (const kind of KINDS) {
+    const details = kind.match(data, fileName, relativePath);
+    if (details) {
+      // Drop details that turned out empty
+      return {
+        name: kind.name,
+        details: Object.fromEntries(Object.entries(details).filter(([, value]) => value !== undefined && value !== '')),
+      };
+    }
+  }
+  return null;
+}
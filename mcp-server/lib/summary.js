@@ -0,0 +1,326 @@
+import path from 'path';
+
+/**
+ * One-line file summaries, with an extractor per file extension.
+ *
+ * An extractor receives (content, filePath) and returns a summary string, or
+ * null to fall back to the generic first-line summary.
+ */
+
+export const SUMMARY_MAX_LENGTH = 80;
+
+const extractors = new Map(); // '.ext' -> extractor
+
+// Comment text that says nothing about the file: legal banners, tool directives, separators
+const LICENSE_PATTERN = /copyright|\(c\)\s*\d{4}|licen[cs]ed?\b|spdx-license|all rights reserved/i;
+const DIRECTIVE_PATTERN = /^(eslint[- ]|eslint$|global\s|globals\s|jshint|jscs|prettier-ignore|istanbul\s|c8\s|@ts-|@flow|@jsx|@refresh|@license|@preserve|<reference|#?region\b|#?endregion\b|go:|\+build|nolint|noqa|type:\s*ignore|pylint:|pyright:|mypy:|-\*-.*-\*-|vim?:|fmt:|isort:|rubocop:|frozen_string_literal|@generated|code generated)/i;
+
+/**
+ * Register an extractor for one or more extensions (with or without the dot).
+ * A later registration for the same extension replaces the earlier one.
+ */
+export function registerSummaryExtractor(extensions, extractor) {
+  for (const ext of [].concat(extensions)) {
+    extractors.set(`.${ext.replace(/^\./, '')}`.toLowerCase(), extractor);
+  }
+}
+
+export function getSummaryExtractor(filePath) {
+  return extractors.get(path.extname(filePath).toLowerCase()) || null;
+}
+
+const clip = (text) => text.trim().slice(0, SUMMARY_MAX_LENGTH);
+
+/**
+ * Summarize a file with the extractor for its extension, falling back to the first non-empty line
+ */
+export function summarize(content, filePath) {
+  const ext = path.extname(filePath);
+
+  if (!content) {
+    return `${ext} file`;
+  }
+
+  const extractor = getSummaryExtractor(filePath);
+  const summary = extractor ? extractor(content, filePath) : null;
+  if (summary) {
+    return clip(summary);
+  }
+
+  const firstLine = content.split('\n').find(l => l.trim());
+  return firstLine?.slice(0, SUMMARY_MAX_LENGTH) || path.basename(filePath);
+}
+
+/**
+ * Comment blocks at the top of a file, before the first line of code.
+ * Consecutive line comments form one block; markers and leading '*' are stripped.
+ * @param {string} content
+ * @param {object} syntax
+ * @param {string[]} [syntax.line] - Line comment markers, e.g. ['//']
+ * @param {boolean} [syntax.block] - Whether C-style block comments are used
+ * @returns {string[][]} Lines of each block
+ */
+export function leadingComments(content, { line = ['//'], block = true } = {}) {
+  const lines = content.split('\n');
+  const blocks = [];
+  let i = 0;
+
+  // A shebang is not a comment even where '#' starts one
+  if (lines[0]?.startsWith('#!')) {
+    i = 1;
+  }
+
+  while (i < lines.length) {
+    const trimmed = lines[i].trim();
+
+    // Blank lines and directive prologues ('use strict') may sit between comments
+    if (!trimmed || /^['"]use [\w ]+['"];?$/.test(trimmed)) {
+      i++;
+      continue;
+    }
+
+    const marker = line.find(m => trimmed.startsWith(m));
+    if (marker) {
+      const text = [];
+      while (i < lines.length) {
+        const current = lines[i].trim();
+        const currentMarker = line.find(m => current.startsWith(m));
+        if (!currentMarker) {
+          break;
+        }
+        text.push(current.slice(currentMarker.length).replace(/^[/#!]+/, '').trim());
+        i++;
+      }
+      blocks.push(text);
+      continue;
+    }
+
+    if (block && trimmed.startsWith('/*')) {
+      const text = [];
+      let current = trimmed.replace(/^\/\*+!?/, '');
+      while (true) {
+        const end = current.indexOf('*/');
+        text.push((end >= 0 ? current.slice(0, end) : current).replace(/^\s*\*+/, '').trim());
+        if (end >= 0 || ++i >= lines.length) {
+          break;
+        }
+        current = lines[i];
+      }
+      i++;
+      blocks.push(text);
+      continue;
+    }
+
+    break;
+  }
+
+  return blocks;
+}
+
+/**
+ * First descriptive line of a comment block, or null if the block is only
+ * a license banner, tool directives or decoration
+ */
+export function describeComment(lines) {
+  const meaningful = lines.filter(text => !DIRECTIVE_PATTERN.test(text) && /[\p{L}\p{N}]/u.test(text));
+
+  if (meaningful.length === 0 || LICENSE_PATTERN.test(meaningful.join(' '))) {
+    return null;
+  }
+
+  for (const text of meaningful) {
+    // JSDoc tags: only the ones that describe the file itself count
+    const tag = text.match(/^@(\w+)\s*(.*)$/);
+    if (tag) {
+      if (['file', 'fileoverview', 'overview', 'module', 'description', 'summary', 'desc'].includes(tag[1]) && tag[2]) {
+        return tag[2];
+      }
+      continue;
+    }
+    return text;
+  }
+
+  return null;
+}
+
+const firstDescription = (blocks) => {
+  for (const lines of blocks) {
+    const description = describeComment(lines);
+    if (description) {
+      return description;
+    }
+  }
+  return null;
+};
+
+/**
+ * "Exports a, b, c" style summary from a list of symbol labels
+ */
+const listSymbols = (prefix, symbols) => {
+  const unique = [...new Set(symbols)];
+  return unique.length > 0 ? `${prefix} ${unique.join(', ')}` : null;
+};
+
+const ext = (filePath) => path.extname(filePath).slice(1);
+
+// Markdown: first heading, else the front-matter title, else the first line
+registerSummaryExtractor('md', (content) => {
+  const frontMatter = content.match(/^---\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/);
+  const body = frontMatter ? content.slice(frontMatter[0].length) : content;
+
+  const lines = body.split('\n').filter(l => l.trim());
+  const heading = lines.find(l => l.startsWith('#'));
+  if (heading) {
+    return heading.replace(/^#+\s*/, '');
+  }
+
+  const title = frontMatter?.[1].match(/^title:\s*["']?(.+?)["']?\s*$/m);
+  if (title) {
+    return title[1];
+  }
+  return lines[0] || 'Empty markdown file';
+});
+
+// JavaScript and TypeScript: module docblock, docblock of the first export, exported symbols
+registerSummaryExtractor(['js', 'mjs', 'cjs', 'jsx', 'ts', 'mts', 'cts', 'tsx'], (content, filePath) => {
+  const header = firstDescription(leadingComments(content, { line: ['//'], block: true }));
+  if (header) {
+    return header;
+  }
+
+  const exportDoc = content.match(/^[ \t]*\/\*\*((?:(?!\*\/)[\s\S])*)\*\/\s*export\s/m);
+  if (exportDoc) {
+    const description = describeComment(exportDoc[1].split('\n').map(l => l.replace(/^\s*\*+/, '').trim()));
+    if (description) {
+      return description;
+    }
+  }
+
+  const symbols = [];
+  const exportPattern = /^export\s+(?:default\s+)?(?:declare\s+)?(?:abstract\s+)?(?:async\s+)?(function\*?|class|const|let|var|interface|type|enum|namespace)\s+([A-Za-z_$][\w$]*)/gm;
+  for (const [, kind, name] of content.matchAll(exportPattern)) {
+    if (kind === 'class') {
+      symbols.push(`class ${name}`);
+    } else if (kind.startsWith('function')) {
+      symbols.push(`${name}()`);
+    } else {
+      symbols.push(name);
+    }
+  }
+
+  const commonJs = content.match(/^module\.exports\s*=\s*(?:\{([^}]*)\}|(?:class\s+)?([A-Za-z_$][\w$]*))/m);
+  if (commonJs) {
+    const names = commonJs[1] ? commonJs[1].split(',').map(n => n.split(':')[0].trim()) : [commonJs[2]];
+    symbols.push(...names.filter(Boolean));
+  }
+  for (const [, name] of content.matchAll(/^(?:module\.)?exports\.([A-Za-z_$][\w$]*)\s*=/gm)) {
+    symbols.push(name);
+  }
+
+  if (symbols.length > 0) {
+    return listSymbols('Exports', symbols);
+  }
+
+  // Scripts export nothing; name what they define instead
+  for (const [, kind, name] of content.matchAll(/^(?:async\s+)?(class|function\*?)\s+([A-Za-z_$][\w$]*)/gm)) {
+    symbols.push(kind === 'class' ? `class ${name}` : `${name}()`);
+  }
+
+  return listSymbols('Defines', symbols) || `${ext(filePath)} source file`;
+});
+
+// Python: module docstring, leading comments, public top-level classes and functions
+registerSummaryExtractor(['py', 'pyw', 'pyi'], (content, filePath) => {
+  const lines = content.split('\n');
+  let i = 0;
+  const comments = [];
+
+  // Shebang, encoding and comments may precede the docstring
+  while (i < lines.length && (!lines[i].trim() || lines[i].trim().startsWith('#'))) {
+    if (lines[i].trim().startsWith('#') && !lines[i].startsWith('#!')) {
+      comments.push(lines[i].trim().replace(/^#+/, '').trim());
+    }
+    i++;
+  }
+
+  const docstring = lines.slice(i).join('\n').match(/^[rRuU]?("""|''')([\s\S]*?)\1/) ||
+    lines.slice(i).join('\n').match(/^[rRuU]?("|')(.*?)\1/);
+  if (docstring) {
+    const description = describeComment(docstring[2].split('\n').map(l => l.trim()));
+    if (description) {
+      return description;
+    }
+  }
+
+  const header = describeComment(comments);
+  if (header) {
+    return header;
+  }
+
+  const symbols = [];
+  for (const [, kind, name] of content.matchAll(/^(class|def|async\s+def)\s+([A-Za-z]\w*)/gm)) {
+    symbols.push(kind === 'class' ? `class ${name}` : `${name}()`);
+  }
+
+  return listSymbols('Defines', symbols) || `${ext(filePath)} source file`;
+});
+
+// Go: package doc comment (the comment right above "package"), else exported identifiers
+registerSummaryExtractor('go', (content, filePath) => {
+  const packageMatch = content.match(/^package\s+(\w+)/m);
+
+  if (packageMatch) {
+    const before = content.slice(0, packageMatch.index).split('\n');
+    before.pop(); // The (empty) start of the package line
+
+    // Only comment lines directly above the clause form the package doc
+    const doc = [];
+    while (before.length > 0 && before[before.length - 1].trim().startsWith('//')) {
+      doc.unshift(before.pop().trim().replace(/^\/\/\s?/, ''));
+    }
+    const blockDoc = content.slice(0, packageMatch.index).match(/\/\*([\s\S]*?)\*\/\s*$/);
+    const description = describeComment(doc.length > 0 ? doc : (blockDoc?.[1].split('\n').map(l => l.trim()) || []));
+    if (description) {
+      return description;
+    }
+  }
+
+  const symbols = [];
+  for (const [, kind, name] of content.matchAll(/^(func|type)\s+([A-Z]\w*)/gm)) {
+    symbols.push(kind === 'func' ? `${name}()` : name);
+  }
+
+  return listSymbols(packageMatch ? `package ${packageMatch[1]}:` : 'Exports', symbols) ||
+    (packageMatch ? `package ${packageMatch[1]}` : `${ext(filePath)} source file`);
+});
+
+// Java, C#, Kotlin, Swift, Rust, C and C++: leading comments, else the main type declarations
+registerSummaryExtractor(['java', 'cs', 'kt', 'kts', 'swift', 'rs', 'c', 'h', 'cpp', 'cc', 'hpp'], (content, filePath) => {
+  const header = firstDescription(leadingComments(content, { line: ['///', '//!', '//'], block: true }));
+  if (header) {
+    return header;
+  }
+
+  // Doc comment of the first type declaration (after package/imports)
+  const typeDoc = content.match(/^[ \t]*\/\*\*((?:(?!\*\/)[\s\S])*)\*\/\s*(?:@\w+(?:\([^)]*\))?\s*)*(?:(?:public|internal|sealed|abstract|final|static|partial|data|open|pub)\s+)*(?:class|interface|enum|record|struct|object|trait)\s/m);
+  if (typeDoc) {
+    const description = describeComment(typeDoc[1].split('\n').map(l => l.replace(/^\s*\*+/, '').trim()));
+    if (description) {
+      return description;
+    }
+  }
+
+  const symbols = [];
+  const typePattern = /^\s*(?:(?:public|internal|sealed|abstract|final|static|partial|data|open|pub)\s+)*(class|interface|enum|record|struct|object|trait)\s+([A-Za-z_]\w*)/gm;
+  for (const [, kind, name] of content.matchAll(typePattern)) {
+    symbols.push(`${kind} ${name}`);
+  }
+
+  return listSymbols('Defines', symbols) || `${ext(filePath)} source file`;
+});
+
+// Shell, Ruby, PowerShell and other '#'-comment scripts: leading comments after the shebang
+registerSummaryExtractor(['sh', 'bash', 'zsh', 'rb', 'ps1', 'pl'], (content, filePath) => {
+  const header = firstDescription(leadingComments(content, { line: ['#'], block: false }));
+  return header || `${ext(filePath)} script`;
+});
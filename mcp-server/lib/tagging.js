@@ -0,0 +1,189 @@
+import fs from 'fs/promises';
+import path from 'path';
+import YAML from 'yaml';
+import { IgnoreMatcher } from './ignore.js';
+
+/**
+ * Rule-based file tagging.
+ *
+ * A rule gives one or more tags to files matching all of its conditions; a
+ * condition with a list matches if any item does. Conditions:
+ *   paths       gitignore-style patterns against the workspace-relative path
+ *   names       gitignore-style patterns against the file name only
+ *   extensions  extensions without the dot, case-insensitive
+ *   content     regular expressions tested against the text content (case-insensitive)
+ * The tag "$ext" stands for the file's own extension.
+ */
+
+export const TAG_RULES_FILE = '.tponrules.yaml'; // Per-workspace rules, at the workspace root
+
+export const DEFAULT_TAG_RULES = [
+  { tag: '$ext' },
+  { tag: 'code', extensions: ['js', 'ts', 'py', 'java', 'cs', 'go', 'rb', 'php', 'cpp', 'c', 'rs'] },
+  { tag: 'docs', extensions: ['md', 'txt', 'rst', 'adoc'] },
+  { tag: 'config', extensions: ['json', 'yaml', 'yml', 'toml', 'ini', 'env'] },
+  { tag: 'tasks', extensions: ['md'], content: ['todo', 'task'] },
+  { tag: 'api', extensions: ['md'], content: ['api', 'endpoint'] },
+  { tag: 'data', extensions: ['md'], content: ['schema', 'database'] },
+  { tag: 'architecture', extensions: ['md'], content: ['architecture', 'design'] },
+];
+
+const RULE_KEYS = ['tag', 'tags', 'paths', 'names', 'extensions', 'content'];
+
+const asList = (value) => (value === undefined ? [] : [].concat(value));
+
+/**
+ * Validate and compile one rule. Throws with a message naming the problem.
+ */
+function compileRule(rule, { ignoreCase }) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw new Error('must be a mapping');
+  }
+
+  const unknown = Object.keys(rule).filter(key => !RULE_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`unknown key${unknown.length > 1 ? 's' : ''} ${unknown.join(', ')}`);
+  }
+
+  const tags = [...asList(rule.tag), ...asList(rule.tags)].map(String).map(tag => tag.trim()).filter(Boolean);
+  if (tags.length === 0) {
+    throw new Error('needs a tag');
+  }
+
+  const globs = (key) => {
+    const patterns = asList(rule[key]).map(String);
+    if (patterns.length === 0) {
+      return null;
+    }
+    const matcher = new IgnoreMatcher({ ignoreCase });
+    matcher.add(patterns.join('\n'));
+    return matcher;
+  };
+
+  let content = null;
+  if (rule.content !== undefined) {
+    content = asList(rule.content).map((source) => {
+      try {
+        return new RegExp(String(source), 'i');
+      } catch (error) {
+        throw new Error(`invalid content pattern: ${error.message}`);
+      }
+    });
+  }
+
+  return {
+    tags,
+    paths: globs('paths'),
+    names: globs('names'),
+    extensions: rule.extensions === undefined ? null : asList(rule.extensions).map(ext => String(ext).replace(/^\./, '').toLowerCase()),
+    content,
+  };
+}
+
+/**
+ * Ordered set of tagging rules
+ */
+export class TagRules {
+  /**
+   * @param {object[]} [rules] - Rule definitions, applied in order
+   * @param {object} [options]
+   * @param {boolean} [options.ignoreCase] - Match paths and names case-insensitively
+   * @param {string} [options.source] - Rules file the rules came from, for reporting
+   */
+  constructor(rules = DEFAULT_TAG_RULES, { ignoreCase = false, source = null } = {}) {
+    this.source = source;
+    this.errors = [];
+    this.rules = [];
+
+    rules.forEach((rule, index) => {
+      try {
+        this.rules.push(compileRule(rule, { ignoreCase }));
+      } catch (error) {
+        this.errors.push(`rule ${index + 1}: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Tags for a file, in rule order without duplicates
+   * @param {string} content - Text content ('' for binary or unreadable files)
+   * @param {string} relativePath - Forward-slash path relative to the workspace
+   */
+  tagsFor(content, relativePath) {
+    const fileName = path.posix.basename(relativePath);
+    const rawExt = path.posix.extname(fileName).slice(1);
+    const ext = rawExt.toLowerCase();
+    const tags = [];
+
+    for (const rule of this.rules) {
+      if (rule.extensions && !rule.extensions.includes(ext)) {
+        continue;
+      }
+      if (rule.names && !rule.names.ignores(fileName)) {
+        continue;
+      }
+      if (rule.paths && !rule.paths.ignores(relativePath)) {
+        continue;
+      }
+      if (rule.content && !(content && rule.content.some(pattern => pattern.test(content)))) {
+        continue;
+      }
+
+      for (const tag of rule.tags) {
+        const value = tag === '$ext' ? rawExt : tag;
+        if (value && !tags.includes(value)) {
+          tags.push(value);
+        }
+      }
+    }
+
+    return tags;
+  }
+}
+
+/**
+ * Parse a rules file: `rules` is a list of rules, and `use_defaults: false`
+ * drops the built-in rules (which otherwise run first)
+ * @param {string} content - YAML text of the rules file
+ * @returns {object[]} The rules to run, built-in ones first; throws when the file is not valid
+ */
+export function parseTagRulesFile(content) {
+  const data = YAML.parse(content) ?? {};
+
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('expected a mapping with a "rules" list');
+  }
+  if (data.rules !== undefined && !Array.isArray(data.rules)) {
+    throw new Error('"rules" must be a list');
+  }
+
+  const useDefaults = data.use_defaults !== false;
+  return [...(useDefaults ? DEFAULT_TAG_RULES : []), ...(data.rules || [])];
+}
+
+/**
+ * Load tagging rules from a workspace's rules file, falling back to the
+ * built-in rules when the file is missing or unreadable
+ * @param {string} root - Absolute workspace root
+ * @param {object} [options]
+ * @param {string} [options.fileName]
+ * @param {boolean} [options.ignoreCase]
+ * @returns {Promise<TagRules>} An invalid file falls back to the built-in rules; it and
+ *   any rule that could not be compiled are reported in the TagRules' `errors`
+ */
+export async function loadTagRules(root, { fileName = TAG_RULES_FILE, ignoreCase = false } = {}) {
+  let content;
+  try {
+    content = await fs.readFile(path.join(root, fileName), 'utf-8');
+  } catch (error) {
+    return new TagRules(DEFAULT_TAG_RULES, { ignoreCase });
+  }
+
+  try {
+    return new TagRules(parseTagRulesFile(content), { ignoreCase, source: fileName });
+  } catch (error) {
+    const rules = new TagRules(DEFAULT_TAG_RULES, { ignoreCase });
+    rules.errors.push(`${fileName}: ${error.message.split('\n')[0]} (using built-in rules)`);
+    return rules;
+  }
+}
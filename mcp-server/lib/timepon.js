@@ -0,0 +1,1859 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { existsSync } from 'fs';
+import { randomUUID } from 'crypto';
+import { loadWorkspaceIgnores } from './ignore.js';
+import { groupDuplicates } from './similarity.js';
+import { getRelativeTime } from './format.js';
+import { createdBetween, resolveRange, buildReport } from './report.js';
+import { loadTagRules, TAG_RULES_FILE } from './tagging.js';
+import { SearchIndex, parseSearchQuery, findSnippets } from './search.js';
+import { SemanticIndex } from './semantic.js';
+import { createSnapshot, diffSnapshots, SnapshotStore } from './snapshots.js';
+import { parseQuery, runQuery, needsSize } from './query.js';
+import { MetadataStore, parseMetadata, toStoreKey, isLiveEntry } from './store.js';
+import { WorkspaceLock } from './lock.js';
+import { HistoryJournal } from './history.js';
+import { GitRepository } from './git.js';
+import { Scanner } from './scanner.js';
+import { readFileContent, hashFile, generateSummary, applyContentMetadata, applyAnnotations } from './extractor.js';
+
+/**
+ * A tracked workspace: its store, the scanner keeping it current, and the
+ * queries and operations behind the MCP tools and the CLI. Results are plain
+ * data; invalid arguments throw.
+ *
+ *   const timepon = new Timepon('/path/to/workspace');
+ *   await timepon.start(); // Scan, then keep watching
+ *   const { files } = await timepon.getRecentFiles(24);
+ *   await timepon.stop();
+ */
+export class Timepon {
+  static SEARCH_DEFAULT_LIMIT = 20;
+  static SEARCH_SNIPPETS = 3; // Matching lines shown per file by search_content
+  static SEMANTIC_RETRAIN_FRACTION = 0.25; // Retrain once this share of files changed since training
+  static SNAPSHOT_INTERVAL = 60 * 60 * 1000; // Automatic snapshot every hour, if anything changed
+  static SNAPSHOT_KEEP = 168; // Automatic snapshots kept (a week of hourly ones)
+  static SESSION_TTL_MINUTES = 60; // A registered session stays active this long after its last call
+  static ALWAYS_IGNORED = ['.git/', '_timepon.yaml', '_timepon.yaml.*', '_timepon.history.jsonl', '_timepon.lock', '_timepon.semantic.json', '_timepon.semantic.json.*', '_timepon.snapshots/'];
+  static CLEANUP_STALE_DAYS = 7; // Untouched this long counts towards cleanup
+  static CLEANUP_OLD_DAYS = 30;
+  static CLEANUP_SIMILARITY = 0.5; // Near-duplicate threshold used by suggest_cleanup
+  static THROWAWAY_NAME_PATTERNS = [
+    { pattern: /[_-]v\d+\.[^.]+$/i, reason: 'versioned copy name' },
+    { pattern: /(^|[ _-])(scratch|untitled)([ _.-]|$)/i, reason: 'throwaway word in name' },
+    { pattern: /^(tmp|temp|draft)[_-]/i, reason: 'scratch file prefix' },
+    { pattern: /^copy of |( \(\d+\)| copy)\.[^.]+$/i, reason: 'copy of another file' },
+    { pattern: /\.(bak|orig|old|tmp)$/i, reason: 'backup extension' },
+  ];
+  // Entry points and project files that nothing links to by design
+  static CONVENTIONAL_FILES = /^(\.|readme|license|licence|changelog|contributing|code_of_conduct|security|index\.|main\.|package(-lock)?\.json$|_timepon)/i;
+
+  /**
+   * @param {string} workspaceRoot - Folder to track
+   * @param {object} [options]
+   * @param {string} [options.archiveDir] - Where archive_files moves files, relative to the
+   *   workspace (default: TIMEPON_ARCHIVE_DIR or _archive)
+   * @param {boolean} [options.respectGitignore] - Also honour .gitignore files
+   *   (default: TIMEPON_RESPECT_GITIGNORE)
+   */
+  constructor(workspaceRoot, {
+    archiveDir = process.env.TIMEPON_ARCHIVE_DIR || '_archive',
+    respectGitignore = /^(1|true|yes)$/i.test(process.env.TIMEPON_RESPECT_GITIGNORE || ''),
+  } = {}) {
+    if (!workspaceRoot) {
+      throw new Error('No workspace folder given');
+    }
+    this.workspaceRoot = workspaceRoot;
+
+    this.store = new MetadataStore(path.join(workspaceRoot, '_timepon.yaml'), { workspaceRoot });
+    this.history = new HistoryJournal(path.join(workspaceRoot, '_timepon.history.jsonl'));
+    this.lock = new WorkspaceLock(path.join(workspaceRoot, '_timepon.lock'));
+    this.git = new GitRepository(workspaceRoot);
+    this.scanner = new Scanner(this);
+    this.snapshots = new SnapshotStore(path.join(workspaceRoot, '_timepon.snapshots'));
+    this.semanticPath = path.join(workspaceRoot, '_timepon.semantic.json');
+
+    this.ignoreMatcher = null;
+    this.tagRules = null;
+    this.respectGitignore = respectGitignore;
+    this.archiveDir = toStoreKey(archiveDir);
+    if (!this.archiveDir || this.archiveDir.split('/').includes('..') || path.isAbsolute(archiveDir)) {
+      throw new Error('TIMEPON_ARCHIVE_DIR must be a folder inside the workspace');
+    }
+
+    this.searchIndex = new SearchIndex(); // Full-text index of tracked contents, see syncSearchIndex()
+    this.semanticIndex = null; // Loaded or built on the first semantic_search
+    this.semanticQueue = Promise.resolve(); // Serializes semantic index updates
+    this.snapshotTimer = null;
+
+    // Multi-process coordination: one leader watches the workspace, followers serve queries
+    this.isLeader = false;
+    this.heartbeatTimer = null;
+    this.isShuttingDown = false;
+  }
+
+  /**
+   * The store's contents; merges with other processes replace the object, so don't hold on to it
+   */
+  get metadata() {
+    return this.store.metadata;
+  }
+
+  /**
+   * Load the store and, unless another process already watches this workspace,
+   * scan it and keep watching. Followers serve the leader's store and take over
+   * when the leader goes away.
+   */
+  async start() {
+    // Create default .tponignore if it doesn't exist
+    await this.ensureIgnoreFile();
+    this.ignoreMatcher = await this.loadIgnoreMatcher();
+    this.tagRules = await this.loadTagRules();
+
+    // Only one process per workspace watches files; others follow its store
+    this.isLeader = await this.lock.acquire();
+
+    await this.loadMetadata();
+
+    // Git history is a fallback source for creation dates and feeds commit status
+    await this.git.load();
+
+    if (this.isLeader) {
+      await this.scanner.start();
+    }
+    this.startHeartbeat();
+    this.startSnapshots();
+
+    console.error(`Timepon started (${this.isLeader ? 'leader' : 'follower'}). Watching: ${this.workspaceRoot}`);
+  }
+
+  /**
+   * Stop a started workspace: stop watching and flush everything to disk
+   */
+  async stop() {
+    if (this.isShuttingDown) {
+      return;
+    }
+    this.isShuttingDown = true;
+
+    // Let in-flight scan handlers and pending deletions land so they are written
+    await this.scanner.flush();
+    clearInterval(this.snapshotTimer);
+    await this.store.save();
+    await this.history.flush();
+    await this.releaseWorkspaceLock();
+  }
+
+  /**
+   * Load the store for one-off reads (CLI), without taking the workspace lock or watching
+   */
+  async open() {
+    this.ignoreMatcher = await this.loadIgnoreMatcher();
+    this.tagRules = await this.loadTagRules();
+
+    try {
+      // Older formats are read as-is; the next scan or server start upgrades the file
+      await this.store.read();
+    } catch (error) {
+      throw error.code === 'ENOENT' ? new Error(`No _timepon.yaml in ${this.workspaceRoot} - run a scan or start the server there first`) : error;
+    }
+  }
+
+  /**
+   * Scan the workspace once (CLI): track files added, changed or removed since
+   * the last run, save and stop. A running server already keeps the store
+   * current, so nothing is scanned while another process holds the lock.
+   * @returns {Promise<object[]|null>} Events recorded by the scan, or null if another server leads
+   */
+  async scanOnce() {
+    const rootStats = await fs.stat(this.workspaceRoot).catch(() => null);
+    if (!rootStats?.isDirectory()) {
+      throw new Error(`${this.workspaceRoot} is not a folder`);
+    }
+
+    await this.ensureIgnoreFile();
+    this.ignoreMatcher = await this.loadIgnoreMatcher();
+    this.tagRules = await this.loadTagRules();
+
+    this.isLeader = await this.lock.acquire();
+    if (!this.isLeader) {
+      return null;
+    }
+
+    const startedAt = new Date().toISOString();
+    try {
+      this.startHeartbeat();
+      await this.loadMetadata();
+      await this.git.load();
+      await this.scanner.start({ persistent: false });
+      await this.scanner.initialScanDone;
+      await this.scanner.stop();
+    } finally {
+      await this.releaseWorkspaceLock();
+    }
+
+    return (await this.history.read()).filter(event => event.at >= startedAt);
+  }
+
+  /**
+   * Health checks for the CLI's doctor command. Reads only; nothing is repaired.
+   * @returns {Promise<{ check: string, status: 'ok'|'warn'|'error', detail: string }[]>}
+   */
+  async diagnose() {
+    const results = [];
+    const report = (check, status, detail) => results.push({ check, status, detail });
+
+    const [major] = process.versions.node.split('.').map(Number);
+    report('node', major >= 18 ? 'ok' : 'error', `Node.js ${process.versions.node}${major >= 18 ? '' : ' (18 or newer required)'}`);
+
+    const rootStats = await fs.stat(this.workspaceRoot).catch(() => null);
+    if (!rootStats?.isDirectory()) {
+      report('workspace', 'error', `${this.workspaceRoot} is not a folder`);
+      return results;
+    }
+    report('workspace', 'ok', this.workspaceRoot);
+
+    // Store: readable, current format, and in step with the files on disk
+    let files = null;
+    try {
+      const { metadata, migratedFrom } = parseMetadata(await fs.readFile(this.store.filePath, 'utf-8'));
+      files = metadata.files;
+      const entries = Object.values(files);
+      const live = entries.filter(entry => isLiveEntry(entry)).length;
+      const counts = `${live} tracked, ${entries.filter(entry => entry.deleted).length} deleted, ${entries.filter(entry => entry.archived).length} archived`;
+      report('store', migratedFrom ? 'warn' : 'ok', migratedFrom ? `${counts}; ${migratedFrom} format, upgraded at the next scan` : counts);
+    } catch (error) {
+      report('store', error.code === 'ENOENT' ? 'warn' : 'error', error.code === 'ENOENT' ? 'No _timepon.yaml yet - run a scan' : `_timepon.yaml: ${error.message}`);
+    }
+
+    if (files) {
+      const live = Object.entries(files).filter(([, entry]) => isLiveEntry(entry));
+      const missing = [];
+      for (const [filePath] of live) {
+        if (!existsSync(path.join(this.workspaceRoot, filePath))) {
+          missing.push(filePath);
+        }
+      }
+      const stale = live.filter(([, entry]) => entry.stale).map(([filePath]) => filePath);
+      const sample = (paths) => paths.slice(0, 5).join(', ') + (paths.length > 5 ? ', ...' : '');
+      report('missing files', missing.length > 0 ? 'warn' : 'ok', missing.length > 0 ? `${missing.length} tracked files no longer exist: ${sample(missing)}` : 'All tracked files exist');
+      report('stale entries', stale.length > 0 ? 'warn' : 'ok', stale.length > 0 ? `${stale.length} files could not be read at the last refresh: ${sample(stale)}` : 'None');
+    }
+
+    // Leftovers from interrupted writes
+    const names = await fs.readdir(this.workspaceRoot);
+    const leftovers = names.filter(name => /^_timepon\.yaml\.(tmp-\d+|writing)$/.test(name));
+    const writeLock = await fs.stat(`${this.store.filePath}.writing`).catch(() => null);
+    // A live server takes and releases the write lock constantly; it may be gone by the stat
+    const abandoned = leftovers.filter(name => (name.endsWith('.writing') ? writeLock && Date.now() - writeLock.mtimeMs > MetadataStore.LOCK_STALE : true));
+    report('interrupted writes', abandoned.length > 0 ? 'warn' : 'ok', abandoned.length > 0 ? `Left behind: ${abandoned.join(', ')}` : 'None');
+
+    const holder = existsSync(this.lock.lockPath) ? await this.lock.read() : null;
+    if (!holder) {
+      report('server', 'ok', 'No server running for this workspace');
+    } else {
+      const staleReason = this.lock.staleReason(holder);
+      report('server', staleReason ? 'warn' : 'ok', staleReason
+        ? `Stale _timepon.lock (${staleReason}); the next server or scan takes it over`
+        : `Server running (pid ${holder.owner?.pid ?? 'unknown'} on ${holder.owner?.hostname ?? 'unknown host'})`);
+    }
+
+    report('ignore rules', existsSync(path.join(this.workspaceRoot, '.tponignore')) ? 'ok' : 'warn',
+      existsSync(path.join(this.workspaceRoot, '.tponignore')) ? '.tponignore present' : 'No .tponignore - built-in rules only; a scan creates the default one');
+
+    const tagRules = await this.loadTagRules();
+    report('tagging rules', tagRules.errors.length > 0 ? 'warn' : 'ok', tagRules.errors.length > 0 ? tagRules.errors.join('; ') : `${tagRules.rules.length} rules from ${tagRules.source || 'built-in defaults'}`);
+
+    try {
+      const lines = (await fs.readFile(this.history.filePath, 'utf-8')).split('\n').filter(line => line.trim());
+      const broken = lines.filter((line) => {
+        try {
+          JSON.parse(line);
+          return false;
+        } catch (error) {
+          return true;
+        }
+      }).length;
+      report('history', broken > 0 ? 'warn' : 'ok', `${lines.length} events${broken > 0 ? `, ${broken} unreadable lines skipped` : ''}`);
+    } catch (error) {
+      report('history', error.code === 'ENOENT' ? 'ok' : 'error', error.code === 'ENOENT' ? 'No events yet' : error.message);
+    }
+
+    await this.git.load();
+    report('git', 'ok', this.git.available ? 'Inside a git work tree' : 'Not a git work tree (git status and dates unavailable)');
+
+    return results;
+  }
+
+  async ensureIgnoreFile() {
+    const tponignorePath = path.join(this.workspaceRoot, '.tponignore');
+
+    // Skip if file already exists
+    if (existsSync(tponignorePath)) {
+      return;
+    }
+
+    // Create default .tponignore file
+    const defaultContent = `# Timepon Ignore Patterns
+# Lines starting with # are comments
+# Patterns follow .gitignore syntax (including ** and ! negation)
+# Subdirectories can have their own .tponignore
+
+# Dependencies
+node_modules/
+bower_components/
+vendor/
+packages/
+
+# Build outputs
+dist/
+build/
+out/
+target/
+*.min.js
+*.min.css
+
+# IDE & Editor
+.vscode/
+.idea/
+.cursor/
+*.swp
+*.swo
+*~
+.project
+.classpath
+.settings/
+
+# OS files
+.DS_Store
+Thumbs.db
+Desktop.ini
+._*
+
+# Version control
+.git/
+.svn/
+.hg/
+
+# Logs
+*.log
+logs/
+npm-debug.log*
+yarn-debug.log*
+yarn-error.log*
+
+# Temp files
+tmp/
+temp/
+*.tmp
+*.temp
+
+# Test coverage
+coverage/
+.nyc_output/
+htmlcov/
+*.cover
+
+# Cache
+.cache/
+.parcel-cache/
+.next/
+.nuxt/
+.vuepress/dist
+
+# Environment & secrets
+.env
+.env.local
+.env.*.local
+*.key
+*.pem
+credentials.json
+
+# Timepon internal
+_timepon.yaml
+_timepon.yaml.backup.*
+_timepon.history.jsonl
+_timepon.lock
+_timepon.semantic.json
+_timepon.snapshots/
+
+# Large binary/media files (optional - uncomment if needed)
+# *.mp4
+# *.mov
+# *.avi
+# *.pdf
+# *.zip
+# *.tar.gz
+`;
+
+    try {
+      await fs.writeFile(tponignorePath, defaultContent, 'utf-8');
+      console.error('Created default .tponignore file');
+    } catch (error) {
+      console.error('Warning: Failed to create .tponignore file:', error.message);
+    }
+  }
+
+  /**
+   * Read the store. Older formats are upgraded; a leader also drops entries
+   * the ignore rules exclude and marks files that disappeared as deleted.
+   */
+  async loadMetadata() {
+    const { exists } = await this.store.load();
+    if (!exists) {
+      console.error('No existing metadata found, starting fresh');
+      return;
+    }
+
+    // Clean up any files that match ignore patterns (e.g. .git files from old runs);
+    // followers leave this to the leader
+    const cleanedCount = this.isLeader ? await this.cleanIgnoredFiles() : 0;
+
+    console.error(`Loaded metadata for ${Object.keys(this.metadata.files).length} files${cleanedCount > 0 ? ` (removed ${cleanedCount} ignored files)` : ''}`);
+  }
+
+  /**
+   * Clean up files from metadata that match ignore patterns.
+   * Files that disappeared while the server was stopped are kept as tombstones.
+   */
+  async cleanIgnoredFiles() {
+    const filePaths = Object.keys(this.metadata.files);
+    let removedCount = 0;
+    let tombstonedCount = 0;
+
+    for (const relativePath of filePaths) {
+      const entry = this.metadata.files[relativePath];
+      let shouldRemove = false;
+
+      // Remove parent directory references and invalid paths
+      if (relativePath.includes('..') || relativePath === '.' || relativePath === '') {
+        shouldRemove = true;
+      }
+
+      // Check if it's a directory (shouldn't be tracked)
+      if (!shouldRemove && isLiveEntry(entry)) {
+        try {
+          const absolutePath = path.join(this.workspaceRoot, relativePath);
+          const stats = await fs.stat(absolutePath);
+          if (stats.isDirectory()) {
+            shouldRemove = true;
+          }
+        } catch (error) {
+          // File doesn't exist anymore - deletion time unknown, record it as now
+          entry.deleted = new Date().toISOString();
+          this.history.record('deleted', relativePath, { reason: 'missing at startup' });
+          tombstonedCount++;
+        }
+      }
+
+      // Check if this file should be ignored
+      if (!shouldRemove) {
+        shouldRemove = this.ignoreMatcher.ignores(relativePath);
+      }
+
+      if (shouldRemove) {
+        delete this.metadata.files[relativePath];
+        removedCount++;
+      }
+    }
+
+    if (tombstonedCount > 0) {
+      console.error(`Marked ${tombstonedCount} missing files as deleted`);
+    }
+
+    // Save cleaned metadata if anything changed
+    if (removedCount > 0 || tombstonedCount > 0) {
+      await this.store.save();
+    }
+
+    return removedCount;
+  }
+
+  /**
+   * Leaders refresh the lock and check they still own it; followers watch for
+   * an abandoned lock and take over
+   */
+  startHeartbeat() {
+    this.heartbeatTimer = setInterval(() => {
+      this.heartbeat().catch((error) => {
+        console.error('Error in workspace lock heartbeat:', error.message);
+      });
+    }, WorkspaceLock.HEARTBEAT_INTERVAL);
+    this.heartbeatTimer.unref();
+  }
+
+  async heartbeat() {
+    if (this.isShuttingDown) {
+      return;
+    }
+
+    if (this.isLeader) {
+      if (await this.lock.isHeld()) {
+        await this.lock.touch();
+        return;
+      }
+
+      // Lock was taken over (e.g. after this process was suspended too long)
+      console.error('Workspace lock lost to another Timepon server; switching to follower');
+      this.isLeader = false;
+      await this.store.save();
+      await this.scanner.stop();
+      return;
+    }
+
+    const holder = await this.lock.read();
+    if (!this.lock.staleReason(holder)) {
+      return;
+    }
+
+    this.isLeader = await this.lock.acquire();
+    if (this.isLeader) {
+      console.error('Took over as leader for this workspace');
+      await this.store.merge();
+      await this.scanner.start();
+    }
+  }
+
+  async releaseWorkspaceLock() {
+    clearInterval(this.heartbeatTimer);
+
+    if (this.isLeader) {
+      await this.lock.release();
+    }
+  }
+
+  /**
+   * Leaders snapshot the tracked files every hour, skipping unchanged states
+   */
+  startSnapshots() {
+    this.snapshotTimer = setInterval(() => {
+      if (this.isLeader && !this.isShuttingDown) {
+        this.takeAutomaticSnapshot();
+      }
+    }, Timepon.SNAPSHOT_INTERVAL);
+    this.snapshotTimer.unref();
+  }
+
+  async takeAutomaticSnapshot() {
+    try {
+      const snapshot = createSnapshot(this.metadata.files, { automatic: true });
+      const list = await this.snapshots.list();
+      if (list.length > 0 && list[list.length - 1].fingerprint === snapshot.fingerprint) {
+        return;
+      }
+      const stored = await this.snapshots.save(snapshot, { keep: Timepon.SNAPSHOT_KEEP });
+      console.error(`Snapshot ${stored.id} taken (${Object.keys(stored.files).length} files)`);
+    } catch (error) {
+      console.error('Error taking snapshot:', error.message);
+    }
+  }
+
+  /**
+   * Build the ignore matcher from .tponignore files (root and nested),
+   * plus .gitignore files with respectGitignore
+   */
+  async loadIgnoreMatcher() {
+    // .tponignore is read after .gitignore in each directory so it can override it
+    const fileNames = this.respectGitignore ? ['.gitignore', '.tponignore'] : ['.tponignore'];
+
+    const matcher = await loadWorkspaceIgnores(this.workspaceRoot, {
+      fileNames,
+      // Archived files are out of the workspace as far as tracking goes
+      always: [...Timepon.ALWAYS_IGNORED, `/${this.archiveDir}/`],
+      ignoreCase: process.platform === 'win32' || process.platform === 'darwin',
+    });
+
+    console.error(`Loaded ${matcher.rules.length} ignore rules from ${matcher.sources.length > 0 ? matcher.sources.join(', ') : 'built-in defaults only'}`);
+    return matcher;
+  }
+
+  /**
+   * Tagging rules from .tponrules.yaml, or the built-in rules without one
+   */
+  async loadTagRules() {
+    const rules = await loadTagRules(this.workspaceRoot, {
+      fileName: TAG_RULES_FILE,
+      ignoreCase: process.platform === 'win32' || process.platform === 'darwin',
+    });
+
+    for (const error of rules.errors) {
+      console.error(`Warning: Tagging rule skipped - ${error}`);
+    }
+    console.error(`Loaded ${rules.rules.length} tagging rules from ${rules.source || 'built-in defaults'}`);
+    return rules;
+  }
+
+  /**
+   * Store git status and first commit on the given entries
+   */
+  async applyGitMetadata(relativePaths) {
+    if (!this.git.available) {
+      return;
+    }
+
+    try {
+      const statuses = await this.git.status(relativePaths);
+
+      for (const [relativePath, gitStatus] of statuses) {
+        const entry = this.metadata.files[relativePath];
+        if (!entry) {
+          continue;
+        }
+
+        entry.gitStatus = gitStatus;
+
+        const firstCommit = this.git.firstCommits.get(relativePath);
+        if (firstCommit) {
+          entry.firstCommit = firstCommit;
+        } else {
+          delete entry.firstCommit;
+        }
+      }
+    } catch (error) {
+      console.error('Error reading git status:', error.message.split('\n')[0]);
+    }
+  }
+
+  /**
+   * Tracked entries, excluding deletion tombstones and archived files
+   */
+  getLiveEntries() {
+    return Object.entries(this.metadata.files).filter(([, metadata]) => isLiveEntry(metadata));
+  }
+
+  async getAllFiles(includeDeleted = false, includeArchived = false) {
+    const entries = Object.entries(this.metadata.files).filter(([, metadata]) =>
+      isLiveEntry(metadata) || (includeDeleted && metadata.deleted) || (includeArchived && metadata.archived));
+    const files = entries
+      .sort(([, a], [, b]) => new Date(b.created) - new Date(a.created))
+      .map(([filePath, metadata]) => ({
+        path: filePath,
+        ...metadata,
+      }));
+
+    return { count: files.length, files };
+  }
+
+  async getFilesByTag(tag) {
+    // Validate input
+    if (!tag || typeof tag !== 'string') {
+      throw new Error('Tag parameter must be a non-empty string');
+    }
+
+    if (!this.metadata || !this.metadata.files) {
+      throw new Error('Metadata not initialized');
+    }
+
+    const files = this.getLiveEntries()
+      .filter(([, metadata]) => metadata.tags.includes(tag))
+      .sort(([, a], [, b]) => new Date(b.created) - new Date(a.created))
+      .map(([filePath, metadata]) => ({
+        path: filePath,
+        ...metadata,
+      }));
+
+    return { tag, count: files.length, files };
+  }
+
+  async getRecentFiles(hours) {
+    // Validate input
+    if (typeof hours !== 'number' || hours <= 0) {
+      throw new Error('Hours parameter must be a positive number');
+    }
+
+    if (!this.metadata || !this.metadata.files) {
+      throw new Error('Metadata not initialized');
+    }
+
+    const cutoff = Date.now() - hours * 60 * 60 * 1000;
+
+    const files = createdBetween(this.getLiveEntries(), cutoff)
+      .sort(([, a], [, b]) => new Date(b.created) - new Date(a.created))
+      .map(([filePath, metadata]) => ({
+        path: filePath,
+        ...metadata,
+      }));
+
+    return { hours, count: files.length, files };
+  }
+
+  async searchFiles(query) {
+    // Validate input
+    if (!query || typeof query !== 'string') {
+      throw new Error('Query parameter must be a non-empty string');
+    }
+
+    if (!this.metadata || !this.metadata.files) {
+      throw new Error('Metadata not initialized');
+    }
+
+    const lowerQuery = query.toLowerCase();
+
+    const files = this.getLiveEntries()
+      .filter(([filePath, metadata]) => {
+        const fileName = path.basename(filePath).toLowerCase();
+        const summary = metadata.summary.toLowerCase();
+
+        // Markdown headings and front-matter title/description are searchable too
+        const { outline = [], frontMatter = {} } = metadata.structure || {};
+        const extra = [...outline, frontMatter.title, frontMatter.description, metadata.annotations?.notes]
+          .filter(value => typeof value === 'string')
+          .map(value => value.toLowerCase());
+
+        return fileName.includes(lowerQuery) || summary.includes(lowerQuery) || extra.some(value => value.includes(lowerQuery));
+      })
+      .sort(([, a], [, b]) => new Date(b.created) - new Date(a.created))
+      .map(([filePath, metadata]) => ({
+        path: filePath,
+        ...metadata,
+      }));
+
+    return { query, count: files.length, files };
+  }
+
+  /**
+   * Bring the full-text index in line with the live entries. The watcher indexes
+   * files as they are added or changed; this catches everything else (files
+   * unchanged since the last run, follower mode, deletions and archiving).
+   */
+  async syncSearchIndex() {
+    // Files just unlinked stay tracked for a moment in case they were moved
+    const live = new Map(this.getLiveEntries().filter(([relativePath]) => !this.scanner.pendingUnlinks.has(relativePath)));
+
+    for (const indexedPath of this.searchIndex.paths()) {
+      if (!live.has(indexedPath)) {
+        this.searchIndex.remove(indexedPath);
+      }
+    }
+
+    let indexed = 0;
+    for (const [relativePath, entry] of live) {
+      if (!this.searchIndex.has(relativePath, entry.contentHash ?? null)) {
+        const content = await readFileContent(path.join(this.workspaceRoot, relativePath));
+        this.searchIndex.add(relativePath, content, entry.contentHash ?? null);
+        indexed++;
+      }
+    }
+
+    if (indexed > 0) {
+      console.error(`Indexed ${indexed} files for content search`);
+    }
+  }
+
+  async searchContent(query, limit, maxSnippets) {
+    if (!query || typeof query !== 'string') {
+      throw new Error('Query parameter must be a non-empty string');
+    }
+    if (typeof limit !== 'number' || limit < 1 || typeof maxSnippets !== 'number' || maxSnippets < 0) {
+      throw new Error('Limit must be a positive number and max_snippets a non-negative number');
+    }
+
+    const tree = parseSearchQuery(query);
+    await this.syncSearchIndex();
+
+    const ranked = this.searchIndex.search(tree);
+    const results = [];
+    for (const { path: filePath, score } of ranked.slice(0, limit)) {
+      const metadata = this.metadata.files[filePath];
+      const result = {
+        path: filePath,
+        score: Math.round(score * 1000) / 1000,
+        summary: metadata.summary,
+        tags: metadata.tags,
+      };
+      if (maxSnippets > 0) {
+        const content = await readFileContent(path.join(this.workspaceRoot, filePath));
+        result.matches = findSnippets(content, tree, maxSnippets);
+      }
+      results.push(result);
+    }
+
+    return { query, total: ranked.length, count: results.length, indexedFiles: this.searchIndex.size, results };
+  }
+
+  /**
+   * Bring the semantic index in line with the live entries: embed new and changed
+   * files with the current model, or retrain it when much of the workspace changed
+   * since training. The index is kept in _timepon.semantic.json.
+   */
+  updateSemanticIndex(rebuild = false) {
+    const update = this.semanticQueue.then(async () => {
+      if (!this.semanticIndex && !rebuild) {
+        this.semanticIndex = await fs.readFile(this.semanticPath, 'utf-8')
+          .then(text => SemanticIndex.fromJSON(JSON.parse(text)))
+          .catch(() => null);
+      }
+
+      const live = new Map(this.getLiveEntries().filter(([relativePath]) => !this.scanner.pendingUnlinks.has(relativePath)));
+      const index = this.semanticIndex;
+      const changed = [...live]
+        .filter(([relativePath, entry]) => index?.files[relativePath]?.hash !== (entry.contentHash ?? null))
+        .map(([relativePath]) => relativePath);
+      const removed = index ? Object.keys(index.files).filter(relativePath => !live.has(relativePath)) : [];
+
+      if (index && !rebuild && changed.length === 0 && removed.length === 0) {
+        return { retrained: false, updated: 0 };
+      }
+
+      const readContent = relativePath => readFileContent(path.join(this.workspaceRoot, relativePath));
+      const retrain = rebuild || !index ||
+        index.changedSinceTraining + changed.length + removed.length > index.trainedFiles * Timepon.SEMANTIC_RETRAIN_FRACTION;
+
+      if (retrain) {
+        const contents = new Map();
+        for (const [relativePath, entry] of live) {
+          contents.set(relativePath, { content: await readContent(relativePath), hash: entry.contentHash ?? null });
+        }
+        const next = new SemanticIndex();
+        next.retrain(contents);
+        this.semanticIndex = next;
+        console.error(`Trained semantic index on ${contents.size} files (${next.chunkCount} chunks, ${next.model.dimensions} dimensions)`);
+      } else {
+        for (const relativePath of changed) {
+          index.setFile(relativePath, await readContent(relativePath), live.get(relativePath).contentHash ?? null);
+        }
+        for (const relativePath of removed) {
+          index.removeFile(relativePath);
+        }
+        index.changedSinceTraining += changed.length + removed.length;
+      }
+
+      // Derived data, so a plain temp file and rename is enough; a lost write is rebuilt
+      const tempPath = `${this.semanticPath}.tmp-${process.pid}`;
+      await fs.writeFile(tempPath, JSON.stringify(this.semanticIndex.toJSON()), 'utf-8');
+      await fs.rename(tempPath, this.semanticPath);
+
+      return { retrained: retrain, updated: retrain ? live.size : changed.length + removed.length };
+    });
+
+    this.semanticQueue = update.catch(() => {});
+    return update;
+  }
+
+  async semanticSearch(query, limit, rebuild) {
+    if (!query || typeof query !== 'string') {
+      throw new Error('Query parameter must be a non-empty string');
+    }
+    if (typeof limit !== 'number' || limit < 1) {
+      throw new Error('Limit must be a positive number');
+    }
+
+    const { retrained } = await this.updateSemanticIndex(rebuild);
+    const index = this.semanticIndex;
+
+    const results = index.search(query, { limit }).map(({ path: filePath, score, matches }) => ({
+      path: filePath,
+      score: Math.round(score * 1000) / 1000,
+      summary: this.metadata.files[filePath]?.summary,
+      matches: matches.map(match => ({
+        lines: match.startLine === match.endLine ? `${match.startLine}` : `${match.startLine}-${match.endLine}`,
+        score: Math.round(match.score * 1000) / 1000,
+        preview: match.preview,
+      })),
+    }));
+
+    return {
+      query,
+      index: {
+        files: Object.keys(index.files).length,
+        chunks: index.chunkCount,
+        dimensions: index.model.dimensions,
+        vocabulary: index.model.vocabulary.length,
+        retrained,
+      },
+      count: results.length,
+      results,
+      ...(results.length === 0 && { note: 'No indexed text shares any words with the query' }),
+    };
+  }
+
+  async getFilesByStructure({ kind, has_open_tasks: hasOpenTasks, front_matter_key: frontMatterKey, links_to: linksTo }) {
+    if (kind === undefined && hasOpenTasks === undefined && frontMatterKey === undefined && linksTo === undefined) {
+      throw new Error('Provide at least one of kind, has_open_tasks, front_matter_key or links_to');
+    }
+
+    if (!this.metadata || !this.metadata.files) {
+      throw new Error('Metadata not initialized');
+    }
+
+    const lowerLink = linksTo?.toLowerCase();
+
+    const files = this.getLiveEntries()
+      .filter(([, metadata]) => {
+        const structure = metadata.structure;
+        if (!structure) {
+          return false;
+        }
+        if (kind !== undefined && structure.kind !== kind) {
+          return false;
+        }
+        if (hasOpenTasks !== undefined && (structure.words === undefined || ((structure.tasks?.open || 0) > 0) !== hasOpenTasks)) {
+          return false;
+        }
+        if (frontMatterKey !== undefined && !Object.hasOwn(structure.frontMatter || {}, frontMatterKey)) {
+          return false;
+        }
+        if (lowerLink !== undefined && !(structure.links || []).some(link => link.toLowerCase().includes(lowerLink))) {
+          return false;
+        }
+        return true;
+      })
+      .sort(([, a], [, b]) => new Date(b.created) - new Date(a.created))
+      .map(([filePath, metadata]) => ({
+        path: filePath,
+        summary: metadata.summary,
+        tags: metadata.tags,
+        created: metadata.created,
+        structure: metadata.structure,
+      }));
+
+    return { count: files.length, files };
+  }
+
+  async queryFiles(args) {
+    const query = parseQuery(args, { ignoreCase: process.platform === 'win32' || process.platform === 'darwin' });
+
+    if (!this.metadata || !this.metadata.files) {
+      throw new Error('Metadata not initialized');
+    }
+
+    const records = this.getLiveEntries().map(([filePath, metadata]) => ({
+      path: filePath,
+      ...metadata,
+    }));
+
+    // Sizes aren't stored, so only stat files when the query uses them
+    if (needsSize(query)) {
+      await Promise.all(records.map(async (record) => {
+        const stats = await fs.stat(path.join(this.workspaceRoot, record.path)).catch(() => null);
+        record.size = stats?.size;
+      }));
+    }
+
+    return runQuery(records, query);
+  }
+
+  async getFileHistory(filePath, limit, offset) {
+    // Validate input
+    if (!filePath || typeof filePath !== 'string') {
+      throw new Error('Path parameter must be a non-empty string');
+    }
+
+    if (typeof limit !== 'number' || limit < 1 || typeof offset !== 'number' || offset < 0) {
+      throw new Error('Limit must be a positive number and offset a non-negative number');
+    }
+
+    const relativePath = toStoreKey(path.isAbsolute(filePath) ? path.relative(this.workspaceRoot, filePath) : filePath);
+    const events = await this.history.read();
+
+    // Walk back from the newest event, following renames to earlier paths
+    // and stopping at the creation of this path's current file
+    const timeline = [];
+    let currentPath = relativePath;
+    for (let i = events.length - 1; i >= 0; i--) {
+      const event = events[i];
+
+      // The file was moved away from the requested path
+      const movedAway = timeline.length === 0 && event.type === 'renamed' && event.from === currentPath;
+      if (movedAway) {
+        timeline.push(event);
+        continue;
+      }
+
+      if (event.path !== currentPath) {
+        continue;
+      }
+
+      timeline.push(event);
+
+      if (event.type === 'renamed') {
+        currentPath = event.from;
+      } else if (event.type === 'created') {
+        break;
+      }
+    }
+
+    const page = timeline.slice(offset, offset + limit);
+    const nextOffset = offset + page.length < timeline.length ? offset + page.length : null;
+
+    return {
+      path: relativePath,
+      current: this.metadata.files[relativePath] || null,
+      total: timeline.length,
+      offset,
+      count: page.length,
+      nextOffset,
+      events: page,
+    };
+  }
+
+  async getUncommittedFiles(includeIgnored) {
+    if (!this.metadata || !this.metadata.files) {
+      throw new Error('Metadata not initialized');
+    }
+
+    if (!this.git.available) {
+      throw new Error('Workspace is not inside a git repository');
+    }
+
+    // Statuses change whenever the user commits, so re-read them now
+    await this.applyGitMetadata(this.getLiveEntries().map(([filePath]) => filePath));
+    await this.store.save();
+
+    const wanted = includeIgnored ? ['untracked', 'staged', 'ignored'] : ['untracked', 'staged'];
+
+    const files = this.getLiveEntries()
+      .filter(([, metadata]) => wanted.includes(metadata.gitStatus))
+      .sort(([, a], [, b]) => new Date(b.created) - new Date(a.created))
+      .map(([filePath, metadata]) => ({
+        path: filePath,
+        ...metadata,
+      }));
+
+    return { count: files.length, files };
+  }
+
+  /**
+   * Reload the ignore rules now (they also reload by themselves when an ignore file changes)
+   */
+  reloadIgnoreRules() {
+    return this.scanner.reloadIgnoreRules();
+  }
+
+  /**
+   * Live entry for a tool's path argument, or an error naming the path
+   */
+  getTrackedEntry(requested) {
+    if (!requested || typeof requested !== 'string') {
+      throw new Error('Path must be a non-empty string');
+    }
+
+    const relativePath = toStoreKey(requested);
+    const entry = this.metadata.files[relativePath];
+    if (!entry || !isLiveEntry(entry)) {
+      throw new Error(`Not a tracked file: ${relativePath}`);
+    }
+    return { relativePath, entry };
+  }
+
+  async annotateFile(requested, values) {
+    const { relativePath, entry } = this.getTrackedEntry(requested);
+    const fields = ['summary', 'notes', 'owner'].filter(field => values[field] !== undefined);
+
+    if (fields.length === 0) {
+      throw new Error('Provide at least one of summary, notes or owner');
+    }
+
+    const annotations = { ...entry.annotations };
+    for (const field of fields) {
+      if (typeof values[field] !== 'string') {
+        throw new Error(`${field} must be a string`);
+      }
+      const value = values[field].trim();
+      if (value) {
+        annotations[field] = value;
+      } else {
+        delete annotations[field];
+      }
+    }
+
+    const previousSummary = entry.summary;
+    this.setAnnotations(entry, annotations);
+
+    // Clearing a hand-set summary brings back the generated one
+    if (fields.includes('summary') && !annotations.summary) {
+      const absolutePath = path.join(this.workspaceRoot, relativePath);
+      entry.summary = generateSummary(await readFileContent(absolutePath), relativePath);
+    }
+
+    this.history.record('annotated', relativePath, Object.fromEntries(fields.map(field => [field, annotations[field] ?? null])));
+    if (entry.summary !== previousSummary) {
+      this.history.record('resummarized', relativePath, { from: previousSummary, to: entry.summary, manual: true });
+    }
+    this.store.scheduleSave();
+
+    return { path: relativePath, ...entry };
+  }
+
+  async changeManualTags(requestedPaths, tags, action) {
+    if (!Array.isArray(requestedPaths) || requestedPaths.length === 0) {
+      throw new Error('paths must be a non-empty array of file paths');
+    }
+    if (!Array.isArray(tags) || tags.length === 0 || tags.some(tag => typeof tag !== 'string' || !tag.trim())) {
+      throw new Error('tags must be a non-empty array of non-empty strings');
+    }
+
+    // Validate every path before changing any
+    const targets = requestedPaths.map(requested => this.getTrackedEntry(requested));
+    const cleanTags = [...new Set(tags.map(tag => tag.trim()))];
+    const files = [];
+
+    for (const { relativePath, entry } of targets) {
+      const annotations = { ...entry.annotations };
+      const added = new Set(annotations.addedTags || []);
+      const removed = new Set(annotations.removedTags || []);
+
+      for (const tag of cleanTags) {
+        if (action === 'add') {
+          removed.delete(tag);
+          // Tags the rules already give need no annotation
+          if (!entry.tags.includes(tag)) {
+            added.add(tag);
+          }
+        } else {
+          // A hand-added tag is simply forgotten; a generated one is suppressed
+          if (added.has(tag)) {
+            added.delete(tag);
+          } else if (entry.tags.includes(tag)) {
+            removed.add(tag);
+          }
+        }
+      }
+
+      annotations.addedTags = [...added];
+      annotations.removedTags = [...removed];
+
+      const previousTags = entry.tags;
+      // Removing a hand-added tag also drops it from the current tags
+      entry.tags = action === 'remove' ? entry.tags.filter(tag => !cleanTags.includes(tag)) : entry.tags;
+      this.setAnnotations(entry, annotations);
+
+      if (JSON.stringify(entry.tags) !== JSON.stringify(previousTags)) {
+        this.history.record('retagged', relativePath, { from: previousTags, to: entry.tags, manual: true });
+      }
+      files.push({ path: relativePath, tags: entry.tags });
+    }
+
+    this.store.scheduleSave();
+
+    return { count: files.length, files };
+  }
+
+  /**
+   * Store annotations (dropping empty ones) and apply them to the entry
+   */
+  setAnnotations(entry, annotations) {
+    for (const key of ['addedTags', 'removedTags']) {
+      if (annotations[key] && annotations[key].length === 0) {
+        delete annotations[key];
+      }
+    }
+
+    const { updated, ...values } = annotations;
+    if (Object.keys(values).length === 0) {
+      delete entry.annotations;
+    } else {
+      entry.annotations = { ...values, updated: new Date().toISOString() };
+    }
+
+    applyAnnotations(entry);
+  }
+
+  /**
+   * Session a newly created file belongs to: a session that announced this path
+   * with record_creation, else the most recently active session
+   */
+  claimSessionFor(relativePath) {
+    const sessions = this.metadata.sessions || {};
+
+    for (const [id, session] of Object.entries(sessions)) {
+      if (session.pendingPaths?.includes(relativePath)) {
+        session.pendingPaths = session.pendingPaths.filter(p => p !== relativePath);
+        if (session.pendingPaths.length === 0) {
+          delete session.pendingPaths;
+        }
+        return id;
+      }
+    }
+
+    return this.getActiveSessionId();
+  }
+
+  getActiveSessionId(now = Date.now()) {
+    let active = null;
+    for (const [id, session] of Object.entries(this.metadata.sessions || {})) {
+      const expires = new Date(session.lastActive).getTime() + (session.ttlMinutes || Timepon.SESSION_TTL_MINUTES) * 60000;
+      if (session.ended || expires <= now) {
+        continue;
+      }
+      if (!active || session.lastActive > this.metadata.sessions[active].lastActive) {
+        active = id;
+      }
+    }
+    return active;
+  }
+
+  async registerSession({ agent, session_id: sessionId, prompt_summary: promptSummary, ttl_minutes: ttlMinutes, end = false }) {
+    if (!agent || typeof agent !== 'string' || !agent.trim()) {
+      throw new Error('agent must be a non-empty string');
+    }
+    if (ttlMinutes !== undefined && (typeof ttlMinutes !== 'number' || ttlMinutes <= 0)) {
+      throw new Error('ttl_minutes must be a positive number');
+    }
+
+    this.metadata.sessions = this.metadata.sessions || {};
+    const now = new Date().toISOString();
+    const id = sessionId || `s-${randomUUID().slice(0, 8)}`;
+    const existing = this.metadata.sessions[id];
+
+    if (sessionId && !existing && end) {
+      throw new Error(`Unknown session: ${sessionId}`);
+    }
+
+    const session = {
+      ...existing,
+      agent: agent.trim(),
+      ...(promptSummary !== undefined && { promptSummary: String(promptSummary).trim() }),
+      started: existing?.started || now,
+      lastActive: now,
+      ...(ttlMinutes !== undefined && { ttlMinutes }),
+    };
+    if (end) {
+      session.ended = now;
+    } else {
+      delete session.ended;
+    }
+    if (!session.promptSummary) {
+      delete session.promptSummary;
+    }
+
+    this.metadata.sessions[id] = session;
+    this.store.scheduleSave();
+
+    console.error(`${end ? 'Ended' : existing ? 'Refreshed' : 'Registered'} session ${id} (${session.agent})`);
+
+    return { session_id: id, active: !end, ...session };
+  }
+
+  async recordCreation(requestedPaths, sessionId) {
+    if (!Array.isArray(requestedPaths) || requestedPaths.length === 0) {
+      throw new Error('paths must be a non-empty array of file paths');
+    }
+
+    const id = sessionId || this.getActiveSessionId();
+    const session = id && this.metadata.sessions?.[id];
+    if (!session) {
+      throw new Error(sessionId ? `Unknown session: ${sessionId}` : 'No active session - call register_session first or pass session_id');
+    }
+
+    const attributed = [];
+    const pending = [];
+
+    for (const requested of requestedPaths) {
+      const relativePath = toStoreKey(String(requested));
+      const entry = this.metadata.files[relativePath];
+
+      if (entry && isLiveEntry(entry)) {
+        if (entry.session !== id) {
+          this.history.record('attributed', relativePath, { session: id, ...(entry.session && { previousSession: entry.session }) });
+        }
+        entry.session = id;
+        attributed.push(relativePath);
+      } else {
+        // Attribute when the watcher sees the file appear
+        session.pendingPaths = [...new Set([...(session.pendingPaths || []), relativePath])];
+        pending.push(relativePath);
+      }
+    }
+
+    session.lastActive = new Date().toISOString();
+    this.store.scheduleSave();
+
+    return { session_id: id, agent: session.agent, attributed, pending };
+  }
+
+  async getFilesBySession(sessionId, agent) {
+    const sessions = this.metadata.sessions || {};
+    const filesOf = (ids) => this.getLiveEntries()
+      .filter(([, metadata]) => ids.includes(metadata.session))
+      .sort(([, a], [, b]) => new Date(b.created) - new Date(a.created))
+      .map(([filePath, metadata]) => ({
+        path: filePath,
+        ...metadata,
+      }));
+
+    let result;
+    if (sessionId) {
+      if (!sessions[sessionId]) {
+        throw new Error(`Unknown session: ${sessionId}`);
+      }
+      const files = filesOf([sessionId]);
+      result = { session_id: sessionId, ...sessions[sessionId], count: files.length, files };
+    } else if (agent) {
+      const ids = Object.keys(sessions).filter(id => sessions[id].agent === agent);
+      const files = filesOf(ids);
+      result = { agent, sessions: ids, count: files.length, files };
+    } else {
+      const counts = {};
+      let unattributed = 0;
+      for (const [, metadata] of this.getLiveEntries()) {
+        if (metadata.session) {
+          counts[metadata.session] = (counts[metadata.session] || 0) + 1;
+        } else {
+          unattributed++;
+        }
+      }
+
+      const activeId = this.getActiveSessionId();
+      const list = Object.entries(sessions)
+        .sort(([, a], [, b]) => b.lastActive.localeCompare(a.lastActive))
+        .map(([id, session]) => ({ session_id: id, ...session, active: id === activeId, files: counts[id] || 0 }));
+      result = { count: list.length, sessions: list, unattributedFiles: unattributed };
+    }
+
+    return result;
+  }
+
+  async takeSnapshot(label) {
+    if (label !== undefined && typeof label !== 'string') {
+      throw new Error('label must be a string');
+    }
+
+    const stored = await this.snapshots.save(createSnapshot(this.metadata.files, { label: label?.trim() || null }), {
+      keep: Timepon.SNAPSHOT_KEEP,
+    });
+    console.error(`Snapshot ${stored.id} taken (${Object.keys(stored.files).length} files)`);
+
+    const { files, ...header } = stored;
+    return { ...header, files: Object.keys(files).length };
+  }
+
+  async listSnapshots() {
+    const snapshots = (await this.snapshots.list()).reverse();
+
+    return { count: snapshots.length, snapshots };
+  }
+
+  /**
+   * Snapshot for a diff_snapshots argument: "now", a snapshot id or a timestamp
+   */
+  async resolveSnapshot(reference) {
+    if (reference === 'now') {
+      return { ...createSnapshot(this.metadata.files), id: 'now' };
+    }
+
+    const byId = await this.snapshots.load(reference);
+    if (byId) {
+      return byId;
+    }
+
+    const time = new Date(reference).getTime();
+    if (Number.isNaN(time)) {
+      throw new Error(`Unknown snapshot: ${reference} (use an id from list_snapshots, an ISO timestamp or "now")`);
+    }
+
+    const snapshot = await this.snapshots.findAt(time);
+    if (!snapshot) {
+      const [oldest] = await this.snapshots.list();
+      throw new Error(oldest
+        ? `No snapshot at or before ${reference}; the oldest is ${oldest.id} (${oldest.at})`
+        : 'No snapshots yet - they are taken at startup, hourly and with create_snapshot');
+    }
+    return snapshot;
+  }
+
+  async compareSnapshots(from, to) {
+    if (!from || typeof from !== 'string' || !to || typeof to !== 'string') {
+      throw new Error('from and to must be snapshot ids, ISO timestamps or "now"');
+    }
+
+    const before = await this.resolveSnapshot(from);
+    const after = await this.resolveSnapshot(to);
+    const describe = ({ id, at, label }) => ({ id, at, ...(label && { label }) });
+
+    return { from: describe(before), to: describe(after), ...diffSnapshots(before, after) };
+  }
+
+  /**
+   * Activity report over the last `hours` or from `since` to `until` (see lib/report.js;
+   * renderReportMarkdown() turns it into markdown)
+   */
+  async generateReport({ hours, since, until } = {}) {
+    const range = resolveRange({ hours, since, until });
+
+    if (!this.metadata || !this.metadata.files) {
+      throw new Error('Metadata not initialized');
+    }
+
+    const records = Object.entries(this.metadata.files).map(([filePath, metadata]) => ({
+      path: filePath,
+      ...metadata,
+    }));
+
+    // Sizes are only needed for the largest new files
+    await Promise.all(createdBetween(records.map(record => [record.path, record]), range.since, range.until)
+      .filter(([, record]) => isLiveEntry(record))
+      .map(async ([filePath, record]) => {
+        const stats = await fs.stat(path.join(this.workspaceRoot, filePath)).catch(() => null);
+        record.size = stats?.size;
+      }));
+
+    const { exact, nearDuplicates } = await this.collectDuplicates(Timepon.CLEANUP_SIMILARITY);
+    const paths = group => ({ ...group, files: group.files.map(file => file.path) });
+    return buildReport(records, { ...range, duplicates: { exact: exact.map(paths), nearDuplicates: nearDuplicates.map(paths) } });
+  }
+
+  async findDuplicates(minSimilarity) {
+    if (typeof minSimilarity !== 'number' || minSimilarity <= 0 || minSimilarity > 1) {
+      throw new Error('min_similarity must be a number between 0 and 1');
+    }
+
+    if (!this.metadata || !this.metadata.files) {
+      throw new Error('Metadata not initialized');
+    }
+
+    const { exact, nearDuplicates } = await this.collectDuplicates(minSimilarity);
+
+    return {
+      minSimilarity,
+      exactCount: exact.length,
+      nearDuplicateCount: nearDuplicates.length,
+      exact,
+      nearDuplicates,
+    };
+  }
+
+  /**
+   * Group live files by identical content, and cluster distinct text contents by shingle similarity
+   */
+  async collectDuplicates(minSimilarity) {
+    const files = [];
+    let hashesAdded = false;
+
+    for (const [relativePath, metadata] of this.getLiveEntries()) {
+      const fullPath = path.join(this.workspaceRoot, relativePath);
+
+      let stats;
+      try {
+        stats = await fs.stat(fullPath);
+      } catch (error) {
+        continue; // Gone since it was tracked; the watcher will catch up
+      }
+
+      // Every empty file is identical to every other, which says nothing
+      if (stats.size === 0) {
+        continue;
+      }
+
+      if (!metadata.contentHash) {
+        metadata.contentHash = await hashFile(fullPath);
+        hashesAdded = true;
+      }
+
+      files.push({ path: relativePath, hash: metadata.contentHash, size: stats.size });
+    }
+
+    if (hashesAdded) {
+      this.store.scheduleSave();
+    }
+
+    const { exact, nearDuplicates } = await groupDuplicates(files, {
+      minSimilarity,
+      readContent: relativePath => readFileContent(path.join(this.workspaceRoot, relativePath)),
+    });
+
+    const round = (value) => Math.round(value * 100) / 100;
+    const describe = (relativePath) => ({ path: relativePath, summary: this.metadata.files[relativePath].summary });
+
+    return {
+      exact: exact.map(group => ({ ...group, files: group.files.map(describe) })),
+      nearDuplicates: nearDuplicates.map(cluster => ({
+        similarity: round(cluster.similarity),
+        files: cluster.files.map(describe),
+        pairs: cluster.pairs.map(pair => ({ ...pair, similarity: round(pair.similarity), containment: round(pair.containment) })),
+      })),
+    };
+  }
+
+  async suggestCleanup(minScore, limit) {
+    if (typeof minScore !== 'number' || minScore < 0) {
+      throw new Error('min_score must be a non-negative number');
+    }
+
+    if (!this.metadata || !this.metadata.files) {
+      throw new Error('Metadata not initialized');
+    }
+
+    if (this.git.available) {
+      await this.applyGitMetadata(this.getLiveEntries().map(([filePath]) => filePath));
+    }
+
+    const { exact, nearDuplicates } = await this.collectDuplicates(Timepon.CLEANUP_SIMILARITY);
+    const references = await this.collectReferences();
+
+    const candidates = new Map();
+    const flag = (relativePath, points, reason) => {
+      if (!candidates.has(relativePath)) {
+        candidates.set(relativePath, { score: 0, reasons: [] });
+      }
+      const candidate = candidates.get(relativePath);
+      candidate.score += points;
+      candidate.reasons.push(reason);
+    };
+
+    for (const group of exact) {
+      for (const { path: relativePath } of group.files) {
+        const others = group.files.map(file => file.path).filter(other => other !== relativePath);
+        flag(relativePath, 3, `identical to ${others.join(', ')}`);
+      }
+    }
+
+    for (const cluster of nearDuplicates) {
+      for (const { path: relativePath } of cluster.files) {
+        const others = cluster.files.map(file => file.path).filter(other => other !== relativePath);
+        flag(relativePath, 2, `overlaps with ${others.join(', ')} (up to ${Math.round(cluster.similarity * 100)}% similar)`);
+      }
+    }
+
+    const now = Date.now();
+    for (const [relativePath, metadata] of this.getLiveEntries()) {
+      const fileName = path.posix.basename(relativePath);
+      const ageDays = (now - new Date(metadata.created)) / 86400000;
+      const age = getRelativeTime(metadata.created);
+
+      if (ageDays >= Timepon.CLEANUP_OLD_DAYS) {
+        flag(relativePath, 2, `created ${age}`);
+      } else if (ageDays >= Timepon.CLEANUP_STALE_DAYS) {
+        flag(relativePath, 1, `created ${age}`);
+      }
+
+      if (ageDays >= Timepon.CLEANUP_STALE_DAYS && !metadata.modifications) {
+        flag(relativePath, 1, 'never modified since creation');
+      }
+
+      if (metadata.gitStatus === 'untracked' || metadata.gitStatus === 'staged') {
+        flag(relativePath, 1, 'never committed to git');
+      }
+
+      if (!Timepon.CONVENTIONAL_FILES.test(fileName) && !this.isReferenced(relativePath, references)) {
+        flag(relativePath, 1, 'not referenced from any other tracked file');
+      }
+
+      for (const { pattern, reason } of Timepon.THROWAWAY_NAME_PATTERNS) {
+        if (pattern.test(fileName)) {
+          flag(relativePath, 2, reason);
+          break;
+        }
+      }
+    }
+
+    const ranked = [...candidates.entries()]
+      .filter(([, candidate]) => candidate.score >= minScore)
+      .sort(([pathA, a], [pathB, b]) => b.score - a.score || pathA.localeCompare(pathB));
+
+    const files = ranked.slice(0, limit).map(([relativePath, candidate]) => {
+      const metadata = this.metadata.files[relativePath];
+      return {
+        path: relativePath,
+        score: candidate.score,
+        reasons: candidate.reasons,
+        created: metadata.created,
+        summary: metadata.summary,
+        tags: metadata.tags,
+        ...(metadata.gitStatus && { gitStatus: metadata.gitStatus }),
+      };
+    });
+
+    return { total: ranked.length, count: files.length, files };
+  }
+
+  /**
+   * Map each file name mentioned in tracked text files (links, paths, imports)
+   * to the files mentioning it
+   */
+  async collectReferences() {
+    const references = new Map();
+    const mention = (name, referrer) => {
+      const key = name.toLowerCase();
+      if (!references.has(key)) {
+        references.set(key, new Set());
+      }
+      references.get(key).add(referrer);
+    };
+
+    for (const [relativePath] of this.getLiveEntries()) {
+      const content = await readFileContent(path.join(this.workspaceRoot, relativePath));
+
+      for (const token of content.match(/[\w@~./\\-]+/g) || []) {
+        const hasSlash = /[\\/]/.test(token);
+        if (!hasSlash && !token.includes('.')) {
+          continue;
+        }
+
+        const name = token.split(/[\\/]/).pop().replace(/[.]+$/, '');
+        if (!name) {
+          continue;
+        }
+        mention(name, relativePath);
+
+        // Extensionless imports such as './lib/ignore' still name the file
+        if (hasSlash && !path.extname(name)) {
+          mention(`${name}.*`, relativePath);
+        }
+      }
+    }
+
+    return references;
+  }
+
+  isReferenced(relativePath, references) {
+    const fileName = path.posix.basename(relativePath);
+    const stem = path.posix.basename(relativePath, path.posix.extname(relativePath));
+
+    return [fileName, `${stem}.*`].some((key) => {
+      const referrers = references.get(key.toLowerCase());
+      return referrers && [...referrers].some(referrer => referrer !== relativePath);
+    });
+  }
+
+  async archiveFiles(relativePaths, reason, dryRun) {
+    if (!Array.isArray(relativePaths) || relativePaths.length === 0) {
+      throw new Error('paths must be a non-empty array of file paths');
+    }
+
+    if (reason !== undefined && typeof reason !== 'string') {
+      throw new Error('reason must be a string');
+    }
+
+    // One folder per day, in local time like the rest of the display
+    const now = new Date();
+    const day = [now.getFullYear(), now.getMonth() + 1, now.getDate()].map(n => String(n).padStart(2, '0')).join('-');
+
+    const archived = [];
+    const skipped = [];
+    const claimed = new Set(); // Targets planned in this call, so a dry run reports distinct names too
+
+    for (const requested of relativePaths) {
+      const relativePath = toStoreKey(String(requested));
+      const entry = this.metadata.files[relativePath];
+
+      if (!entry || entry.deleted) {
+        skipped.push({ path: relativePath, error: 'not a tracked file' });
+        continue;
+      }
+      if (entry.archived) {
+        skipped.push({ path: relativePath, error: `already archived to ${entry.archivePath}` });
+        continue;
+      }
+
+      const absolutePath = path.join(this.workspaceRoot, relativePath);
+      if (!existsSync(absolutePath)) {
+        skipped.push({ path: relativePath, error: 'file not found' });
+        continue;
+      }
+
+      const archivePath = this.findFreePath(`${this.archiveDir}/${day}/${relativePath}`, claimed);
+      claimed.add(archivePath);
+
+      if (!dryRun) {
+        try {
+          await this.moveTrackedFile(relativePath, archivePath, () => {
+            entry.archived = now.toISOString();
+            entry.archivePath = archivePath;
+            if (reason) {
+              entry.archiveReason = reason;
+            }
+          }, () => {
+            delete entry.archived;
+            delete entry.archivePath;
+            delete entry.archiveReason;
+          });
+        } catch (error) {
+          skipped.push({ path: relativePath, error: error.message });
+          continue;
+        }
+
+        this.history.record('archived', relativePath, { to: archivePath, ...(reason && { reason }) });
+        console.error(`Archived ${relativePath} -> ${archivePath}`);
+      }
+
+      archived.push({ path: relativePath, to: archivePath, ...(reason && { reason }) });
+    }
+
+    if (!dryRun && archived.length > 0) {
+      this.store.scheduleSave();
+    }
+
+    return { dryRun, count: archived.length, archived, skipped };
+  }
+
+  async restoreFiles(relativePaths, dryRun) {
+    if (!Array.isArray(relativePaths) || relativePaths.length === 0) {
+      throw new Error('paths must be a non-empty array of file paths');
+    }
+
+    const restored = [];
+    const skipped = [];
+
+    for (const requested of relativePaths) {
+      const relativePath = toStoreKey(String(requested));
+      const entry = this.metadata.files[relativePath];
+
+      if (!entry || !entry.archived) {
+        skipped.push({ path: relativePath, error: 'not an archived file' });
+        continue;
+      }
+
+      const archivePath = entry.archivePath;
+      if (!existsSync(path.join(this.workspaceRoot, archivePath))) {
+        skipped.push({ path: relativePath, error: `archived copy missing at ${archivePath}` });
+        continue;
+      }
+
+      // Never overwrite: something new may have been created at the original path
+      if (existsSync(path.join(this.workspaceRoot, relativePath))) {
+        skipped.push({ path: relativePath, error: 'a file already exists at the original path' });
+        continue;
+      }
+
+      if (!dryRun) {
+        const { archived, archiveReason } = entry;
+        try {
+          await this.moveTrackedFile(archivePath, relativePath, () => {
+            delete entry.archived;
+            delete entry.archivePath;
+            delete entry.archiveReason;
+          }, () => {
+            Object.assign(entry, { archived, archivePath, ...(archiveReason && { archiveReason }) });
+          });
+        } catch (error) {
+          skipped.push({ path: relativePath, error: error.message });
+          continue;
+        }
+
+        this.history.record('restored', relativePath, { from: archivePath });
+        console.error(`Restored ${archivePath} -> ${relativePath}`);
+      }
+
+      restored.push({ path: relativePath, from: archivePath });
+    }
+
+    if (!dryRun && restored.length > 0) {
+      this.store.scheduleSave();
+    }
+
+    return { dryRun, count: restored.length, restored, skipped };
+  }
+
+  /**
+   * Move a file within the workspace for archive/restore. The entry is updated
+   * before the move so the watcher's unlink/add events see the new state,
+   * and rolled back if the move fails.
+   */
+  async moveTrackedFile(fromPath, toPath, update, rollback) {
+    const from = path.join(this.workspaceRoot, fromPath);
+    const to = path.join(this.workspaceRoot, toPath);
+
+    update();
+    try {
+      await fs.mkdir(path.dirname(to), { recursive: true });
+      await fs.rename(from, to);
+    } catch (error) {
+      rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * First of "dir/name.ext", "dir/name-2.ext", ... that is free on disk and not yet claimed
+   */
+  findFreePath(relativePath, claimed = new Set()) {
+    const { dir, name, ext } = path.posix.parse(relativePath);
+
+    for (let n = 1; ; n++) {
+      const candidate = path.posix.join(dir, n === 1 ? `${name}${ext}` : `${name}-${n}${ext}`);
+      if (!claimed.has(candidate) && !existsSync(path.join(this.workspaceRoot, candidate))) {
+        return candidate;
+      }
+    }
+  }
+
+  /**
+   * Regenerate summaries, tags and git metadata of every tracked file, marking
+   * missing files deleted and unreadable ones stale
+   * @returns {Promise<{ updated: number, retagged: number, stale: number, errors: number, deleted: number, tagRuleErrors: string[] }>}
+   */
+  async refreshMetadata() {
+    console.error('Refreshing metadata...');
+
+    // Pick up edits to .tponrules.yaml so existing files are retagged
+    this.tagRules = await this.loadTagRules();
+
+    const existingFiles = this.getLiveEntries().map(([filePath]) => filePath);
+    let updatedCount = 0;
+    let retaggedCount = 0;
+    let errorCount = 0;
+    let staleCount = 0;
+    let deletedCount = 0;
+
+    // Performance: Process files in batches to avoid overwhelming the file system
+    // Batch size of 10 provides good balance between concurrency and resource usage
+    const BATCH_SIZE = 10;
+
+    const refreshFile = async (filePath) => {
+      const absolutePath = path.join(this.workspaceRoot, filePath);
+
+      try {
+        // Check if file still exists
+        const stats = await fs.stat(absolutePath);
+        const content = await readFileContent(absolutePath, stats);
+
+        // Update metadata (keep original creation time and history, remove stale flag)
+        const { stale, staleReason, ...entry } = this.metadata.files[filePath];
+        this.metadata.files[filePath] = applyContentMetadata({ ...entry }, content, filePath, this.tagRules);
+
+        if (this.metadata.files[filePath].summary !== entry.summary) {
+          this.history.record('resummarized', filePath, { from: entry.summary, to: this.metadata.files[filePath].summary });
+        }
+
+        const tags = this.metadata.files[filePath].tags;
+        if (JSON.stringify(tags) !== JSON.stringify(entry.tags)) {
+          this.history.record('retagged', filePath, { from: entry.tags, to: tags });
+          retaggedCount++;
+        }
+
+        updatedCount++;
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          // Deleted without the watcher noticing - keep a tombstone
+          this.metadata.files[filePath].deleted = new Date().toISOString();
+          this.history.record('deleted', filePath, { reason: 'missing at refresh' });
+          deletedCount++;
+          return;
+        }
+
+        // File is inaccessible
+        console.error(`Failed to refresh ${filePath}:`, error.message);
+        errorCount++;
+
+        // Mark file as stale (metadata may be outdated)
+        this.metadata.files[filePath].stale = true;
+        this.metadata.files[filePath].staleReason = error.message;
+        staleCount++;
+      }
+    };
+
+    // Process files in batches for better performance
+    for (let i = 0; i < existingFiles.length; i += BATCH_SIZE) {
+      const batch = existingFiles.slice(i, i + BATCH_SIZE);
+      await Promise.all(batch.map(refreshFile));
+    }
+
+    // Pick up commits made since startup
+    await this.git.load();
+    await this.applyGitMetadata(this.getLiveEntries().map(([filePath]) => filePath));
+
+    // Save updated metadata
+    await this.store.save();
+
+    return {
+      updated: updatedCount,
+      retagged: retaggedCount,
+      stale: staleCount,
+      errors: errorCount,
+      deleted: deletedCount,
+      tagRuleErrors: this.tagRules.errors,
+    };
+  }
+}
@@ -0,0 +1,72 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { isBinary, readFileContent, hashFile, applyAnnotations, applyContentMetadata, HASH_LENGTH } from '../lib/extractor.js';
+
+describe('isBinary', () => {
+  test('known extensions decide without looking at the content', () => {
+    assert.equal(isBinary(Buffer.from([0, 1, 2, 3]), 'data.json'), false);
+    assert.equal(isBinary('plain text', 'photo.png'), true);
+  });
+
+  test('unknown extensions fall back to magic bytes and control characters', () => {
+    assert.equal(isBinary(Buffer.from('%PDF-1.7'), 'upload'), true);
+    assert.equal(isBinary(Buffer.from([0, 1, 2, 3, 4, 5, 65, 66]), 'blob.raw'), true);
+    assert.equal(isBinary('key = value\n\tindented\r\n', 'settings.conf'), false);
+    assert.equal(isBinary(Buffer.alloc(0), 'empty'), false);
+  });
+});
+
+describe('readFileContent and hashFile', () => {
+  test('reads text, skips binary content, and hashes bytes', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'timepon-extractor-'));
+    try {
+      const textPath = path.join(directory, 'notes.md');
+      const binaryPath = path.join(directory, 'image.bin');
+      await fs.writeFile(textPath, '# Notes\n');
+      await fs.writeFile(binaryPath, Buffer.from([0x89, 0x50, 0x4E, 0x47]));
+
+      assert.equal(await readFileContent(textPath), '# Notes\n');
+      assert.equal(await readFileContent(binaryPath), '');
+      assert.equal(await readFileContent(path.join(directory, 'missing.md')), '');
+
+      const hash = await hashFile(textPath);
+      assert.equal(hash.length, HASH_LENGTH);
+      assert.notEqual(hash, await hashFile(binaryPath));
+    } finally {
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('applyAnnotations', () => {
+  test('hand-set summary and tags override generated ones', () => {
+    const entry = applyAnnotations({
+      summary: 'Generated',
+      tags: ['md', 'docs', 'draft'],
+      annotations: { summary: 'Release checklist', addedTags: ['release', 'md'], removedTags: ['draft'] },
+    });
+    assert.equal(entry.summary, 'Release checklist');
+    assert.deepEqual(entry.tags, ['md', 'docs', 'release']);
+  });
+});
+
+describe('applyContentMetadata', () => {
+  test('sets summary, tags and structure, then reapplies annotations', () => {
+    const entry = { annotations: { addedTags: ['pinned'] }, structure: { stale: true } };
+    applyContentMetadata(entry, '# Setup\n\nInstall the tools.\n\n## Steps\n', 'docs/SETUP.md');
+
+    assert.equal(typeof entry.summary, 'string');
+    assert.ok(entry.tags.includes('md'));
+    assert.ok(entry.tags.includes('pinned'));
+    assert.notDeepEqual(entry.structure, { stale: true });
+  });
+
+  test('drops a structure the new content no longer has', () => {
+    const entry = { structure: { headings: [] } };
+    applyContentMetadata(entry, 'console.log(1);\n', 'run.js');
+    assert.equal('structure' in entry, false);
+  });
+});
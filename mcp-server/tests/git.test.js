@@ -0,0 +1,105 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execFileSync, spawnSync } from 'child_process';
+import { GitRepository } from '../lib/git.js';
+
+const hasGit = spawnSync('git', ['--version']).status === 0;
+
+describe('GitRepository', { skip: !hasGit && 'git is not installed' }, () => {
+  let root;
+
+  const git = (args, date = '2026-01-01T10:00:00Z') => execFileSync('git', args, {
+    cwd: root,
+    env: {
+      ...process.env,
+      GIT_AUTHOR_NAME: 'Ada', GIT_AUTHOR_EMAIL: 'ada@example.com', GIT_AUTHOR_DATE: date,
+      GIT_COMMITTER_NAME: 'Ada', GIT_COMMITTER_EMAIL: 'ada@example.com', GIT_COMMITTER_DATE: date,
+    },
+    stdio: 'pipe',
+  });
+  const write = async (relativePath, content) => {
+    await fs.mkdir(path.dirname(path.join(root, relativePath)), { recursive: true });
+    await fs.writeFile(path.join(root, relativePath), content);
+  };
+
+  before(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'timepon-git-'));
+    git(['init', '-q']);
+    git(['config', 'commit.gpgsign', 'false']);
+
+    await write('.gitignore', '*.log\n');
+    await write('old.md', '# Setup\n\nInstall, configure, run.\n');
+    await write('keep.md', '# Keep\n');
+    git(['add', '.']);
+    git(['commit', '-q', '-m', 'First'], '2026-01-01T10:00:00Z');
+
+    await fs.mkdir(path.join(root, 'docs'));
+    git(['mv', 'old.md', 'docs/setup.md']);
+    git(['commit', '-q', '-m', 'Move setup into docs'], '2026-01-05T10:00:00Z');
+
+    await write('new.md', '# New\n');
+    git(['add', 'new.md']);
+    git(['commit', '-q', '-m', 'Add new'], '2026-01-10T10:00:00Z');
+
+    // Uncommitted states
+    await write('keep.md', '# Keep, edited\n');
+    await write('staged.md', '# Staged\n');
+    git(['add', 'staged.md']);
+    await write('untracked.md', '# Untracked\n');
+    await write('debug.log', 'noise\n');
+  });
+
+  after(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  test('first commits follow renames', async () => {
+    const repository = new GitRepository(root);
+    await repository.load();
+
+    assert.equal(repository.available, true);
+    assert.deepEqual(repository.firstCommits.get('docs/setup.md'), {
+      ...repository.firstCommits.get('keep.md'),
+      date: '2026-01-01T10:00:00.000Z',
+      author: 'Ada',
+    });
+    assert.equal(repository.firstCommits.get('new.md').date, '2026-01-10T10:00:00.000Z');
+    assert.equal(repository.firstCommits.has('old.md'), false);
+    assert.equal(repository.firstCommits.has('staged.md'), false);
+  });
+
+  test('paths are relative to a workspace inside the repository', async () => {
+    const repository = new GitRepository(path.join(root, 'docs'));
+    await repository.load();
+    assert.deepEqual([...repository.firstCommits.keys()], ['setup.md']);
+  });
+
+  test('status tells committed, modified, staged, untracked and ignored files apart', async () => {
+    const repository = new GitRepository(root);
+    await repository.load();
+
+    const statuses = await repository.status(['docs/setup.md', 'keep.md', 'staged.md', 'untracked.md', 'debug.log']);
+    assert.deepEqual(Object.fromEntries(statuses), {
+      'docs/setup.md': 'committed',
+      'keep.md': 'modified',
+      'staged.md': 'staged',
+      'untracked.md': 'untracked',
+      'debug.log': 'ignored',
+    });
+  });
+
+  test('folders outside a repository have no git metadata', async () => {
+    const outside = await fs.mkdtemp(path.join(os.tmpdir(), 'timepon-nogit-'));
+    try {
+      const repository = new GitRepository(outside);
+      await repository.load();
+      assert.equal(repository.available, false);
+      assert.equal((await repository.status(['a.md'])).size, 0);
+    } finally {
+      await fs.rm(outside, { recursive: true, force: true });
+    }
+  });
+});
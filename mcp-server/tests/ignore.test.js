@@ -0,0 +1,231 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { IgnoreMatcher, loadWorkspaceIgnores, parseIgnoreLine } from '../lib/ignore.js';
+
+const matcherFor = (content, options) => {
+  const matcher = new IgnoreMatcher(options);
+  matcher.add(content);
+  return matcher;
+};
+
+describe('parseIgnoreLine', () => {
+  test('skips blank lines and comments', () => {
+    assert.equal(parseIgnoreLine(''), null);
+    assert.equal(parseIgnoreLine('   '), null);
+    assert.equal(parseIgnoreLine('# comment'), null);
+  });
+
+  test('reads negation and directory-only markers', () => {
+    const rule = parseIgnoreLine('!build/');
+    assert.equal(rule.negated, true);
+    assert.equal(rule.directoryOnly, true);
+  });
+});
+
+describe('IgnoreMatcher', () => {
+  test('patterns without a slash match at any depth', () => {
+    const matcher = matcherFor('*.log');
+    assert.equal(matcher.ignores('debug.log'), true);
+    assert.equal(matcher.ignores('a/b/debug.log'), true);
+    assert.equal(matcher.ignores('debug.log.txt'), false);
+  });
+
+  test('* does not cross directory separators', () => {
+    const matcher = matcherFor('doc/*.txt');
+    assert.equal(matcher.ignores('doc/notes.txt'), true);
+    assert.equal(matcher.ignores('doc/sub/notes.txt'), false);
+  });
+
+  test('? matches one character but not a slash', () => {
+    const matcher = matcherFor('a?c');
+    assert.equal(matcher.ignores('abc'), true);
+    assert.equal(matcher.ignores('ac'), false);
+    assert.equal(matcher.ignores('a/c'), false);
+  });
+
+  test('a leading slash anchors to the ignore file directory', () => {
+    const matcher = matcherFor('/root.txt');
+    assert.equal(matcher.ignores('root.txt'), true);
+    assert.equal(matcher.ignores('sub/root.txt'), false);
+  });
+
+  test('a slash in the middle also anchors', () => {
+    const matcher = matcherFor('doc/frotz');
+    assert.equal(matcher.ignores('doc/frotz'), true);
+    assert.equal(matcher.ignores('a/doc/frotz'), false);
+  });
+
+  test('leading **/ matches in all directories', () => {
+    const matcher = matcherFor('**/foo/bar');
+    assert.equal(matcher.ignores('foo/bar'), true);
+    assert.equal(matcher.ignores('x/y/foo/bar'), true);
+    assert.equal(matcher.ignores('foo/baz'), false);
+  });
+
+  test('trailing /** matches everything inside but not the directory itself', () => {
+    const matcher = matcherFor('abc/**');
+    assert.equal(matcher.ignores('abc/file.md'), true);
+    assert.equal(matcher.ignores('abc/deep/file.md'), true);
+    assert.equal(matcher.ignores('abc', true), false);
+  });
+
+  test('/**/ matches zero or more directories', () => {
+    const matcher = matcherFor('a/**/b');
+    assert.equal(matcher.ignores('a/b'), true);
+    assert.equal(matcher.ignores('a/x/b'), true);
+    assert.equal(matcher.ignores('a/x/y/b'), true);
+    assert.equal(matcher.ignores('ab'), false);
+  });
+
+  test('** inside a segment behaves like *', () => {
+    const matcher = matcherFor('foo**bar');
+    assert.equal(matcher.ignores('fooXbar'), true);
+    assert.equal(matcher.ignores('foo/bar'), false);
+  });
+
+  test('trailing slash matches directories only', () => {
+    const matcher = matcherFor('logs/');
+    assert.equal(matcher.ignores('logs', true), true);
+    assert.equal(matcher.ignores('logs', false), false);
+    assert.equal(matcher.ignores('logs/today.txt'), true);
+  });
+
+  test('an ignored directory ignores everything below it', () => {
+    const matcher = matcherFor('node_modules');
+    assert.equal(matcher.ignores('node_modules/pkg/index.js'), true);
+    assert.equal(matcher.ignores('src/node_modules/pkg/index.js'), true);
+  });
+
+  test('negation re-includes a previously ignored file', () => {
+    const matcher = matcherFor('*.md\n!keep.md');
+    assert.equal(matcher.ignores('notes.md'), true);
+    assert.equal(matcher.ignores('keep.md'), false);
+    assert.equal(matcher.ignores('docs/keep.md'), false);
+  });
+
+  test('the last matching rule wins', () => {
+    const matcher = matcherFor('!keep.md\n*.md');
+    assert.equal(matcher.ignores('keep.md'), true);
+  });
+
+  test('files cannot be re-included when a parent directory is excluded', () => {
+    const matcher = matcherFor('build/\n!build/keep.txt');
+    assert.equal(matcher.ignores('build/keep.txt'), true);
+  });
+
+  test('re-including a directory contents pattern works with /*', () => {
+    const matcher = matcherFor('build/*\n!build/keep.txt');
+    assert.equal(matcher.ignores('build/other.txt'), true);
+    assert.equal(matcher.ignores('build/keep.txt'), false);
+  });
+
+  test('character classes, ranges and negated classes', () => {
+    const matcher = matcherFor('file[0-9].txt\n[!a]*.md\nx[[:digit:]]');
+    assert.equal(matcher.ignores('file3.txt'), true);
+    assert.equal(matcher.ignores('filex.txt'), false);
+    assert.equal(matcher.ignores('b.md'), true);
+    assert.equal(matcher.ignores('a.md'), false);
+    assert.equal(matcher.ignores('x7'), true);
+  });
+
+  test('an unclosed bracket is a literal', () => {
+    const matcher = matcherFor('weird[name');
+    assert.equal(matcher.ignores('weird[name'), true);
+  });
+
+  test('escaped leading # and ! are literal', () => {
+    const matcher = matcherFor('\\#notes.md\n\\!important.md');
+    assert.equal(matcher.ignores('#notes.md'), true);
+    assert.equal(matcher.ignores('!important.md'), true);
+  });
+
+  test('trailing spaces are trimmed unless escaped', () => {
+    assert.equal(matcherFor('trail.txt   ').ignores('trail.txt'), true);
+    assert.equal(matcherFor('space\\ ').ignores('space '), true);
+  });
+
+  test('regex metacharacters in patterns are literal', () => {
+    const matcher = matcherFor('a+b(c).txt');
+    assert.equal(matcher.ignores('a+b(c).txt'), true);
+    assert.equal(matcher.ignores('aab(c).txt'), false);
+  });
+
+  test('rules from a nested ignore file only apply below it', () => {
+    const matcher = new IgnoreMatcher();
+    matcher.add('*.tmp\n/local.md', 'sub');
+    assert.equal(matcher.ignores('sub/a.tmp'), true);
+    assert.equal(matcher.ignores('sub/deep/a.tmp'), true);
+    assert.equal(matcher.ignores('a.tmp'), false);
+    assert.equal(matcher.ignores('sub/local.md'), true);
+    assert.equal(matcher.ignores('sub/deep/local.md'), false);
+  });
+
+  test('a nested ignore file can negate a parent rule', () => {
+    const matcher = new IgnoreMatcher();
+    matcher.add('*.md');
+    matcher.add('!README.md', 'docs');
+    assert.equal(matcher.ignores('README.md'), true);
+    assert.equal(matcher.ignores('docs/README.md'), false);
+  });
+
+  test('always-ignored patterns cannot be negated', () => {
+    const matcher = new IgnoreMatcher({ always: ['.git/'] });
+    matcher.add('!.git/');
+    assert.equal(matcher.ignores('.git/config'), true);
+  });
+
+  test('ignoreCase matches regardless of case', () => {
+    assert.equal(matcherFor('*.LOG', { ignoreCase: true }).ignores('debug.log'), true);
+    assert.equal(matcherFor('*.LOG').ignores('debug.log'), false);
+  });
+});
+
+describe('loadWorkspaceIgnores', () => {
+  const makeWorkspace = async (files) => {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'timepon-ignore-'));
+    for (const [relativePath, content] of Object.entries(files)) {
+      await fs.mkdir(path.dirname(path.join(root, relativePath)), { recursive: true });
+      await fs.writeFile(path.join(root, relativePath), content);
+    }
+    return root;
+  };
+
+  test('reads nested .tponignore files but not ones in ignored directories', async () => {
+    const root = await makeWorkspace({
+      '.tponignore': 'vendor/\n',
+      'docs/.tponignore': 'drafts/\n',
+      'vendor/.tponignore': '!*\n',
+    });
+
+    try {
+      const matcher = await loadWorkspaceIgnores(root);
+      assert.deepEqual(matcher.sources.sort(), ['.tponignore', 'docs/.tponignore']);
+      assert.equal(matcher.ignores('docs/drafts/a.md'), true);
+      assert.equal(matcher.ignores('drafts/a.md'), false);
+      assert.equal(matcher.ignores('vendor/lib.js'), true);
+    } finally {
+      await fs.rm(root, { recursive: true, force: true });
+    }
+  });
+
+  test('honors .gitignore only when asked, with .tponignore taking precedence', async () => {
+    const root = await makeWorkspace({
+      '.gitignore': '*.secret\nkeep.secret.md\n',
+      '.tponignore': '!keep.secret.md\n',
+    });
+
+    try {
+      const withoutGit = await loadWorkspaceIgnores(root);
+      assert.equal(withoutGit.ignores('a.secret'), false);
+
+      const withGit = await loadWorkspaceIgnores(root, { fileNames: ['.gitignore', '.tponignore'] });
+      assert.equal(withGit.ignores('a.secret'), true);
+      assert.equal(withGit.ignores('keep.secret.md'), false);
+    } finally {
+      await fs.rm(root, { recursive: true, force: true });
+    }
+  });
+});
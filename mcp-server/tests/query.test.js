@@ -0,0 +1,87 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuery, runQuery, needsSize } from '../lib/query.js';
+
+const records = [
+  { path: 'README.md', created: '2026-01-01T00:00:00Z', tags: ['md', 'docs'], gitStatus: 'committed', size: 900 },
+  { path: 'docs/API.md', created: '2026-01-03T00:00:00Z', lastModified: '2026-01-10T00:00:00Z', modifications: 4, tags: ['md', 'docs', 'api'], gitStatus: 'modified', size: 4000 },
+  { path: 'docs/drafts/API_v2.md', created: '2026-01-05T00:00:00Z', tags: ['md', 'docs', 'api'], gitStatus: 'untracked', size: 3800 },
+  { path: 'src/index.js', created: '2026-01-02T00:00:00Z', lastModified: '2026-01-04T00:00:00Z', modifications: 1, tags: ['js', 'code'], gitStatus: 'committed', size: 12000, stale: true },
+  { path: 'src/index.test.js', created: '2026-01-06T00:00:00Z', tags: ['js', 'code'], gitStatus: 'staged', size: 2000 },
+];
+
+const paths = (args) => runQuery(records, parseQuery(args)).files.map(file => file.path);
+
+describe('query filters', () => {
+  test('tags combine all, any and none', () => {
+    assert.deepEqual(paths({ tags_all: ['md', 'api'] }), ['docs/drafts/API_v2.md', 'docs/API.md']);
+    assert.deepEqual(paths({ tags_any: ['api', 'code'], tags_none: ['js'] }), ['docs/drafts/API_v2.md', 'docs/API.md']);
+  });
+
+  test('path globs use gitignore syntax, including negation', () => {
+    assert.deepEqual(paths({ path: ['docs/**/*.md'], sort: 'path' }), ['docs/API.md', 'docs/drafts/API_v2.md']);
+    assert.deepEqual(paths({ path: ['*.md', '!**/drafts/**'], sort: 'path' }), ['README.md', 'docs/API.md']);
+  });
+
+  test('date ranges: created, and modified falling back to created', () => {
+    assert.deepEqual(paths({ created_after: '2026-01-03', created_before: '2026-01-06' }), ['docs/drafts/API_v2.md', 'docs/API.md']);
+    assert.deepEqual(paths({ modified_after: '2026-01-05' }), ['src/index.test.js', 'docs/drafts/API_v2.md', 'docs/API.md']);
+  });
+
+  test('size, stale and git status', () => {
+    assert.deepEqual(paths({ min_size: 3000, max_size: 5000 }), ['docs/drafts/API_v2.md', 'docs/API.md']);
+    assert.deepEqual(paths({ stale: true }), ['src/index.js']);
+    assert.deepEqual(paths({ git_status: ['untracked', 'staged'] }), ['src/index.test.js', 'docs/drafts/API_v2.md']);
+  });
+
+  test('only queries touching size need it read from disk', () => {
+    assert.equal(needsSize(parseQuery({ tags_any: ['md'] })), false);
+    assert.equal(needsSize(parseQuery({ sort: 'size' })), true);
+    assert.equal(needsSize(parseQuery({ fields: ['size'] })), true);
+  });
+
+  test('invalid arguments are rejected', () => {
+    assert.throws(() => parseQuery({ created_after: 'yesterday' }), /created_after/);
+    assert.throws(() => parseQuery({ git_status: ['dirty'] }), /Unknown git_status dirty/);
+    assert.throws(() => parseQuery({ sort: 'name' }), /sort must be one of/);
+    assert.throws(() => parseQuery({ limit: 0 }), /limit/);
+  });
+});
+
+describe('query sorting and paging', () => {
+  test('sorts by field, with path breaking ties', () => {
+    assert.deepEqual(paths({ sort: 'modifications', order: 'desc' }), ['docs/API.md', 'src/index.js', 'README.md', 'docs/drafts/API_v2.md', 'src/index.test.js']);
+    assert.deepEqual(paths({ sort: 'size', order: 'asc', limit: 2 }), ['README.md', 'src/index.test.js']);
+  });
+
+  test('offset pages report the next offset', () => {
+    const result = runQuery(records, parseQuery({ sort: 'path', limit: 2, offset: 2 }));
+    assert.deepEqual(result.files.map(file => file.path), ['docs/drafts/API_v2.md', 'src/index.js']);
+    assert.equal(result.total, 5);
+    assert.equal(result.nextOffset, 4);
+  });
+
+  test('cursors continue after the last file even when files are added in between', () => {
+    const first = runQuery(records, parseQuery({ sort: 'path', limit: 2 }));
+    assert.deepEqual(first.files.map(file => file.path), ['README.md', 'docs/API.md']);
+
+    const grown = [...records, { path: 'AAA.md', created: '2026-01-07T00:00:00Z', tags: ['md'] }];
+    const second = runQuery(grown, parseQuery({ sort: 'path', limit: 2, cursor: first.nextCursor }));
+    assert.deepEqual(second.files.map(file => file.path), ['docs/drafts/API_v2.md', 'src/index.js']);
+
+    const last = runQuery(grown, parseQuery({ sort: 'path', limit: 2, cursor: second.nextCursor }));
+    assert.deepEqual(last.files.map(file => file.path), ['src/index.test.js']);
+    assert.equal(last.nextCursor, null);
+  });
+
+  test('a cursor only works with the sort it was made for', () => {
+    const { nextCursor } = runQuery(records, parseQuery({ sort: 'path', limit: 1 }));
+    assert.throws(() => parseQuery({ sort: 'created', cursor: nextCursor }), /Cursor was created for sort path asc/);
+    assert.throws(() => parseQuery({ cursor: 'garbage' }), /Invalid cursor/);
+  });
+
+  test('fields project each file down to path plus the requested fields', () => {
+    const [file] = runQuery(records, parseQuery({ fields: ['tags', 'missing'], limit: 1 })).files;
+    assert.deepEqual(file, { path: 'src/index.test.js', tags: ['js', 'code'] });
+  });
+});
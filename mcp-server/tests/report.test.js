@@ -0,0 +1,83 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveRange, createdBetween, buildReport, renderReportMarkdown } from '../lib/report.js';
+import { getRelativeTime, formatSize } from '../lib/format.js';
+
+const HOUR = 60 * 60 * 1000;
+const at = (iso) => new Date(iso).getTime();
+
+describe('resolveRange', () => {
+  test('defaults to the last 24 hours', () => {
+    assert.deepEqual(resolveRange({}, at('2026-01-18T12:00:00Z')), { since: at('2026-01-17T12:00:00Z'), until: at('2026-01-18T12:00:00Z') });
+  });
+
+  test('accepts hours or an explicit since/until, but not both', () => {
+    assert.equal(resolveRange({ hours: 2 }, 10 * HOUR).since, 8 * HOUR);
+    assert.deepEqual(resolveRange({ since: '2026-01-01T00:00:00Z', until: '2026-01-02T00:00:00Z' }), { since: at('2026-01-01T00:00:00Z'), until: at('2026-01-02T00:00:00Z') });
+    assert.throws(() => resolveRange({ hours: 2, since: '2026-01-01' }), /either hours or since/);
+    assert.throws(() => resolveRange({ since: '2026-01-02', until: '2026-01-01' }), /before until/);
+  });
+});
+
+describe('buildReport', () => {
+  const records = [
+    { path: 'README.md', created: '2026-01-10T00:00:00Z', lastModified: '2026-01-18T09:10:00Z', tags: ['md', 'docs'] },
+    { path: 'docs/API.md', created: '2026-01-18T09:05:00Z', tags: ['md', 'docs', 'api'], size: 4000, summary: 'API' },
+    { path: 'docs/API_v2.md', created: '2026-01-18T11:30:00Z', tags: ['md', 'docs', 'api'], size: 3900, summary: 'API v2' },
+    { path: 'src/app.js', created: '2026-01-18T11:45:00Z', tags: ['js', 'code'], size: 12000, summary: 'App' },
+    { path: 'old.md', created: '2026-01-01T00:00:00Z', deleted: '2026-01-18T10:00:00Z', tags: ['md'] },
+    { path: 'draft.md', created: '2026-01-01T00:00:00Z', archived: '2026-01-18T10:00:00Z', tags: ['md'] },
+    { path: 'yesterday.md', created: '2026-01-17T00:00:00Z', tags: ['md'] },
+  ];
+  const report = buildReport(records, {
+    since: at('2026-01-18T09:00:00Z'),
+    until: at('2026-01-18T12:00:00Z'),
+    duplicates: {
+      exact: [{ files: ['README.md', 'yesterday.md'] }],
+      nearDuplicates: [{ similarity: 0.8, files: ['docs/API.md', 'docs/API_v2.md'] }],
+    },
+  });
+
+  test('counts activity in the range', () => {
+    assert.deepEqual(report.totals, { created: 3, modified: 1, deleted: 1, archived: 1, tracked: 5 });
+    assert.deepEqual(createdBetween(records.map(record => [record.path, record]), at('2026-01-18T11:00:00Z')).map(([filePath]) => filePath), ['docs/API_v2.md', 'src/app.js']);
+  });
+
+  test('buckets creations per hour, including empty hours in between', () => {
+    assert.equal(report.created.unit, 'hour');
+    assert.deepEqual(report.created.buckets.map(bucket => bucket.count), [1, 0, 2]);
+  });
+
+  test('ranks directories, tags and largest new files', () => {
+    assert.deepEqual(report.topDirectories, [
+      { directory: 'docs', created: 2, modified: 0 },
+      { directory: '.', created: 0, modified: 1 },
+      { directory: 'src', created: 1, modified: 0 },
+    ]);
+    assert.deepEqual(report.tags.slice(0, 3), [{ tag: 'api', files: 2 }, { tag: 'docs', files: 2 }, { tag: 'md', files: 2 }]);
+    assert.deepEqual(report.largestNewFiles.map(file => file.path), ['src/app.js', 'docs/API.md', 'docs/API_v2.md']);
+  });
+
+  test('only reports duplicates involving new files', () => {
+    assert.deepEqual(report.duplicates, { exact: [], near: [{ similarity: 0.8, files: ['docs/API.md', 'docs/API_v2.md'] }] });
+  });
+
+  test('renders markdown sections', () => {
+    const markdown = renderReportMarkdown(report);
+    assert.match(markdown, /^# Timepon activity report/);
+    assert.match(markdown, /\| Created \| 3 \|/);
+    assert.match(markdown, /\| `docs\/` \| 2 \| 0 \|/);
+    assert.match(markdown, /- `docs\/API.md` ~ `docs\/API_v2.md` \(80% similar\)/);
+    assert.match(renderReportMarkdown(buildReport([], { since: 0, until: HOUR })), /_No activity in this period._/);
+  });
+});
+
+describe('format', () => {
+  test('relative times and sizes', () => {
+    const now = new Date('2026-01-18T12:00:00Z');
+    assert.equal(getRelativeTime('2026-01-18T11:59:30Z', now), 'just now');
+    assert.equal(getRelativeTime('2026-01-18T09:00:00Z', now), '3h ago');
+    assert.equal(getRelativeTime('2025-12-01T00:00:00Z', now), '6w ago');
+    assert.equal(formatSize(2048), '2.0 KB');
+  });
+});
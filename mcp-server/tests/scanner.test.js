@@ -0,0 +1,340 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { existsSync } from 'fs';
+import { Timepon } from '../lib/timepon.js';
+import { Scanner } from '../lib/scanner.js';
+
+// Run fn in a temporary workspace holding the given { relativePath: content } files
+const withWorkspace = async (files, fn) => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'timepon-scanner-'));
+  try {
+    await writeFiles(root, files);
+    await fn(root);
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+};
+
+const writeFiles = async (root, files) => {
+  for (const [relativePath, content] of Object.entries(files)) {
+    await fs.mkdir(path.dirname(path.join(root, relativePath)), { recursive: true });
+    await fs.writeFile(path.join(root, relativePath), content);
+  }
+};
+
+// A Timepon with its rules loaded but no watcher, so handlers can be called directly
+const openWorkspace = async (root) => {
+  const timepon = new Timepon(root);
+  await timepon.ensureIgnoreFile();
+  timepon.ignoreMatcher = await timepon.loadIgnoreMatcher();
+  timepon.tagRules = await timepon.loadTagRules();
+  return timepon;
+};
+
+const eventsOf = async timepon => (await timepon.history.read()).map(({ type, path: relativePath }) => `${type} ${relativePath}`);
+
+describe('Scanner handlers', () => {
+  test('tracks a new file with generated metadata and a created event', () => withWorkspace({
+    'docs/notes.md': '# Release notes\n\nWhat shipped in each version.\n',
+  }, async (root) => {
+    const timepon = await openWorkspace(root);
+    try {
+      await timepon.scanner.handleFileCreation(path.join(root, 'docs/notes.md'));
+
+      const entry = timepon.metadata.files['docs/notes.md'];
+      assert.equal(entry.summary, 'Release notes');
+      assert.ok(entry.tags.includes('md'));
+      assert.match(entry.contentHash, /^[0-9a-f]{16}$/);
+      assert.ok(!isNaN(Date.parse(entry.created)));
+      assert.deepEqual(await eventsOf(timepon), ['created docs/notes.md']);
+      assert.deepEqual((await timepon.searchContent('shipped', Timepon.SEARCH_DEFAULT_LIMIT, Timepon.SEARCH_SNIPPETS)).results.map(file => file.path), ['docs/notes.md']);
+    } finally {
+      await timepon.stop();
+    }
+  }));
+
+  test('skips ignored files, the store and paths outside the workspace', () => withWorkspace({
+    'node_modules/pkg/index.js': 'module.exports = 1;\n',
+    '_timepon.yaml': 'schemaVersion: 2\nfiles: {}\n',
+    'kept.txt': 'kept\n',
+  }, async (root) => {
+    const timepon = await openWorkspace(root);
+    try {
+      for (const relativePath of ['node_modules/pkg/index.js', '_timepon.yaml', '../outside.txt', 'kept.txt']) {
+        await timepon.scanner.handleFileCreation(path.join(root, relativePath));
+      }
+      assert.deepEqual(Object.keys(timepon.metadata.files), ['kept.txt']);
+    } finally {
+      await timepon.stop();
+    }
+  }));
+
+  test('an edit counts as a modification, an unchanged save does not', () => withWorkspace({
+    'plan.md': '# Plan\n',
+  }, async (root) => {
+    const timepon = await openWorkspace(root);
+    try {
+      const filePath = path.join(root, 'plan.md');
+      await timepon.scanner.handleFileCreation(filePath);
+      await timepon.scanner.handleFileChange(filePath);
+      assert.equal(timepon.metadata.files['plan.md'].modifications, undefined);
+
+      await fs.writeFile(filePath, '# Revised plan\n');
+      await timepon.scanner.handleFileChange(filePath);
+
+      const entry = timepon.metadata.files['plan.md'];
+      assert.equal(entry.modifications, 1);
+      assert.equal(entry.summary, 'Revised plan');
+      assert.ok(entry.lastModified);
+      assert.deepEqual(await eventsOf(timepon), ['created plan.md', 'modified plan.md', 'resummarized plan.md']);
+    } finally {
+      await timepon.stop();
+    }
+  }));
+
+  test('a deletion followed by an add with the same content is a rename', () => withWorkspace({
+    'util.js': '// String helpers\nexport const trim = s => s.trim();\n',
+  }, async (root) => {
+    const timepon = await openWorkspace(root);
+    try {
+      await timepon.scanner.handleFileCreation(path.join(root, 'util.js'));
+      const { created } = timepon.metadata.files['util.js'];
+
+      await fs.mkdir(path.join(root, 'lib'));
+      await fs.rename(path.join(root, 'util.js'), path.join(root, 'lib/strings.js'));
+      timepon.scanner.handleFileDeletion(path.join(root, 'util.js'));
+      await timepon.scanner.handleFileCreation(path.join(root, 'lib/strings.js'));
+
+      const entry = timepon.metadata.files['lib/strings.js'];
+      assert.equal(timepon.metadata.files['util.js'], undefined);
+      assert.deepEqual(entry.previousPaths, ['util.js']);
+      assert.equal(entry.created, created);
+      assert.equal(timepon.scanner.pendingUnlinks.size, 0);
+      assert.deepEqual(await eventsOf(timepon), ['created util.js', 'renamed lib/strings.js']);
+    } finally {
+      await timepon.stop();
+    }
+  }));
+
+  test('moving a directory carries every file over as a rename', () => withWorkspace({
+    'notes/a.md': '# A\n',
+    'notes/b.md': '# B\n',
+  }, async (root) => {
+    const timepon = await openWorkspace(root);
+    try {
+      for (const name of ['a.md', 'b.md']) {
+        await timepon.scanner.handleFileCreation(path.join(root, 'notes', name));
+      }
+
+      // The watcher may report only the folder's 'unlinkDir', without one 'unlink' per file
+      await fs.rename(path.join(root, 'notes'), path.join(root, 'archive'));
+      timepon.scanner.handleDirectoryDeletion(path.join(root, 'notes'));
+      for (const name of ['a.md', 'b.md']) {
+        await timepon.scanner.handleFileCreation(path.join(root, 'archive', name));
+      }
+
+      assert.deepEqual(Object.keys(timepon.metadata.files).sort(), ['archive/a.md', 'archive/b.md']);
+      assert.deepEqual(timepon.metadata.files['archive/b.md'].previousPaths, ['notes/b.md']);
+      assert.equal(timepon.scanner.pendingUnlinks.size, 0);
+    } finally {
+      await timepon.stop();
+    }
+  }));
+
+  test('an add with different content, or after the rename window, is not a rename', (t) => withWorkspace({
+    'a.md': '# A\n',
+    'b.md': '# B\n',
+  }, async (root) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const timepon = await openWorkspace(root);
+    try {
+      for (const name of ['a.md', 'b.md']) {
+        await timepon.scanner.handleFileCreation(path.join(root, name));
+      }
+
+      // Moved and edited before the watcher saw the add
+      await fs.rm(path.join(root, 'a.md'));
+      await fs.writeFile(path.join(root, 'c.md'), '# A, revised\n');
+      timepon.scanner.handleFileDeletion(path.join(root, 'a.md'));
+      await timepon.scanner.handleFileCreation(path.join(root, 'c.md'));
+      assert.equal(timepon.metadata.files['c.md'].previousPaths, undefined);
+      assert.equal(timepon.scanner.pendingUnlinks.has('a.md'), true);
+
+      // Same content, but the deletion was already settled
+      await fs.rename(path.join(root, 'b.md'), path.join(root, 'd.md'));
+      timepon.scanner.handleFileDeletion(path.join(root, 'b.md'));
+      t.mock.timers.tick(Scanner.RENAME_WINDOW);
+      await timepon.scanner.handleFileCreation(path.join(root, 'd.md'));
+
+      assert.ok(timepon.metadata.files['a.md'].deleted);
+      assert.ok(timepon.metadata.files['b.md'].deleted);
+      assert.equal(timepon.metadata.files['d.md'].previousPaths, undefined);
+      assert.deepEqual(await eventsOf(timepon), [
+        'created a.md', 'created b.md', 'created c.md', 'deleted a.md', 'deleted b.md', 'created d.md',
+      ]);
+    } finally {
+      await timepon.stop();
+    }
+  }));
+
+  test('a deletion nothing claims becomes a tombstone', () => withWorkspace({
+    'scratch.txt': 'temporary\n',
+  }, async (root) => {
+    const timepon = await openWorkspace(root);
+    try {
+      await timepon.scanner.handleFileCreation(path.join(root, 'scratch.txt'));
+      await fs.rm(path.join(root, 'scratch.txt'));
+      timepon.scanner.handleFileDeletion(path.join(root, 'scratch.txt'));
+      assert.equal(timepon.metadata.files['scratch.txt'].deleted, undefined);
+
+      // Stopping settles deletions still waiting for a matching add
+      await timepon.stop();
+      assert.ok(timepon.metadata.files['scratch.txt'].deleted);
+      assert.deepEqual(timepon.getLiveEntries(), []);
+      assert.deepEqual(await eventsOf(timepon), ['created scratch.txt', 'deleted scratch.txt']);
+    } finally {
+      await timepon.stop();
+    }
+  }));
+
+  test('editing .tponignore tracks revealed files and drops newly ignored ones', () => withWorkspace({
+    '.tponignore': 'drafts/\n',
+    'drafts/idea.md': '# Idea\n',
+    'build.log': 'compiled\n',
+    'notes.md': '# Notes\n',
+  }, async (root) => {
+    const timepon = await openWorkspace(root);
+    try {
+      for (const relativePath of ['drafts/idea.md', 'build.log', 'notes.md']) {
+        await timepon.scanner.handleFileCreation(path.join(root, relativePath));
+      }
+      assert.deepEqual(Object.keys(timepon.metadata.files).sort(), ['build.log', 'notes.md']);
+
+      const { session_id: sessionId } = await timepon.registerSession({ agent: 'test-agent' });
+      await fs.writeFile(path.join(root, '.tponignore'), '*.log\n');
+
+      // A file written while the reload runs is a live event and still claimed by the session
+      await fs.writeFile(path.join(root, 'live.md'), '# Live\n');
+      const [result] = await Promise.all([
+        timepon.reloadIgnoreRules(),
+        timepon.scanner.handleFileCreation(path.join(root, 'live.md')),
+      ]);
+
+      assert.deepEqual(result.added, ['drafts/idea.md']);
+      assert.deepEqual(result.removed, ['build.log']);
+      assert.deepEqual(Object.keys(timepon.metadata.files).sort(), ['drafts/idea.md', 'live.md', 'notes.md']);
+      assert.equal(timepon.scanner.isInitializing, false);
+
+      // Newly ignored files leave the content index; revealed ones join it
+      assert.equal([...timepon.searchIndex.paths()].includes('build.log'), false);
+      assert.deepEqual((await timepon.searchContent('compiled', Timepon.SEARCH_DEFAULT_LIMIT, Timepon.SEARCH_SNIPPETS)).results, []);
+      assert.deepEqual((await timepon.searchContent('idea', Timepon.SEARCH_DEFAULT_LIMIT, Timepon.SEARCH_SNIPPETS)).results.map(file => file.path), ['drafts/idea.md']);
+
+      // Revealed files existed before the session; they are dated from disk like the initial scan
+      const revealed = timepon.metadata.files['drafts/idea.md'];
+      assert.equal(revealed.session, undefined);
+      assert.notEqual(revealed.createdSource, 'watcher');
+      assert.equal(timepon.metadata.files['live.md'].session, sessionId);
+    } finally {
+      await timepon.stop();
+    }
+  }));
+});
+
+describe('Scanner.resolveCreationTime', () => {
+  const MTIME = Date.parse('2026-02-01T12:00:00Z');
+  const statsWith = (birthtimeMs, ctimeMs = birthtimeMs) => ({
+    birthtimeMs, birthtime: new Date(birthtimeMs), ctimeMs, mtimeMs: MTIME, mtime: new Date(MTIME),
+  });
+
+  test('trusts a birthtime distinct from ctime', () => withWorkspace({}, async (root) => {
+    const { scanner } = new Timepon(root);
+    const birth = Date.parse('2026-01-15T08:00:00Z');
+
+    assert.deepEqual(scanner.resolveCreationTime('a.md', statsWith(birth, MTIME), { batch: true }), { created: '2026-01-15T08:00:00.000Z', createdSource: 'birthtime' });
+  }));
+
+  test('a birthtime copied from ctime falls back to git, then the watcher or mtime', () => withWorkspace({}, async (root) => {
+    const { scanner, git } = new Timepon(root);
+    git.firstCommits.set('committed.md', { hash: 'abc123', date: '2026-01-10T09:00:00+01:00', author: 'Ada' });
+    const stats = statsWith(Date.parse('2026-01-20T08:00:00Z'));
+
+    assert.deepEqual(scanner.resolveCreationTime('committed.md', stats, { batch: true }), { created: '2026-01-10T08:00:00.000Z', createdSource: 'git' });
+    assert.deepEqual(scanner.resolveCreationTime('new.md', stats, { batch: true }), { created: '2026-02-01T12:00:00.000Z', createdSource: 'mtime' });
+
+    const before = Date.now();
+    const seen = scanner.resolveCreationTime('new.md', stats, { batch: false });
+    assert.equal(seen.createdSource, 'watcher');
+    assert.ok(Date.parse(seen.created) >= before && Date.parse(seen.created) <= Date.now());
+  }));
+
+  test('without a birthtime, falls back to git, then the watcher or mtime', () => withWorkspace({}, async (root) => {
+    const { scanner, git } = new Timepon(root);
+    git.firstCommits.set('committed.md', { hash: 'abc123', date: '2026-01-10T09:00:00+01:00', author: 'Ada' });
+
+    for (const birthtimeMs of [0, Date.parse('1970-01-01T00:00:01Z')]) {
+      const stats = statsWith(birthtimeMs, MTIME);
+      assert.deepEqual(scanner.resolveCreationTime('committed.md', stats, { batch: true }), { created: '2026-01-10T08:00:00.000Z', createdSource: 'git' });
+      assert.deepEqual(scanner.resolveCreationTime('new.md', stats, { batch: true }), { created: '2026-02-01T12:00:00.000Z', createdSource: 'mtime' });
+      assert.equal(scanner.resolveCreationTime('new.md', stats, { batch: false }).createdSource, 'watcher');
+    }
+  }));
+});
+
+describe('Timepon.scanOnce', () => {
+  const stabilityThreshold = Scanner.WATCH_STABILITY_THRESHOLD;
+
+  // Files in these tests are written before the scan starts; no need to wait for writes to settle
+  before(() => {
+    Scanner.WATCH_STABILITY_THRESHOLD = 50;
+  });
+
+  after(() => {
+    Scanner.WATCH_STABILITY_THRESHOLD = stabilityThreshold;
+  });
+
+  test('tracks the workspace and picks up changes made between scans', () => withWorkspace({
+    'README.md': '# Demo\n',
+    'src/app.js': '// Entry point\nconsole.log(1);\n',
+    'drafts/idea.md': '# Idea\n',
+    'node_modules/dep/index.js': 'module.exports = {};\n',
+  }, async (root) => {
+    const events = await new Timepon(root).scanOnce();
+    assert.deepEqual(events.map(event => `${event.type} ${event.path}`).sort(), [
+      'created .tponignore', 'created README.md', 'created drafts/idea.md', 'created src/app.js',
+    ]);
+    assert.equal(existsSync(path.join(root, '_timepon.yaml')), true);
+    assert.equal(existsSync(path.join(root, '_timepon.lock')), false);
+
+    await fs.writeFile(path.join(root, 'README.md'), '# Demo project\n');
+    await fs.rm(path.join(root, 'drafts'), { recursive: true });
+    await writeFiles(root, { 'src/extra.js': '// Extra\n' });
+
+    const timepon = new Timepon(root);
+    const changes = await timepon.scanOnce();
+    assert.deepEqual(changes.map(event => `${event.type} ${event.path}`).sort(), [
+      'created src/extra.js', 'deleted drafts/idea.md', 'modified README.md', 'resummarized README.md',
+    ]);
+
+    // What was saved is what a fresh reader sees
+    const reader = new Timepon(root);
+    await reader.open();
+    assert.deepEqual(reader.metadata, timepon.metadata);
+    assert.equal(reader.metadata.files['README.md'].summary, 'Demo project');
+    assert.ok(reader.metadata.files['drafts/idea.md'].deleted);
+  }));
+
+  test('leaves the workspace to a running server', () => withWorkspace({ 'a.txt': 'a\n' }, async (root) => {
+    const server = new Timepon(root);
+    assert.equal(await server.lock.acquire(), true);
+    try {
+      assert.equal(await new Timepon(root).scanOnce(), null);
+      assert.equal(existsSync(path.join(root, '_timepon.yaml')), false);
+    } finally {
+      await server.lock.release();
+    }
+  }));
+});
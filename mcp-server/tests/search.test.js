@@ -0,0 +1,74 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { SearchIndex, parseSearchQuery, findSnippets } from '../lib/search.js';
+
+describe('parseSearchQuery', () => {
+  test('words are ANDed, OR binds looser, NOT and - negate', () => {
+    assert.deepEqual(parseSearchQuery('login OR auth -oauth'), {
+      type: 'or',
+      children: [
+        { type: 'term', term: 'login' },
+        { type: 'and', children: [{ type: 'term', term: 'auth' }, { type: 'not', child: { type: 'term', term: 'oauth' } }] },
+      ],
+    });
+  });
+
+  test('quotes and hyphenated words become phrases', () => {
+    assert.deepEqual(parseSearchQuery('"Login Flow"'), { type: 'phrase', terms: ['login', 'flow'] });
+    assert.deepEqual(parseSearchQuery('sign-in'), { type: 'phrase', terms: ['sign', 'in'] });
+  });
+
+  test('rejects queries with nothing to find', () => {
+    assert.throws(() => parseSearchQuery('NOT draft'), /at least one word/);
+    assert.throws(() => parseSearchQuery('(a OR b'), /Unbalanced/);
+  });
+});
+
+describe('SearchIndex', () => {
+  const index = new SearchIndex();
+  index.add('auth.md', '# Login flow\nThe login flow redirects to the auth server.\nLogin again after timeout.');
+  index.add('notes.md', 'flow of the login page, mentioned once');
+  index.add('oauth.md', 'OAuth login with tokens');
+  index.add('readme.md', 'Project overview');
+
+  const paths = (query) => index.search(query).map(result => result.path);
+
+  test('ranks files with more occurrences higher', () => {
+    assert.deepEqual(paths('login'), ['auth.md', 'oauth.md', 'notes.md']);
+  });
+
+  test('phrases need the words adjacent and in order', () => {
+    assert.deepEqual(paths('"login flow"'), ['auth.md']);
+  });
+
+  test('boolean operators', () => {
+    assert.deepEqual(paths('login -oauth -page'), ['auth.md']);
+    assert.deepEqual(paths('tokens OR overview').sort(), ['oauth.md', 'readme.md']);
+    assert.deepEqual(paths('login NOT (tokens OR page)'), ['auth.md']);
+  });
+
+  test('re-adding a file replaces its content; removing drops it', () => {
+    const local = new SearchIndex();
+    local.add('a.md', 'alpha beta', 'h1');
+    local.add('a.md', 'gamma', 'h2');
+    assert.equal(local.has('a.md', 'h2'), true);
+    assert.deepEqual(local.search('alpha'), []);
+    local.remove('a.md');
+    assert.equal(local.size, 0);
+    assert.equal(local.postings.size, 0);
+  });
+});
+
+describe('findSnippets', () => {
+  test('returns numbered lines, preferring lines with more query terms', () => {
+    const content = 'intro\nthe login page\nlogin flow starts here\nflow chart\nlogin again';
+    assert.deepEqual(findSnippets(content, 'login flow', 2), [
+      { line: 2, text: 'the login page' },
+      { line: 3, text: 'login flow starts here' },
+    ]);
+  });
+
+  test('negated terms are not highlighted', () => {
+    assert.deepEqual(findSnippets('a draft\nthe plan', 'plan -draft'), [{ line: 2, text: 'the plan' }]);
+  });
+});
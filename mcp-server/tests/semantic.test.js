@@ -0,0 +1,62 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkText, termsOf, trainModel, SemanticIndex } from '../lib/semantic.js';
+
+describe('chunkText', () => {
+  test('splits at headings once a chunk has a body, keeping line numbers', () => {
+    const body = Array.from({ length: 60 }, () => 'word').join(' ');
+    const chunks = chunkText(`\n# One\n${body}\n\n# Two\nshort`, 100);
+    assert.deepEqual(chunks.map(({ startLine, endLine }) => [startLine, endLine]), [[2, 3], [5, 6]]);
+  });
+
+  test('splits long text by size', () => {
+    const line = Array.from({ length: 40 }, () => 'word').join(' ');
+    assert.equal(chunkText([line, line, line].join('\n'), 100).length, 2);
+  });
+});
+
+describe('termsOf', () => {
+  test('drops stop words and numbers and strips plural endings', () => {
+    assert.deepEqual(termsOf('The tokens are refreshed 2 times'), ['token', 'refresh', 'time']);
+  });
+});
+
+describe('semantic search', () => {
+  // "login" and "authentication" never meet in the query's target, only elsewhere
+  const corpus = new Map(Object.entries({
+    'docs/LOGIN.md': 'The login sequence asks for a password and then issues a session cookie.',
+    'docs/auth-overview.md': 'Authentication is handled by the login service. Authentication flow and login share one password check.',
+    'docs/security.md': 'Authentication flow: every login is checked against the password store.',
+    'docs/billing.md': 'Invoices are generated monthly and emailed to the customer with the payment summary.',
+    'docs/payments.md': 'Payment failures retry the invoice charge three times before the customer is notified.',
+    'docs/deploy.md': 'Deploy the container image to the cluster and roll back if health checks fail.',
+  }).map(([filePath, content]) => [filePath, { content, hash: filePath }]));
+
+  const index = new SemanticIndex();
+  index.retrain(corpus, { dimensions: 3 });
+
+  test('finds related wording that shares no query words', () => {
+    const results = index.search('authentication flow', { limit: 10 });
+    assert.deepEqual(results.slice(0, 3).map(result => result.path).sort(), ['docs/LOGIN.md', 'docs/auth-overview.md', 'docs/security.md']);
+    assert.equal(results.find(result => result.path === 'docs/LOGIN.md').matches[0].startLine, 1);
+  });
+
+  test('unknown words give no results', () => {
+    assert.deepEqual(index.search('zebra'), []);
+  });
+
+  test('survives a JSON round trip', () => {
+    const copy = SemanticIndex.fromJSON(JSON.parse(JSON.stringify(index.toJSON())));
+    assert.deepEqual(
+      copy.search('invoice payment').map(result => result.path),
+      index.search('invoice payment').map(result => result.path),
+    );
+    assert.equal(SemanticIndex.fromJSON({ version: 0 }), null);
+  });
+
+  test('training is deterministic', () => {
+    const model = trainModel(['alpha beta', 'beta gamma', 'gamma delta'], { dimensions: 2 });
+    const again = trainModel(['alpha beta', 'beta gamma', 'gamma delta'], { dimensions: 2 });
+    assert.deepEqual(model.embed('alpha'), again.embed('alpha'));
+  });
+});
@@ -0,0 +1,121 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { TimeponServer } from '../index.js';
+import { Scanner } from '../lib/scanner.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Poll until check() returns something truthy (the watcher reports asynchronously)
+const waitFor = async (check, timeoutMs = 5000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const result = await check();
+    if (result) {
+      return result;
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error('Timed out waiting for the watcher');
+};
+
+describe('MCP server', () => {
+  const stabilityThreshold = Scanner.WATCH_STABILITY_THRESHOLD;
+  let root;
+  let server;
+  let client;
+
+  const callText = async (name, args = {}) => (await client.callTool({ name, arguments: args })).content[0].text;
+  const callJson = async (name, args = {}) => JSON.parse(await callText(name, args));
+
+  before(async () => {
+    Scanner.WATCH_STABILITY_THRESHOLD = 50;
+
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'timepon-server-'));
+    await fs.mkdir(path.join(root, 'src'));
+    await fs.writeFile(path.join(root, 'README.md'), '# Billing\n\nSends invoices every month.\n');
+    await fs.writeFile(path.join(root, 'src/invoice.js'), '// Builds invoice PDFs\nexport function render() {}\n');
+
+    // Same as run(), over an in-memory transport instead of stdio
+    server = new TimeponServer(root);
+    await server.timepon.start();
+    await server.timepon.scanner.initialScanDone;
+
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await server.server.connect(serverTransport);
+    client = new Client({ name: 'timepon-tests', version: '1.0.0' });
+    await client.connect(clientTransport);
+  });
+
+  after(async () => {
+    await client.close();
+    await server.timepon.stop();
+    await fs.rm(root, { recursive: true, force: true });
+    Scanner.WATCH_STABILITY_THRESHOLD = stabilityThreshold;
+  });
+
+  test('lists every tool with an input schema', async () => {
+    const { tools } = await client.listTools();
+    const names = tools.map(tool => tool.name);
+
+    for (const name of ['get_all_files', 'search_content', 'query_files', 'tag_file', 'generate_report', 'refresh_metadata']) {
+      assert.ok(names.includes(name), `${name} is listed`);
+    }
+    assert.equal(new Set(names).size, names.length);
+    assert.ok(tools.every(tool => tool.inputSchema?.type === 'object' && tool.description));
+  });
+
+  test('queries return the scanned files', async () => {
+    const all = await callJson('get_all_files');
+    assert.deepEqual(all.files.map(file => file.path).sort(), ['.tponignore', 'README.md', 'src/invoice.js']);
+
+    const code = await callJson('get_files_by_tag', { tag: 'code' });
+    assert.deepEqual(code.files.map(file => file.path), ['src/invoice.js']);
+
+    const search = await callJson('search_content', { query: 'invoices OR invoice' });
+    assert.deepEqual(search.results.map(result => result.path).sort(), ['README.md', 'src/invoice.js']);
+    assert.ok(search.results.every(result => result.matches.length > 0));
+  });
+
+  test('invalid arguments come back as an error message', async () => {
+    assert.match(await callText('get_files_by_tag', {}), /^Error in get_files_by_tag: Tag parameter must be a non-empty string/);
+    assert.match(await callText('generate_report', { format: 'xml' }), /^Error in generate_report: format must be markdown or json/);
+    assert.match(await callText('no_such_tool'), /^Error in no_such_tool: Unknown tool/);
+  });
+
+  test('hand-set tags are written to _timepon.yaml', async () => {
+    const tagged = await callJson('tag_file', { paths: ['README.md'], tags: ['reviewed'] });
+    assert.ok(tagged.files[0].tags.includes('reviewed'));
+
+    await server.timepon.store.save();
+    const yaml = await fs.readFile(path.join(root, '_timepon.yaml'), 'utf-8');
+    assert.match(yaml, /tags: \[md, docs, reviewed\] # ✍ \+reviewed/);
+  });
+
+  test('files written while the server runs are tracked', async () => {
+    await fs.writeFile(path.join(root, 'src/tax.js'), '// Computes VAT for invoices\nexport const rate = 0.2;\n');
+
+    const tracked = await waitFor(async () => (await callJson('search_files', { query: 'tax' })).files.find(file => file.path === 'src/tax.js'));
+    assert.equal(tracked.summary, 'Computes VAT for invoices');
+
+    const history = await callJson('get_file_history', { path: 'src/tax.js' });
+    assert.deepEqual(history.events.map(event => event.type), ['created']);
+  });
+
+  test('relative times follow the clock', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+
+    assert.equal((await callJson('get_recent_files', { hours: 24 })).count, 4);
+    t.mock.timers.tick(3 * DAY);
+    assert.equal((await callJson('get_recent_files', { hours: 24 })).count, 0);
+    assert.equal((await callJson('get_recent_files', { hours: 96 })).count, 4);
+
+    await server.timepon.store.save();
+    const yaml = await fs.readFile(path.join(root, '_timepon.yaml'), 'utf-8');
+    assert.match(yaml, /# \S+ README\.md {2}>> 3d ago <</);
+  });
+});
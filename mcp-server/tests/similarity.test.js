@@ -0,0 +1,80 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenize, shingleSet, jaccard, containment, clusterBySimilarity, groupDuplicates } from '../lib/similarity.js';
+
+const SETUP = 'Install Node.js, then run npm install in the mcp-server folder and restart Cursor to load the server.';
+
+describe('shingles', () => {
+  test('tokenize lowercases and drops punctuation and markup', () => {
+    assert.deepEqual(tokenize('# Quick-Start: **Run** it!'), ['quick', 'start', 'run', 'it']);
+  });
+
+  test('formatting differences do not change the shingle set', () => {
+    assert.deepEqual(shingleSet('## Hello, World — again'), shingleSet('hello world\nAGAIN'));
+  });
+
+  test('texts shorter than a shingle still produce one', () => {
+    assert.equal(shingleSet('hi there').size, 1);
+    assert.equal(shingleSet('').size, 0);
+  });
+});
+
+describe('similarity', () => {
+  test('jaccard is 1 for identical text and 0 for unrelated text', () => {
+    assert.equal(jaccard(shingleSet(SETUP), shingleSet(SETUP)), 1);
+    assert.equal(jaccard(shingleSet(SETUP), shingleSet('A completely different note about database schemas.')), 0);
+  });
+
+  test('containment is 1 when one text is inside another', () => {
+    const longer = shingleSet(`${SETUP} Afterwards open the output panel to check the logs for errors.`);
+    assert.equal(containment(shingleSet(SETUP), longer), 1);
+    assert.ok(jaccard(shingleSet(SETUP), longer) < 1);
+  });
+});
+
+describe('clusterBySimilarity', () => {
+  const item = (id, text) => ({ id, shingles: shingleSet(text) });
+
+  test('groups transitively similar texts and leaves unrelated ones out', () => {
+    const clusters = clusterBySimilarity([
+      item('SETUP.md', SETUP),
+      item('QUICK_START.md', `${SETUP} That is all.`),
+      item('WORKSPACE_CONFIG.md', `${SETUP} That is all. Enjoy.`),
+      item('SCHEMA.md', 'The users table has an id, an email and a created_at timestamp column.'),
+    ], 0.6);
+
+    assert.equal(clusters.length, 1);
+    assert.deepEqual(clusters[0].ids, ['SETUP.md', 'QUICK_START.md', 'WORKSPACE_CONFIG.md']);
+    assert.ok(clusters[0].pairs.every(pair => pair.similarity >= 0.6));
+    assert.equal(clusters[0].similarity, clusters[0].pairs[0].similarity);
+  });
+
+  test('returns nothing when no pair reaches the threshold', () => {
+    assert.deepEqual(clusterBySimilarity([item('a', 'one two three four'), item('b', 'five six seven eight')], 0.5), []);
+  });
+});
+
+describe('groupDuplicates', () => {
+  test('groups identical files by hash and reads each distinct content once', async () => {
+    const contents = { h1: SETUP, h2: `${SETUP} That is all.`, h3: 'Unrelated notes about the billing schema.' };
+    const reads = [];
+    const { exact, nearDuplicates } = await groupDuplicates([
+      { path: 'b/SETUP.md', hash: 'h1', size: 10 },
+      { path: 'a/SETUP.md', hash: 'h1', size: 10 },
+      { path: 'QUICK_START.md', hash: 'h2', size: 12 },
+      { path: 'NOTES.md', hash: 'h3', size: 5 },
+    ], {
+      minSimilarity: 0.6,
+      readContent: async (filePath) => {
+        reads.push(filePath);
+        return { 'b/SETUP.md': contents.h1, 'QUICK_START.md': contents.h2, 'NOTES.md': contents.h3 }[filePath];
+      },
+    });
+
+    assert.deepEqual(reads, ['b/SETUP.md', 'QUICK_START.md', 'NOTES.md']);
+    assert.deepEqual(exact, [{ contentHash: 'h1', size: 10, files: ['a/SETUP.md', 'b/SETUP.md'] }]);
+    assert.equal(nearDuplicates.length, 1);
+    assert.deepEqual(nearDuplicates[0].files, ['QUICK_START.md', 'a/SETUP.md', 'b/SETUP.md']);
+    assert.deepEqual(nearDuplicates[0].pairs.map(({ a, b }) => [a, b]), [['a/SETUP.md', 'QUICK_START.md']]);
+  });
+});
@@ -0,0 +1,99 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createSnapshot, diffSnapshots, SnapshotStore } from '../lib/snapshots.js';
+
+const entry = (hash, summary, tags, extra = {}) => ({ created: '2026-01-01T00:00:00Z', contentHash: hash, summary, tags, ...extra });
+
+describe('createSnapshot', () => {
+  test('keeps live files only, with a fingerprint of their state', () => {
+    const files = {
+      'b.md': entry('h2', 'B', ['md']),
+      'a.md': entry('h1', 'A', ['md']),
+      'gone.md': entry('h3', 'Gone', ['md'], { deleted: '2026-01-02T00:00:00Z' }),
+      'old.md': entry('h4', 'Old', ['md'], { archived: '2026-01-02T00:00:00Z' }),
+    };
+    const snapshot = createSnapshot(files, { at: new Date('2026-01-18T10:30:00.123Z'), label: 'before' });
+    assert.equal(snapshot.id, '20260118-103000');
+    assert.equal(snapshot.label, 'before');
+    assert.deepEqual(Object.keys(snapshot.files), ['a.md', 'b.md']);
+    assert.equal(createSnapshot({ 'a.md': files['a.md'], 'b.md': files['b.md'] }).fingerprint, snapshot.fingerprint);
+  });
+});
+
+describe('diffSnapshots', () => {
+  const before = createSnapshot({
+    'README.md': entry('r1', 'Readme', ['md', 'docs']),
+    'NOTES.md': entry('n1', 'Notes', ['md']),
+    'draft.md': entry('d1', 'Draft', ['md']),
+    'src/old.js': entry('o1', 'Old module', ['js']),
+  });
+  const after = createSnapshot({
+    'README.md': entry('r2', 'Project readme', ['md', 'docs', 'api']),
+    'docs/NOTES.md': entry('n2', 'Notes', ['md'], { previousPaths: ['NOTES.md'] }),
+    'src/new.js': entry('o1', 'Old module', ['js']),
+    'SETUP.md': entry('s1', 'Setup', ['md']),
+  });
+  const diff = diffSnapshots(before, after);
+
+  test('pairs moves by recorded previous paths or identical content', () => {
+    assert.deepEqual(diff.renamed, [{ from: 'NOTES.md', to: 'docs/NOTES.md' }, { from: 'src/old.js', to: 'src/new.js' }]);
+  });
+
+  test('reports what was added and removed', () => {
+    assert.deepEqual(diff.added, [{ path: 'SETUP.md', summary: 'Setup', tags: ['md'] }]);
+    assert.deepEqual(diff.removed, [{ path: 'draft.md', summary: 'Draft' }]);
+  });
+
+  test('reports content, tag and summary changes, following renames', () => {
+    assert.deepEqual(diff.modified, ['README.md', 'docs/NOTES.md']);
+    assert.deepEqual(diff.retagged, [{ path: 'README.md', added: ['api'], removed: [] }]);
+    assert.deepEqual(diff.resummarized, [{ path: 'README.md', from: 'Readme', to: 'Project readme' }]);
+    assert.deepEqual(diff.counts, { added: 1, removed: 1, renamed: 2, modified: 2, retagged: 1, resummarized: 1 });
+  });
+});
+
+describe('SnapshotStore', () => {
+  test('saves, finds by time and prunes only automatic snapshots', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'timepon-snapshots-'));
+    try {
+      const store = new SnapshotStore(directory);
+      const take = (at, options) => store.save(createSnapshot({ 'a.md': entry(at, 'A', ['md']) }, { at: new Date(at), ...options }), { keep: 2 });
+
+      await take('2026-01-01T00:00:00Z', { label: 'manual' });
+      await take('2026-01-01T01:00:00Z', { automatic: true });
+      await take('2026-01-01T02:00:00Z', { automatic: true });
+      const last = await take('2026-01-01T02:00:00Z', { automatic: true });
+
+      assert.equal(last.id, '20260101-020000-2');
+      assert.deepEqual((await store.list()).map(snapshot => snapshot.id), ['20260101-000000', '20260101-020000', '20260101-020000-2']);
+      assert.equal((await store.findAt(new Date('2026-01-01T01:30:00Z').getTime())).id, '20260101-000000');
+      assert.equal(await store.findAt(new Date('2025-12-31T00:00:00Z').getTime()), null);
+      assert.equal(await store.load('../index'), null);
+    } finally {
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('concurrent saves from separate stores all land in the index', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'timepon-snapshots-'));
+    try {
+      // A server and a CLI run each open their own store on the same directory
+      const stores = [new SnapshotStore(directory), new SnapshotStore(directory), new SnapshotStore(directory)];
+      const at = new Date('2026-01-01T00:00:00Z');
+      const saved = await Promise.all(stores.map((store, i) => store.save(createSnapshot({ 'a.md': entry(`h${i}`, 'A', ['md']) }, { at }))));
+
+      const ids = ['20260101-000000', '20260101-000000-2', '20260101-000000-3'];
+      assert.deepEqual(saved.map(snapshot => snapshot.id).sort(), ids);
+      assert.deepEqual((await stores[0].list()).map(snapshot => snapshot.id).sort(), ids);
+      for (const id of ids) {
+        assert.ok(await stores[0].load(id));
+      }
+      assert.deepEqual((await fs.readdir(directory)).sort(), [...ids.map(id => `${id}.json`), 'index.json'].sort());
+    } finally {
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,281 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { MetadataStore, parseMetadata, toStoreKey, isLiveEntry, SCHEMA_VERSION } from '../lib/store.js';
+import { renderMetadata } from '../lib/render.js';
+
+// Run fn with the path of a _timepon.yaml in a fresh temporary folder
+const withTempStore = async (fn) => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'timepon-store-'));
+  try {
+    await fn(path.join(directory, '_timepon.yaml'));
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+};
+
+describe('toStoreKey and isLiveEntry', () => {
+  test('store keys use forward slashes without empty segments', () => {
+    assert.equal(toStoreKey('docs\\api\\README.md'), 'docs/api/README.md');
+    assert.equal(toStoreKey('/src//app.js'), 'src/app.js');
+  });
+
+  test('deleted and archived entries are not live', () => {
+    assert.equal(isLiveEntry({ created: '2026-01-01T00:00:00Z' }), true);
+    assert.equal(isLiveEntry({ deleted: '2026-01-02T00:00:00Z' }), false);
+    assert.equal(isLiveEntry({ archived: '2026-01-02T00:00:00Z' }), false);
+  });
+});
+
+describe('parseMetadata', () => {
+  test('reads what renderMetadata writes, dropping the derived header', () => {
+    const metadata = {
+      sessions: { s1: { label: 'Refactor' } },
+      files: {
+        'README.md': { created: '2026-01-10T09:00:00.000Z', summary: 'Project readme', tags: ['md', 'docs'] },
+        'src/app.js': { created: '2026-01-11T09:00:00.000Z', summary: 'App', tags: ['js', 'code'], deleted: '2026-01-12T09:00:00.000Z' },
+      },
+    };
+    const content = renderMetadata(metadata, { workspaceRoot: '/work', now: new Date('2026-01-18T12:00:00Z') });
+    const parsed = parseMetadata(content);
+
+    assert.equal(parsed.migratedFrom, null);
+    assert.deepEqual(parsed.metadata, metadata);
+    assert.match(content, new RegExp(`^schemaVersion: ${SCHEMA_VERSION}$`, 'm'));
+  });
+
+  test('rejects newer schema versions and files without a files map', () => {
+    assert.throws(() => parseMetadata(`schemaVersion: ${SCHEMA_VERSION + 1}\nfiles: {}\n`), /Unsupported schema version/);
+    assert.throws(() => parseMetadata(`schemaVersion: ${SCHEMA_VERSION}\n`), /missing files map/);
+  });
+});
+
+const LEGACY_TREE = `================================================================================
+  TIMEPON FILE TRACKING
+  /work
+================================================================================
+  Last Updated:     Sunday, 18 January 2026 at 10:30:00
+  Files Tracked:    2
+================================================================================
+
+workspace: /work
+lastUpdated: '2026-01-18T10:30:00.000Z'
+totalFiles: 2
+
+files:
+
+  # === 🏠 Root
+  Root:
+    # 📝 README.md
+    README.md:
+      created: 2026-01-10T08:00:00.000Z >>(1w ago)<<
+      summary: Project: overview and setup
+      tags: [md, docs]
+
+    # === 📁 docs
+    docs:
+      # === 📁 api
+      api:
+        # 📄 API.md
+        API.md:
+          created: 18 Jan 2026 09:30 >>(2h ago)<<
+          summary: API Documentation
+          tags: [md, docs, api]
+
+================================================================================
+  End of Timepon tracking data
+================================================================================
+`;
+
+const LEGACY_FLAT = `workspace: /work
+lastUpdated: '2026-01-18T10:30:00.000Z'
+files:
+  docs\\notes.md:
+    created: '2026-01-05T12:00:00.000Z'
+    summary: Notes
+    tags: [md]
+  src:
+    tags: [folder]
+`;
+
+describe('parseMetadata with legacy formats', () => {
+  test('imports the pretty tree with nested paths and ISO dates', () => {
+    const { metadata, migratedFrom } = parseMetadata(LEGACY_TREE);
+
+    assert.equal(migratedFrom, 'tree');
+    assert.deepEqual(metadata.files, {
+      'README.md': { created: '2026-01-10T08:00:00.000Z', summary: 'Project: overview and setup', tags: ['md', 'docs'] },
+      // Legacy dates were written in local time
+      'docs/api/API.md': { created: new Date(2026, 0, 18, 9, 30).toISOString(), summary: 'API Documentation', tags: ['md', 'docs', 'api'] },
+    });
+  });
+
+  test('imports the original flat format, keeping only file entries', () => {
+    const { metadata, migratedFrom } = parseMetadata(LEGACY_FLAT);
+
+    assert.equal(migratedFrom, 'flat');
+    assert.deepEqual(metadata.files, {
+      'docs/notes.md': { created: '2026-01-05T12:00:00.000Z', summary: 'Notes', tags: ['md'] },
+    });
+  });
+});
+
+describe('MetadataStore', () => {
+  test('a missing file loads as an empty store', () => withTempStore(async (filePath) => {
+    const store = new MetadataStore(filePath);
+    assert.deepEqual(await store.load(), { exists: false, migratedFrom: null });
+    assert.deepEqual(store.files, {});
+  }));
+
+  test('saves and loads back the same metadata', () => withTempStore(async (filePath) => {
+    const store = new MetadataStore(filePath);
+    await store.load();
+    store.files['notes.md'] = { created: '2026-01-10T09:00:00.000Z', summary: 'Notes', tags: ['md'] };
+    assert.equal(await store.save(), true);
+
+    const reloaded = new MetadataStore(filePath);
+    assert.deepEqual(await reloaded.load(), { exists: true, migratedFrom: null });
+    assert.deepEqual(reloaded.files, store.files);
+    await assert.rejects(fs.stat(`${filePath}.writing`), { code: 'ENOENT' });
+  }));
+
+  test('merges entries written by another process with local changes', () => withTempStore(async (filePath) => {
+    const first = new MetadataStore(filePath);
+    await first.load();
+    first.files['a.md'] = { created: '2026-01-10T09:00:00.000Z', summary: 'A', tags: ['md'] };
+    first.files['b.md'] = { created: '2026-01-10T09:00:00.000Z', summary: 'B', tags: ['md'] };
+    await first.save();
+
+    const second = new MetadataStore(filePath);
+    await second.load();
+    second.files['c.md'] = { created: '2026-01-11T09:00:00.000Z', summary: 'C', tags: ['md'] };
+    second.files['a.md'].summary = 'A, edited elsewhere';
+    await second.save();
+
+    first.files['b.md'].summary = 'B, edited here';
+    await first.merge();
+
+    assert.deepEqual(Object.keys(first.files).sort(), ['a.md', 'b.md', 'c.md']);
+    assert.equal(first.files['a.md'].summary, 'A, edited elsewhere');
+    assert.equal(first.files['b.md'].summary, 'B, edited here');
+  }));
+
+  test('a corrupt file is backed up and replaced by an empty store', () => withTempStore(async (filePath) => {
+    await fs.writeFile(filePath, `schemaVersion: ${SCHEMA_VERSION}\nfiles: [unclosed\n`);
+
+    const store = new MetadataStore(filePath);
+    assert.deepEqual(await store.load(), { exists: false, migratedFrom: null });
+    assert.deepEqual(store.files, {});
+
+    const backups = (await fs.readdir(path.dirname(filePath))).filter(name => name.startsWith('_timepon.yaml.backup.'));
+    assert.equal(backups.length, 1);
+  }));
+
+  test('the first load of a legacy file backs it up and rewrites it in the current schema', () => withTempStore(async (filePath) => {
+    await fs.writeFile(filePath, LEGACY_TREE);
+
+    const store = new MetadataStore(filePath);
+    assert.deepEqual(await store.load(), { exists: true, migratedFrom: 'tree' });
+
+    const rewritten = await fs.readFile(filePath, 'utf-8');
+    assert.match(rewritten, new RegExp(`^schemaVersion: ${SCHEMA_VERSION}$`, 'm'));
+    assert.deepEqual(parseMetadata(rewritten), { metadata: store.metadata, migratedFrom: null });
+
+    const backups = (await fs.readdir(path.dirname(filePath))).filter(name => name.startsWith('_timepon.yaml.backup.'));
+    assert.equal(backups.length, 1);
+    assert.equal(await fs.readFile(path.join(path.dirname(filePath), backups[0]), 'utf-8'), LEGACY_TREE);
+
+    assert.deepEqual(await new MetadataStore(filePath).load(), { exists: true, migratedFrom: null });
+  }));
+});
+
+describe('MetadataStore saves', () => {
+  // A store whose writes are counted instead of hitting the disk
+  const countingStore = (t) => {
+    const store = new MetadataStore(path.join(os.tmpdir(), 'timepon-unused', '_timepon.yaml'));
+    const write = t.mock.method(store, 'write', async () => true);
+    return { store, writes: () => write.mock.callCount() };
+  };
+
+  test('a burst of changes is written once, after a quiet period', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.parse('2026-01-10T09:00:00Z') });
+    const { store, writes } = countingStore(t);
+
+    for (let i = 0; i < 3; i++) {
+      store.scheduleSave();
+      t.mock.timers.tick(MetadataStore.SAVE_DEBOUNCE / 2);
+    }
+    assert.equal(writes(), 0);
+
+    t.mock.timers.tick(MetadataStore.SAVE_DEBOUNCE / 2);
+    assert.equal(writes(), 1);
+  });
+
+  test('continuous changes are still written after the maximum wait', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.parse('2026-01-10T09:00:00Z') });
+    const { store, writes } = countingStore(t);
+    const interval = MetadataStore.SAVE_DEBOUNCE - 100;
+
+    for (let elapsed = 0; elapsed + interval < MetadataStore.SAVE_MAX_WAIT; elapsed += interval) {
+      store.scheduleSave();
+      t.mock.timers.tick(interval);
+    }
+    store.scheduleSave();
+    assert.equal(writes(), 0);
+
+    t.mock.timers.tick(MetadataStore.SAVE_MAX_WAIT % interval);
+    assert.equal(writes(), 1);
+  });
+
+  test('saves requested during a write share one follow-up write', async (t) => {
+    const { store, writes } = countingStore(t);
+    let finishFirst;
+    store.write.mock.mockImplementationOnce(() => new Promise(resolve => {
+      finishFirst = resolve;
+    }));
+
+    const first = store.save();
+    const followUps = [store.save(), store.save()];
+    assert.equal(writes(), 1);
+
+    finishFirst(true);
+    assert.deepEqual(await Promise.all([first, ...followUps]), [true, true, true]);
+    assert.equal(writes(), 2);
+    assert.equal(store.saveInFlight, null);
+  });
+
+  test('writes a temp file and renames it over the original', (t) => withTempStore(async (filePath) => {
+    const store = new MetadataStore(filePath);
+    await store.load();
+    store.files['a.md'] = { created: '2026-01-10T09:00:00.000Z', summary: 'A', tags: ['md'] };
+    await store.save();
+    const saved = await fs.readFile(filePath, 'utf-8');
+
+    // A failed rename leaves the previous file whole and no temp file behind
+    const renames = [];
+    const rename = t.mock.method(fs, 'rename', async (from, to) => {
+      renames.push([path.basename(from), path.basename(to), await fs.readFile(from, 'utf-8')]);
+      throw Object.assign(new Error('disk full'), { code: 'ENOSPC' });
+    });
+    const retries = MetadataStore.SAVE_RETRY_MAX;
+    MetadataStore.SAVE_RETRY_MAX = 0;
+    try {
+      store.files['b.md'] = { created: '2026-01-11T09:00:00.000Z', summary: 'B', tags: ['md'] };
+      assert.equal(await store.save(), false);
+    } finally {
+      rename.mock.restore();
+      MetadataStore.SAVE_RETRY_MAX = retries;
+    }
+
+    assert.deepEqual(renames.map(([from, to]) => [from, to]), [[`_timepon.yaml.tmp-${process.pid}`, '_timepon.yaml']]);
+    assert.match(renames[0][2], /b\.md/);
+    assert.equal(await fs.readFile(filePath, 'utf-8'), saved);
+    assert.deepEqual(await fs.readdir(path.dirname(filePath)), ['_timepon.yaml']);
+
+    // The change is kept for the next save
+    assert.equal(await store.save(), true);
+    assert.equal(parseMetadata(await fs.readFile(filePath, 'utf-8')).metadata.files['b.md'].summary, 'B');
+  }));
+});
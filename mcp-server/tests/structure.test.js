@@ -0,0 +1,81 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractStructure } from '../lib/structure.js';
+
+describe('markdown structure', () => {
+  const doc = [
+    '---',
+    'title: Setup Guide',
+    'status: draft',
+    '---',
+    '# Setup',
+    'Read [the API docs](docs/API.md) and <https://example.com/a>.',
+    '![diagram](img/flow.png)',
+    '## Steps',
+    '- [x] Install Node',
+    '- [ ] Configure Cursor',
+    '1. [ ] Restart',
+    '```bash',
+    '# not a heading',
+    '- [ ] not a task',
+    '```',
+    '#### Too deep for the outline',
+    'See https://github.com/org/repo.',
+  ].join('\n');
+
+  test('reads front matter, outline, tasks and links', () => {
+    const structure = extractStructure(doc, 'SETUP.md');
+    assert.deepEqual(structure.frontMatter, { title: 'Setup Guide', status: 'draft' });
+    assert.deepEqual(structure.outline, ['# Setup', '## Steps']);
+    assert.deepEqual(structure.tasks, { open: 2, done: 1 });
+    assert.deepEqual(structure.links, ['docs/API.md', 'https://example.com/a', 'https://github.com/org/repo']);
+  });
+
+  test('counts words outside front matter and code fences', () => {
+    assert.equal(extractStructure('# Hello world\n\n```\nignored code here\n```\nThree more words', 'a.md').words, 5);
+  });
+
+  test('omits tasks, links and outline when there are none', () => {
+    assert.deepEqual(extractStructure('just text', 'a.md'), { words: 2 });
+  });
+});
+
+describe('data file structure', () => {
+  test('detects an npm manifest', () => {
+    const structure = extractStructure('{"name": "app", "version": "1.2.0", "scripts": {}}', 'package.json');
+    assert.deepEqual(structure, { kind: 'npm-manifest', package: 'app@1.2.0', keys: ['name', 'version', 'scripts'] });
+  });
+
+  test('detects an MCP config', () => {
+    const structure = extractStructure('{"mcpServers": {"timepon": {"command": "node"}}}', '.cursor/mcp.json');
+    assert.equal(structure.kind, 'mcp-config');
+    assert.deepEqual(structure.servers, ['timepon']);
+  });
+
+  test('detects a GitHub Actions workflow and lists its jobs', () => {
+    const structure = extractStructure('on: push\njobs:\n  build: {}\n  test: {}\n', '.github/workflows/ci.yml');
+    assert.equal(structure.kind, 'ci-workflow');
+    assert.deepEqual(structure.jobs, ['build', 'test']);
+  });
+
+  test('detects an OpenAPI spec', () => {
+    const structure = extractStructure('openapi: 3.1.0\ninfo:\n  title: Billing API\npaths: {}\n', 'api/openapi.yaml');
+    assert.equal(structure.kind, 'openapi-spec');
+    assert.equal(structure.specVersion, '3.1.0');
+    assert.equal(structure.title, 'Billing API');
+  });
+
+  test('accepts JSON with comments and trailing commas', () => {
+    const structure = extractStructure('{\n  // options\n  "compilerOptions": { "outDir": "dist//x", },\n}\n', 'tsconfig.json');
+    assert.deepEqual(structure, { kind: 'tsconfig', keys: ['compilerOptions'] });
+  });
+
+  test('plain data files only get their keys; invalid ones a parse error', () => {
+    assert.deepEqual(extractStructure('a: 1\nb: 2\n', 'settings.yml'), { keys: ['a', 'b'] });
+    assert.ok(extractStructure('{"a": ', 'broken.json').parseError);
+  });
+
+  test('other file types have no structure', () => {
+    assert.equal(extractStructure('const a = 1;', 'a.js'), null);
+  });
+});
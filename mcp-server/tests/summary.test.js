@@ -0,0 +1,88 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { summarize, registerSummaryExtractor, leadingComments } from '../lib/summary.js';
+
+describe('leadingComments', () => {
+  test('groups consecutive line comments and strips block markers', () => {
+    const blocks = leadingComments('#!/usr/bin/env node\n// one\n// two\n\n/**\n * three\n */\ncode();');
+    assert.deepEqual(blocks, [['one', 'two'], ['', 'three', '']]);
+  });
+});
+
+describe('summarize', () => {
+  test('markdown uses the first heading', () => {
+    assert.equal(summarize('intro\n## Setup Guide\n', 'SETUP.md'), 'Setup Guide');
+  });
+
+  test('markdown skips front matter, using its title when there is no heading', () => {
+    assert.equal(summarize('---\ntitle: "Release Plan"\n---\nSome text\n', 'PLAN.md'), 'Release Plan');
+    assert.equal(summarize('---\nstatus: draft\n---\nSome text\n', 'PLAN.md'), 'Some text');
+  });
+
+  test('JavaScript skips the shebang, license banner and eslint directives', () => {
+    const content = [
+      '#!/usr/bin/env node',
+      '/*',
+      ' * Copyright (c) 2024 Example Corp. Licensed under MIT.',
+      ' */',
+      '/* eslint-disable no-console */',
+      "'use strict';",
+      '/**',
+      ' * @fileoverview Command line entry point for the exporter',
+      ' */',
+    ].join('\n');
+    assert.equal(summarize(content, 'bin/cli.js'), 'Command line entry point for the exporter');
+  });
+
+  test('JavaScript falls back to the docblock of the first export', () => {
+    const content = "import fs from 'fs';\n\n/**\n * Reads and validates config files.\n * @param {string} file\n */\nexport function loadConfig(file) {}\n";
+    assert.equal(summarize(content, 'config.mjs'), 'Reads and validates config files.');
+  });
+
+  test('TypeScript without comments lists exported symbols', () => {
+    const content = 'export interface User {}\nexport class UserStore {}\nexport async function findUser() {}\nconst local = 1;\n';
+    assert.equal(summarize(content, 'users.ts'), 'Exports User, class UserStore, findUser()');
+  });
+
+  test('CommonJS exports are listed too', () => {
+    assert.equal(summarize('const a = 1;\nmodule.exports = { parse, format: fmt };\n', 'lib.cjs'), 'Exports parse, format');
+  });
+
+  test('Python uses the module docstring after shebang and encoding lines', () => {
+    const content = '#!/usr/bin/env python3\n# -*- coding: utf-8 -*-\n"""Sync invoices from the billing API.\n\nMore detail.\n"""\nimport os\n';
+    assert.equal(summarize(content, 'sync.py'), 'Sync invoices from the billing API.');
+  });
+
+  test('Python without a docstring lists public classes and functions', () => {
+    assert.equal(summarize('import os\n\nclass Client:\n    pass\n\ndef _private():\n    pass\n\ndef run():\n    pass\n', 'client.py'), 'Defines class Client, run()');
+  });
+
+  test('Go uses the package comment, not the license or build tags', () => {
+    const content = '// Copyright 2024 The Authors. All rights reserved.\n\n//go:build linux\n\n// Package cache implements an LRU cache.\npackage cache\n';
+    assert.equal(summarize(content, 'cache.go'), 'Package cache implements an LRU cache.');
+  });
+
+  test('Go without a package comment lists exported identifiers', () => {
+    assert.equal(summarize('package cache\n\ntype Cache struct{}\n\nfunc New() *Cache { return nil }\nfunc helper() {}\n', 'cache.go'), 'package cache: Cache, New()');
+  });
+
+  test('Java uses the type doc comment after the package and imports', () => {
+    const content = 'package com.example;\n\nimport java.util.List;\n\n/**\n * Schedules report generation.\n */\npublic final class ReportScheduler {}\n';
+    assert.equal(summarize(content, 'ReportScheduler.java'), 'Schedules report generation.');
+  });
+
+  test('summaries are clipped to 80 characters', () => {
+    assert.equal(summarize(`// ${'x'.repeat(120)}\n`, 'long.js').length, 80);
+  });
+
+  test('unknown extensions use the first non-empty line; empty files name their type', () => {
+    assert.equal(summarize('\n\nfirst line\n', 'notes.txt'), 'first line');
+    assert.equal(summarize('', 'empty.js'), '.js file');
+  });
+
+  test('extractors can be registered per extension', () => {
+    registerSummaryExtractor('.sql', content => content.match(/^--\s*(.+)$/m)?.[1] ?? null);
+    assert.equal(summarize('-- Creates the users table\nCREATE TABLE users ();', 'schema.sql'), 'Creates the users table');
+    assert.equal(summarize('CREATE TABLE users ();', 'schema.sql'), 'CREATE TABLE users ();');
+  });
+});
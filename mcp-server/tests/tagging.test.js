@@ -0,0 +1,95 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { TagRules, loadTagRules } from '../lib/tagging.js';
+
+describe('built-in tag rules', () => {
+  const rules = new TagRules();
+
+  test('tag extension, category and content keywords without a cap', () => {
+    const tags = rules.tagsFor('TODO: document the API endpoints and database schema design', 'docs/PLAN.md');
+    assert.deepEqual(tags, ['md', 'docs', 'tasks', 'api', 'data', 'architecture']);
+  });
+
+  test('content keywords only apply to markdown', () => {
+    assert.deepEqual(rules.tagsFor('// TODO call the api', 'src/app.js'), ['js', 'code']);
+  });
+
+  test('files without an extension get no extension tag', () => {
+    assert.deepEqual(rules.tagsFor('node_modules/', '.tponignore'), []);
+  });
+});
+
+describe('custom tag rules', () => {
+  test('conditions combine with AND, list items with OR', () => {
+    const rules = new TagRules([
+      { tag: 'api', paths: ['src/api/**', 'routes/'], extensions: ['ts', 'js'] },
+      { tags: ['test', 'scratch'], names: ['test-*', '*.spec.*'] },
+      { tag: 'secrets', content: ['api[_-]?key', 'BEGIN PRIVATE KEY'] },
+    ]);
+
+    assert.deepEqual(rules.tagsFor('', 'src/api/users.ts'), ['api']);
+    assert.deepEqual(rules.tagsFor('', 'routes/deep/index.js'), ['api']);
+    assert.deepEqual(rules.tagsFor('', 'src/api/README.md'), []);
+    assert.deepEqual(rules.tagsFor('', 'lib/test-utils.js'), ['test', 'scratch']);
+    assert.deepEqual(rules.tagsFor('const API_KEY = 1', 'config.js'), ['secrets']);
+  });
+
+  test('$ext expands to the extension and duplicate tags are dropped', () => {
+    const rules = new TagRules([{ tag: '$ext' }, { tag: 'yml', extensions: ['yml'] }]);
+    assert.deepEqual(rules.tagsFor('', 'ci.yml'), ['yml']);
+  });
+
+  test('invalid rules are reported and skipped', () => {
+    const rules = new TagRules([{ paths: ['a'] }, { tag: 'x', content: '(' }, { tag: 'y', colour: 'red' }, { tag: 'ok' }]);
+    assert.equal(rules.rules.length, 1);
+    assert.equal(rules.errors.length, 3);
+    assert.match(rules.errors[2], /rule 3: unknown key colour/);
+  });
+});
+
+describe('loadTagRules', () => {
+  const withWorkspace = async (files, fn) => {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'timepon-tags-'));
+    try {
+      for (const [name, content] of Object.entries(files)) {
+        await fs.writeFile(path.join(root, name), content);
+      }
+      await fn(root);
+    } finally {
+      await fs.rm(root, { recursive: true, force: true });
+    }
+  };
+
+  test('uses the built-in rules without a rules file', async () => {
+    await withWorkspace({}, async (root) => {
+      const rules = await loadTagRules(root);
+      assert.equal(rules.source, null);
+      assert.deepEqual(rules.tagsFor('', 'a.md'), ['md', 'docs']);
+    });
+  });
+
+  test('adds workspace rules after the built-in ones', async () => {
+    await withWorkspace({ '.tponrules.yaml': 'rules:\n  - tag: ai-generated\n    names: ["*_SUMMARY.md"]\n' }, async (root) => {
+      const rules = await loadTagRules(root);
+      assert.equal(rules.source, '.tponrules.yaml');
+      assert.deepEqual(rules.tagsFor('', 'CHANGES_SUMMARY.md'), ['md', 'docs', 'ai-generated']);
+    });
+  });
+
+  test('use_defaults: false keeps only the workspace rules', async () => {
+    await withWorkspace({ '.tponrules.yaml': 'use_defaults: false\nrules:\n  - tag: doc\n    extensions: [md]\n' }, async (root) => {
+      assert.deepEqual((await loadTagRules(root)).tagsFor('', 'a.md'), ['doc']);
+    });
+  });
+
+  test('falls back to the built-in rules when the file is malformed', async () => {
+    await withWorkspace({ '.tponrules.yaml': 'rules: {not: a list}\n' }, async (root) => {
+      const rules = await loadTagRules(root);
+      assert.deepEqual(rules.tagsFor('', 'a.md'), ['md', 'docs']);
+      assert.match(rules.errors[0], /"rules" must be a list/);
+    });
+  });
+});
@@ -0,0 +1,505 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { Timepon } from '../lib/timepon.js';
+import { Scanner } from '../lib/scanner.js';
+import { WorkspaceLock } from '../lib/lock.js';
+
+// Run fn in a temporary workspace holding the given files, already scanned once
+const withScannedWorkspace = async (files, fn) => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'timepon-workspace-'));
+  try {
+    for (const [relativePath, content] of Object.entries(files)) {
+      await fs.mkdir(path.dirname(path.join(root, relativePath)), { recursive: true });
+      await fs.writeFile(path.join(root, relativePath), content);
+    }
+    await new Timepon(root).scanOnce();
+    await fn(root);
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+};
+
+// Load a scanned workspace the way start() does, without watching it
+const loadWorkspace = async (root) => {
+  const timepon = new Timepon(root);
+  timepon.ignoreMatcher = await timepon.loadIgnoreMatcher();
+  timepon.tagRules = await timepon.loadTagRules();
+  await timepon.loadMetadata();
+  return timepon;
+};
+
+describe('Timepon', () => {
+  const stabilityThreshold = Scanner.WATCH_STABILITY_THRESHOLD;
+
+  // Workspaces are written before they are scanned; no need to wait for writes to settle
+  before(() => {
+    Scanner.WATCH_STABILITY_THRESHOLD = 50;
+  });
+
+  after(() => {
+    Scanner.WATCH_STABILITY_THRESHOLD = stabilityThreshold;
+  });
+
+  test('refreshMetadata marks unreadable files stale and missing ones deleted', () => withScannedWorkspace({
+    'docs/guide.md': '# Guide\n',
+    'gone.md': '# Gone\n',
+    'notes.md': '# Notes\n',
+  }, async (root) => {
+    const timepon = await loadWorkspace(root);
+    try {
+      await timepon.annotateFile('notes.md', { summary: 'Meeting notes' });
+
+      // docs/guide.md can no longer be reached: its folder was replaced by a file
+      await fs.rm(path.join(root, 'docs'), { recursive: true });
+      await fs.writeFile(path.join(root, 'docs'), 'not a folder\n');
+      await fs.rm(path.join(root, 'gone.md'));
+      await fs.writeFile(path.join(root, '.tponrules.yaml'), 'rules:\n  - tag: meetings\n    names: [notes.md]\n');
+
+      assert.deepEqual(await timepon.refreshMetadata(), { updated: 2, retagged: 1, stale: 1, errors: 1, deleted: 1, tagRuleErrors: [] });
+
+      const { files } = timepon.metadata;
+      assert.equal(files['docs/guide.md'].stale, true);
+      assert.match(files['docs/guide.md'].staleReason, /ENOTDIR/);
+      assert.ok(files['gone.md'].deleted);
+      assert.deepEqual(files['notes.md'].tags, ['md', 'docs', 'meetings']);
+      assert.equal(files['notes.md'].summary, 'Meeting notes');
+
+      // Once readable again, the stale flag goes away
+      await fs.rm(path.join(root, 'docs'));
+      await fs.mkdir(path.join(root, 'docs'));
+      await fs.writeFile(path.join(root, 'docs/guide.md'), '# Guide, revised\n');
+
+      const again = await timepon.refreshMetadata();
+      assert.equal(again.stale, 0);
+      assert.equal('stale' in timepon.metadata.files['docs/guide.md'], false);
+      assert.equal(timepon.metadata.files['docs/guide.md'].summary, 'Guide, revised');
+    } finally {
+      await timepon.stop();
+    }
+  }));
+
+  test('annotations, tombstones and sessions survive a save and reload', () => withScannedWorkspace({
+    'README.md': '# Demo\n',
+    'old.md': '# Old\n',
+  }, async (root) => {
+    const timepon = await loadWorkspace(root);
+    const { session_id: sessionId } = await timepon.registerSession({ agent: 'test-agent', prompt_summary: 'Write docs' });
+    await timepon.annotateFile('README.md', { notes: 'Keep short', owner: 'docs team' });
+    await timepon.changeManualTags(['README.md'], ['canonical'], 'add');
+    timepon.metadata.files['old.md'].deleted = '2026-01-18T10:00:00.000Z';
+    await timepon.stop();
+
+    const reloaded = await loadWorkspace(root);
+    assert.deepEqual(reloaded.metadata, timepon.metadata);
+    assert.equal(reloaded.metadata.files['README.md'].annotations.owner, 'docs team');
+    assert.ok(reloaded.metadata.files['README.md'].tags.includes('canonical'));
+    assert.equal(reloaded.metadata.sessions[sessionId].agent, 'test-agent');
+    assert.deepEqual(reloaded.getLiveEntries().map(([relativePath]) => relativePath).sort(), ['.tponignore', 'README.md']);
+  }));
+
+  test('stopping writes a scheduled save right away', () => withScannedWorkspace({ 'a.md': '# A\n' }, async (root) => {
+    const timepon = await loadWorkspace(root);
+    timepon.metadata.files['a.md'].summary = 'A, edited';
+    timepon.store.scheduleSave();
+    await timepon.stop();
+
+    assert.equal(timepon.store.saveTimer, null);
+    assert.equal((await loadWorkspace(root)).metadata.files['a.md'].summary, 'A, edited');
+  }));
+
+  test('a second instance follows the leader and takes over once its lock goes stale', () => withScannedWorkspace({
+    'a.md': '# A\n',
+  }, async (root) => {
+    const leader = new Timepon(root);
+    const follower = new Timepon(root);
+    try {
+      await leader.start();
+      await leader.scanner.initialScanDone;
+      await follower.start();
+
+      assert.equal(leader.isLeader, true);
+      assert.equal(follower.isLeader, false);
+      assert.equal(follower.scanner.watcher, null);
+
+      // The leader tracks a file while the follower annotates another; both are saved
+      await fs.writeFile(path.join(root, 'b.md'), '# B\n');
+      await leader.scanner.handleFileCreation(path.join(root, 'b.md'));
+      await leader.store.save();
+      await follower.annotateFile('a.md', { owner: 'follower' });
+      await follower.store.save();
+
+      // Tool calls merge before reading, as the MCP server does
+      await leader.store.merge();
+      for (const timepon of [leader, follower]) {
+        assert.ok(timepon.metadata.files['b.md']);
+        assert.equal(timepon.metadata.files['a.md'].annotations.owner, 'follower');
+      }
+
+      // The leader stops sending heartbeats (e.g. its machine was suspended)
+      const silentSince = new Date(Date.now() - WorkspaceLock.STALE_AFTER - 1000);
+      await fs.utimes(path.join(root, '_timepon.lock'), silentSince, silentSince);
+
+      await follower.heartbeat();
+      assert.equal(follower.isLeader, true);
+      await follower.scanner.initialScanDone;
+      assert.equal((await follower.lock.read()).owner.instanceId, follower.lock.instanceId);
+
+      // The old leader notices on its next heartbeat and stops watching
+      await leader.heartbeat();
+      assert.equal(leader.isLeader, false);
+      assert.equal(leader.scanner.watcher, null);
+
+      await follower.store.merge();
+      assert.deepEqual(follower.getLiveEntries().map(([relativePath]) => relativePath).sort(), ['.tponignore', 'a.md', 'b.md']);
+      assert.equal(follower.metadata.files['a.md'].annotations.owner, 'follower');
+    } finally {
+      await follower.stop();
+      await leader.stop();
+    }
+  }));
+
+  test('a lock left by a process that exited is taken over right away', () => withScannedWorkspace({}, async (root) => {
+    const lockPath = path.join(root, '_timepon.lock');
+    const writeLock = pid => fs.writeFile(lockPath, JSON.stringify({ pid, hostname: os.hostname(), instanceId: `pid-${pid}` }));
+
+    // A lock held by a running process with a fresh heartbeat is respected
+    await writeLock(process.ppid);
+    assert.equal(await new WorkspaceLock(lockPath).acquire(), false);
+
+    const { pid: exitedPid } = spawnSync(process.execPath, ['-e', '']);
+    await writeLock(exitedPid);
+    const lock = new WorkspaceLock(lockPath);
+    assert.equal(await lock.acquire(), true);
+    assert.equal(await lock.isHeld(), true);
+
+    await lock.release();
+    assert.equal(await lock.read(), null);
+  }));
+
+  test('of two servers competing for one stale lock, only one takes it over', (t) => withScannedWorkspace({}, async (root) => {
+    const lockPath = path.join(root, '_timepon.lock');
+    const writeStaleLock = async () => {
+      await fs.writeFile(lockPath, JSON.stringify({ pid: process.ppid, hostname: 'elsewhere', instanceId: 'crashed' }));
+      const silentSince = new Date(Date.now() - WorkspaceLock.STALE_AFTER - 1000);
+      await fs.utimes(lockPath, silentSince, silentSince);
+    };
+
+    await writeStaleLock();
+    const locks = [new WorkspaceLock(lockPath), new WorkspaceLock(lockPath)];
+    const acquired = await Promise.all(locks.map(lock => lock.acquire()));
+    assert.deepEqual(acquired.filter(Boolean), [true]);
+    assert.equal(await locks[acquired.indexOf(true)].isHeld(), true);
+    await locks[acquired.indexOf(true)].release();
+
+    // The other server replaces the stale lock between this one reading it and moving it aside
+    await writeStaleLock();
+    const first = new WorkspaceLock(lockPath);
+    const second = new WorkspaceLock(lockPath);
+    const staleHolder = await first.read();
+    assert.equal(await second.acquire(), true);
+    t.mock.method(first, 'read', async (filePath) => (filePath ? WorkspaceLock.prototype.read.call(first, filePath) : staleHolder));
+
+    assert.equal(await first.acquire(), false);
+    assert.equal(await second.isHeld(), true);
+    assert.deepEqual((await fs.readdir(root)).filter(name => name.startsWith('_timepon.lock')), ['_timepon.lock']);
+    await second.release();
+  }));
+
+  test('getFileHistory pages through events and follows the file back through renames', () => withScannedWorkspace({}, async (root) => {
+    const timepon = await loadWorkspace(root);
+    try {
+      const at = minute => `2026-01-10T09:${String(minute).padStart(2, '0')}:00.000Z`;
+      const { history } = timepon;
+      history.record('created', 'plan.md', {}, at(0));
+      history.record('deleted', 'plan.md', {}, at(1));
+      history.record('created', 'draft.md', {}, at(2));
+      history.record('modified', 'draft.md', { modifications: 1 }, at(3));
+      history.record('created', 'other.md', {}, at(4));
+      history.record('renamed', 'plan.md', { from: 'draft.md' }, at(5));
+      history.record('modified', 'plan.md', { modifications: 2 }, at(6));
+      history.record('renamed', 'final/plan.md', { from: 'plan.md' }, at(7));
+      await history.flush();
+
+      const timeline = ['renamed final/plan.md', 'modified plan.md', 'renamed plan.md', 'modified draft.md', 'created draft.md'];
+      const pages = [];
+      for (let offset = 0; offset !== null;) {
+        const page = await timepon.getFileHistory('final/plan.md', 2, offset);
+        assert.equal(page.total, timeline.length);
+        pages.push(page.events.map(event => `${event.type} ${event.path}`));
+        offset = page.nextOffset;
+      }
+      assert.deepEqual(pages, [timeline.slice(0, 2), timeline.slice(2, 4), timeline.slice(4)]);
+
+      // The earlier file at plan.md is not part of this one's history; the move away is
+      const { events } = await timepon.getFileHistory('plan.md', 10, 0);
+      assert.deepEqual(events.map(event => event.at), [at(7), at(6), at(5), at(3), at(2)]);
+
+      assert.equal((await timepon.getFileHistory('final/plan.md', 10, 5)).count, 0);
+      await assert.rejects(timepon.getFileHistory('final/plan.md', 0, 0), /Limit must be a positive number/);
+    } finally {
+      await timepon.stop();
+    }
+  }));
+
+  describe('sessions', () => {
+    // Make the given sessions last active in this order, oldest first
+    const setActivity = (timepon, ids) => ids.forEach((id, i) => {
+      timepon.metadata.sessions[id].lastActive = new Date(Date.now() - (ids.length - i) * 60000).toISOString();
+    });
+
+    // Two sessions by different agents, 'newer' the active one
+    const withSessions = (files, fn) => withScannedWorkspace(files, async (root) => {
+      const timepon = await loadWorkspace(root);
+      try {
+        await timepon.registerSession({ agent: 'writer', session_id: 'older' });
+        await timepon.registerSession({ agent: 'reviewer', session_id: 'newer' });
+        setActivity(timepon, ['older', 'newer']);
+        await fn(root, timepon);
+      } finally {
+        await timepon.stop();
+      }
+    });
+
+    test('a path announced before it exists goes to the announcing session', () => withSessions({}, async (root, timepon) => {
+      const recorded = await timepon.recordCreation(['docs/plan.md'], 'older');
+      assert.deepEqual([recorded.attributed, recorded.pending], [[], ['docs/plan.md']]);
+      assert.deepEqual(timepon.metadata.sessions.older.pendingPaths, ['docs/plan.md']);
+      setActivity(timepon, ['older', 'newer']);
+
+      await fs.mkdir(path.join(root, 'docs'));
+      await fs.writeFile(path.join(root, 'docs/plan.md'), '# Plan\n');
+      await timepon.scanner.handleFileCreation(path.join(root, 'docs/plan.md'));
+
+      assert.equal(timepon.metadata.files['docs/plan.md'].session, 'older');
+      assert.equal(timepon.metadata.sessions.older.pendingPaths, undefined);
+      await assert.rejects(timepon.recordCreation(['x.md'], 'missing'), /Unknown session: missing/);
+    }));
+
+    test('an announcement is claimed once; later files and reattributions follow the sessions', () => withSessions({
+      'shared.md': '# Shared\n',
+    }, async (root, timepon) => {
+      await timepon.recordCreation(['a.md', 'b.md'], 'older');
+      setActivity(timepon, ['older', 'newer']);
+      assert.equal(timepon.claimSessionFor('a.md'), 'older');
+      assert.deepEqual(timepon.metadata.sessions.older.pendingPaths, ['b.md']);
+
+      // Recreated after the first claim: the announcement is used up
+      assert.equal(timepon.claimSessionFor('a.md'), 'newer');
+
+      // A tracked file recorded by another session changes hands, and the journal says so
+      await timepon.recordCreation(['shared.md'], 'newer');
+      await timepon.recordCreation(['shared.md'], 'older');
+      assert.equal(timepon.metadata.files['shared.md'].session, 'older');
+      await timepon.history.flush();
+      const attributions = (await timepon.history.read()).filter(event => event.type === 'attributed');
+      assert.deepEqual(attributions.map(({ session, previousSession }) => [session, previousSession]), [['newer', undefined], ['older', 'newer']]);
+    }));
+
+    test('getFilesBySession lists files by session, by agent, or counts them per session', () => withSessions({
+      'a.md': '# A\n',
+      'b.md': '# B\n',
+      'c.md': '# C\n',
+    }, async (root, timepon) => {
+      await timepon.recordCreation(['a.md'], 'older');
+      await timepon.recordCreation(['b.md'], 'newer');
+      await timepon.registerSession({ agent: 'writer', session_id: 'later' });
+      await timepon.recordCreation(['c.md'], 'later');
+      timepon.metadata.files['c.md'].deleted = new Date().toISOString();
+      setActivity(timepon, ['older', 'newer', 'later']);
+
+      const bySession = await timepon.getFilesBySession('older');
+      assert.deepEqual([bySession.agent, bySession.files.map(file => file.path)], ['writer', ['a.md']]);
+
+      const byAgent = await timepon.getFilesBySession(undefined, 'writer');
+      assert.deepEqual([byAgent.sessions.sort(), byAgent.files.map(file => file.path)], [['later', 'older'], ['a.md']]);
+
+      const overview = await timepon.getFilesBySession();
+      assert.deepEqual(overview.sessions.map(({ session_id: id, files, active }) => [id, files, active]), [
+        ['later', 0, true], ['newer', 1, false], ['older', 1, false],
+      ]);
+      assert.equal(overview.unattributedFiles, 1);
+
+      await assert.rejects(timepon.getFilesBySession('missing'), /Unknown session: missing/);
+    }));
+  });
+
+  describe('archiveFiles and restoreFiles', () => {
+    const now = new Date();
+    const day = [now.getFullYear(), now.getMonth() + 1, now.getDate()].map(n => String(n).padStart(2, '0')).join('-');
+    const exists = (root, relativePath) => fs.stat(path.join(root, relativePath)).then(() => true, () => false);
+
+    test('a dry run reports the moves without touching the disk', () => withScannedWorkspace({
+      'old.md': '# Old\n',
+      'docs/old.md': '# Also old\n',
+    }, async (root) => {
+      const timepon = await loadWorkspace(root);
+      try {
+        const result = await timepon.archiveFiles(['old.md', 'docs/old.md', 'missing.md'], 'superseded', true);
+
+        assert.deepEqual(result.archived.map(({ path: from, to }) => [from, to]), [
+          ['old.md', `_archive/${day}/old.md`],
+          ['docs/old.md', `_archive/${day}/docs/old.md`],
+        ]);
+        assert.deepEqual(result.skipped, [{ path: 'missing.md', error: 'not a tracked file' }]);
+        assert.equal(await exists(root, 'old.md'), true);
+        assert.equal(await exists(root, '_archive'), false);
+        assert.equal(timepon.metadata.files['old.md'].archived, undefined);
+      } finally {
+        await timepon.stop();
+      }
+    }));
+
+    test('never overwrites an earlier archived file of the same name', () => withScannedWorkspace({
+      'notes.md': '# Notes, second draft\n',
+    }, async (root) => {
+      await fs.mkdir(path.join(root, `_archive/${day}`), { recursive: true });
+      await fs.writeFile(path.join(root, `_archive/${day}/notes.md`), '# Notes, first draft\n');
+
+      const timepon = await loadWorkspace(root);
+      try {
+        const { archived } = await timepon.archiveFiles(['notes.md'], undefined, false);
+        assert.equal(archived[0].to, `_archive/${day}/notes-2.md`);
+        assert.equal(await fs.readFile(path.join(root, `_archive/${day}/notes.md`), 'utf-8'), '# Notes, first draft\n');
+        assert.equal(await fs.readFile(path.join(root, `_archive/${day}/notes-2.md`), 'utf-8'), '# Notes, second draft\n');
+      } finally {
+        await timepon.stop();
+      }
+    }));
+
+    test('a failed move leaves that file and its entry as they were', () => withScannedWorkspace({
+      'a.md': '# A\n',
+      'sub/b.md': '# B\n',
+    }, async (root) => {
+      // A file where the archive needs a folder makes the second move fail
+      await fs.mkdir(path.join(root, `_archive/${day}`), { recursive: true });
+      await fs.writeFile(path.join(root, `_archive/${day}/sub`), 'in the way\n');
+
+      const timepon = await loadWorkspace(root);
+      try {
+        const result = await timepon.archiveFiles(['a.md', 'sub/b.md'], 'cleanup', false);
+
+        assert.deepEqual(result.archived.map(file => file.path), ['a.md']);
+        assert.equal(result.skipped[0].path, 'sub/b.md');
+        assert.match(result.skipped[0].error, /ENOTDIR|EEXIST/);
+
+        assert.equal(await exists(root, 'a.md'), false);
+        assert.equal(timepon.metadata.files['a.md'].archiveReason, 'cleanup');
+        assert.equal(await exists(root, 'sub/b.md'), true);
+        const { archived, archivePath, archiveReason } = timepon.metadata.files['sub/b.md'];
+        assert.deepEqual([archived, archivePath, archiveReason], [undefined, undefined, undefined]);
+      } finally {
+        await timepon.stop();
+      }
+    }));
+
+    test('restore moves the file back and clears the archived mark', () => withScannedWorkspace({
+      'docs/plan.md': '# Plan\n',
+    }, async (root) => {
+      const timepon = await loadWorkspace(root);
+      try {
+        await timepon.archiveFiles(['docs/plan.md'], 'done', false);
+        const entry = timepon.metadata.files['docs/plan.md'];
+        assert.equal(entry.archivePath, `_archive/${day}/docs/plan.md`);
+        assert.equal(await exists(root, 'docs/plan.md'), false);
+
+        const result = await timepon.restoreFiles(['docs/plan.md'], false);
+        assert.deepEqual(result.restored, [{ path: 'docs/plan.md', from: `_archive/${day}/docs/plan.md` }]);
+        assert.equal(await fs.readFile(path.join(root, 'docs/plan.md'), 'utf-8'), '# Plan\n');
+        assert.equal(await exists(root, `_archive/${day}/docs/plan.md`), false);
+
+        const restored = timepon.metadata.files['docs/plan.md'];
+        assert.equal('archived' in restored || 'archivePath' in restored || 'archiveReason' in restored, false);
+        assert.deepEqual((await timepon.restoreFiles(['docs/plan.md'], false)).skipped, [{ path: 'docs/plan.md', error: 'not an archived file' }]);
+
+        const events = (await timepon.history.read()).filter(event => event.path === 'docs/plan.md').map(event => event.type);
+        assert.deepEqual(events.slice(-2), ['archived', 'restored']);
+      } finally {
+        await timepon.stop();
+      }
+    }));
+  });
+
+  test('suggestCleanup ranks duplicates, old untouched files and draft names', () => withScannedWorkspace({
+    'README.md': '# Project\n\nStart with the [guide](docs/guide.md).\n',
+    'docs/guide.md': '# Guide\n\nInstall the dependencies, configure the workspace and run the server.\n',
+    'docs/guide copy.md': '# Guide\n\nInstall the dependencies, configure the workspace and run the server.\n',
+    'meeting-2025.md': '# Meeting\n\nBudget review with the finance team.\n',
+    'draft_v2.md': '# Proposal\n\nA second take on the pricing page layout.\n',
+  }, async (root) => {
+    const timepon = await loadWorkspace(root);
+    try {
+      timepon.metadata.files['meeting-2025.md'].created = new Date(Date.now() - 40 * 24 * 60 * 60 * 1000).toISOString();
+
+      const all = await timepon.suggestCleanup(1, 10);
+      assert.deepEqual(all.files.map(({ path: relativePath, score, reasons }) => [relativePath, score, reasons]), [
+        ['docs/guide copy.md', 6, ['identical to docs/guide.md', 'not referenced from any other tracked file', 'copy of another file']],
+        ['meeting-2025.md', 4, ['created 5w ago', 'never modified since creation', 'not referenced from any other tracked file']],
+        ['docs/guide.md', 3, ['identical to docs/guide copy.md']],
+        ['draft_v2.md', 3, ['not referenced from any other tracked file', 'versioned copy name']],
+      ]);
+
+      const likely = await timepon.suggestCleanup(4, 10);
+      assert.deepEqual(likely.files.map(file => file.path), ['docs/guide copy.md', 'meeting-2025.md']);
+
+      const top = await timepon.suggestCleanup(1, 1);
+      assert.deepEqual([top.total, top.count, top.files[0].path], [4, 1, 'docs/guide copy.md']);
+
+      await assert.rejects(timepon.suggestCleanup(-1, 10), /min_score must be a non-negative number/);
+    } finally {
+      await timepon.stop();
+    }
+  }));
+
+  test('suggestCleanup flags scratch names but not test suites or plain words', () => withScannedWorkspace({
+    'test_foo.py': 'def test_foo():\n    assert True\n',
+    'test-utils.js': '// Shared test helpers\nexport const noop = () => {};\n',
+    'copy.js': '// Copies files\nexport const copy = () => {};\n',
+    'temp.js': '// Temperature conversions\nexport const toCelsius = f => (f - 32) / 1.8;\n',
+    'untitled-1.md': '# Untitled\n',
+    'scratch.md': '# Scratch\n',
+    'Copy of plan.md': '# Plan, again\n',
+    'tmp_output.txt': 'output\n',
+  }, async (root) => {
+    const timepon = await loadWorkspace(root);
+    try {
+      const { files } = await timepon.suggestCleanup(0, 20);
+      const nameReasons = Object.fromEntries(files.map(file => [file.path, file.reasons.filter(reason => !reason.startsWith('not referenced'))]));
+      assert.deepEqual(nameReasons, {
+        'Copy of plan.md': ['copy of another file'],
+        'scratch.md': ['throwaway word in name'],
+        'tmp_output.txt': ['scratch file prefix'],
+        'untitled-1.md': ['throwaway word in name'],
+        'test_foo.py': [],
+        'test-utils.js': [],
+        'copy.js': [],
+        'temp.js': [],
+      });
+    } finally {
+      await timepon.stop();
+    }
+  }));
+
+  test('diagnose reports interrupted writes and tolerates a write lock released meanwhile', (t) => withScannedWorkspace({
+    'a.md': '# A\n',
+  }, async (root) => {
+    const storePath = path.join(root, '_timepon.yaml');
+    await fs.writeFile(`${storePath}.tmp-12345`, 'partial');
+    await fs.mkdir(`${storePath}.writing`);
+    const old = new Date(Date.now() - 60 * 1000);
+    await fs.utimes(`${storePath}.writing`, old, old);
+
+    const interrupted = async () => (await new Timepon(root).diagnose()).find(result => result.check === 'interrupted writes');
+    assert.deepEqual(await interrupted(), { check: 'interrupted writes', status: 'warn', detail: 'Left behind: _timepon.yaml.tmp-12345, _timepon.yaml.writing' });
+
+    // The lock is listed, then released by its server before it can be examined
+    const stat = fs.stat;
+    t.mock.method(fs, 'stat', (target, ...rest) => (target === `${storePath}.writing`
+      ? Promise.reject(Object.assign(new Error('ENOENT'), { code: 'ENOENT' }))
+      : stat(target, ...rest)));
+    assert.deepEqual(await interrupted(), { check: 'interrupted writes', status: 'warn', detail: 'Left behind: _timepon.yaml.tmp-12345' });
+  }));
+});